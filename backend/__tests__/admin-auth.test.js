@@ -0,0 +1,92 @@
+/**
+ * Admin authentication: logging in, role checks on admin routes, refresh
+ * token rotation and revoking every token a user holds
+ */
+
+const request = require('supertest');
+const { createTestApp } = require('./support/test-app');
+
+const PASSWORD = 'correct-horse-battery';
+
+describe('admin authentication', () => {
+  let testApp;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    const adminAuth = require('../lib/admin-auth');
+    await adminAuth.createAdminUser('admin@example.com', PASSWORD, 'admin');
+    await adminAuth.createAdminUser('staff@example.com', PASSWORD, 'staff');
+  });
+
+  afterAll(() => testApp.close());
+
+  async function login(email) {
+    const response = await request(testApp.app).post('/api/admin/login').send({ email, password: PASSWORD });
+    expect(response.status).toBe(200);
+    return response.body;
+  }
+
+  function get(path, accessToken) {
+    const pending = request(testApp.app).get(path);
+    return accessToken ? pending.set('Authorization', `Bearer ${accessToken}`) : pending;
+  }
+
+  function refresh(refreshToken) {
+    return request(testApp.app).post('/api/admin/refresh').send({ refresh_token: refreshToken });
+  }
+
+  test('a wrong password is refused', async () => {
+    const response = await request(testApp.app).post('/api/admin/login').send({ email: 'admin@example.com', password: 'not-the-password' });
+    expect(response.status).toBe(401);
+    expect(response.body.access_token).toBeUndefined();
+  });
+
+  test('admin routes need an access token', async () => {
+    expect((await get('/api/admin/me')).status).toBe(401);
+    expect((await get('/api/audit-logs')).status).toBe(401);
+    expect((await get('/api/admin/me', 'not-a-jwt')).status).toBe(401);
+
+    const { refresh_token: refreshToken } = await login('admin@example.com');
+    // A refresh token is not an access token
+    expect((await get('/api/admin/me', refreshToken)).status).toBe(401);
+  });
+
+  test('routes limited to admins refuse staff with 403', async () => {
+    const staff = await login('staff@example.com');
+    const me = await get('/api/admin/me', staff.access_token);
+    expect(me.status).toBe(200);
+    expect(me.body.user).toMatchObject({ email: 'staff@example.com', role: 'staff' });
+
+    const auditLogs = await get('/api/audit-logs', staff.access_token);
+    expect(auditLogs.status).toBe(403);
+    expect(auditLogs.body.error).toBe('Insufficient permissions');
+
+    const admin = await login('admin@example.com');
+    expect((await get('/api/audit-logs', admin.access_token)).status).toBe(200);
+  });
+
+  test('a refresh token is swapped for a new pair and works only once', async () => {
+    const first = await login('admin@example.com');
+
+    const rotated = await refresh(first.refresh_token);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refresh_token).not.toBe(first.refresh_token);
+    expect((await get('/api/admin/me', rotated.body.access_token)).status).toBe(200);
+
+    expect((await refresh(first.refresh_token)).status).toBe(401);
+    expect((await refresh(rotated.body.refresh_token)).status).toBe(200);
+  });
+
+  test('logging out everywhere revokes access tokens already issued', async () => {
+    const session = await login('staff@example.com');
+    expect((await get('/api/admin/me', session.access_token)).status).toBe(200);
+
+    const loggedOut = await request(testApp.app).post('/api/admin/logout-all').set('Authorization', `Bearer ${session.access_token}`);
+    expect(loggedOut.status).toBe(200);
+
+    const stale = await get('/api/admin/me', session.access_token);
+    expect(stale.status).toBe(401);
+    expect(stale.body.error).toBe('Token has been revoked');
+    expect((await refresh(session.refresh_token)).status).toBe(401);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Times the admin booking page offers for moving a booking
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('admin availability for a booking', () => {
+  let testApp;
+  let token;
+  const eventDate = daysFromNow(50);
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    const adminAuth = require('../lib/admin-auth');
+    await adminAuth.createAdminUser('admin@example.com', 'correct-horse-battery');
+    token = (await adminAuth.login('admin@example.com', 'correct-horse-battery')).access_token;
+  });
+
+  afterAll(() => testApp.close());
+
+  async function book(eventType, eventTime, date = eventDate) {
+    const response = await request(testApp.app).post('/api/bookings').send({
+      clientName: 'Avery Client',
+      clientEmail: `${eventType}@example.com`,
+      clientPhone: '4155550134',
+      eventDate: date,
+      eventTime,
+      eventType,
+      location: 'Golden Gate Park'
+    });
+    expect(response.status).toBe(200);
+    return response.body.booking_id;
+  }
+
+  function slotTimes(bookingId) {
+    return request(testApp.app)
+      .get(`/api/admin/bookings/${bookingId}/availability/${eventDate}`)
+      .set('Authorization', `Bearer ${token}`)
+      .then(response => response.body.available_slots.map(slot => slot.time));
+  }
+
+  test("offers the booking's own slot and keeps other bookings' slots taken", async () => {
+    const engagement = await book('engagement', '09:00');
+    await book('consultation', '14:00');
+
+    const publicTimes = (await request(testApp.app).get(`/api/availability/${eventDate}?eventType=engagement`))
+      .body.available_slots.map(slot => slot.time);
+    expect(publicTimes).not.toContain('09:00');
+
+    const times = await slotTimes(engagement);
+    expect(times).toContain('09:00');
+    expect(times).not.toContain('13:00');
+    expect(times).not.toContain('14:00');
+  });
+
+  test("uses the booking's own length", async () => {
+    const engagement = await book('engagement', '15:00');
+
+    const times = await slotTimes(engagement);
+    expect(times).toContain('15:00');
+    expect(times).not.toContain('15:30');
+  });
+
+  test('a booking cancelled while it is being moved stays put and nobody is emailed', async () => {
+    const engagement = await book('engagement', '09:00', daysFromNow(52));
+    const sessionTypes = require('../lib/session-types');
+    const getSessionType = sessionTypes.getSessionType;
+    // The client's cancellation commits after the admin's request loaded the booking
+    const spy = jest.spyOn(sessionTypes, 'getSessionType').mockImplementationOnce(async (key) => {
+      await testApp.db.dbRun("UPDATE bookings SET status = 'cancelled' WHERE booking_id = ?", [engagement]);
+      return getSessionType(key);
+    });
+
+    const response = await request(testApp.app)
+      .post(`/api/admin/bookings/${engagement}/reschedule`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ eventDate: daysFromNow(51), eventTime: '10:00' });
+    spy.mockRestore();
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe("A cancelled booking can't be moved");
+    expect(await testApp.db.dbGet('SELECT event_date, event_time FROM bookings WHERE booking_id = ?', [engagement]))
+      .toEqual({ event_date: daysFromNow(52), event_time: '09:00' });
+    expect(await testApp.db.dbAll("SELECT id FROM notification_outbox WHERE booking_id = ? AND kind = 'rescheduled'", [engagement]))
+      .toEqual([]);
+  });
+
+  test('is for admins only', async () => {
+    const response = await request(testApp.app).get(`/api/admin/bookings/4EV-ANY-BOOKING/availability/${eventDate}`);
+    expect(response.status).toBe(401);
+  });
+});
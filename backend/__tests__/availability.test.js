@@ -0,0 +1,47 @@
+/**
+ * GET /api/availability/:date: which dates it accepts, and how a
+ * blackout's reason comes back to the booking page
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('GET /api/availability/:date', () => {
+  let testApp;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+  });
+
+  afterAll(() => testApp.close());
+
+  test.each(['not-a-date', '2026-13-45', '2027-02-30', '2026-6-1', '20260601'])('refuses %s with 400', async (date) => {
+    const response = await request(testApp.app).get(`/api/availability/${date}?eventType=consultation`);
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('answers for a real date', async () => {
+    const date = daysFromNow(30);
+    const response = await request(testApp.app).get(`/api/availability/${date}?eventType=consultation`);
+    expect(response.status).toBe(200);
+    expect(response.body.date).toBe(date);
+  });
+
+  test("shows a blackout's reason as the admin typed it", async () => {
+    const adminAuth = require('../lib/admin-auth');
+    await adminAuth.createAdminUser('admin@example.com', 'correct-horse-battery');
+    const { access_token: token } = await adminAuth.login('admin@example.com', 'correct-horse-battery');
+    const date = daysFromNow(31);
+
+    const created = await request(testApp.app)
+      .post('/api/admin/schedule/blackouts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ start_date: date, end_date: date, reason: "  Smith & Co's <wedding>  " });
+    expect(created.status).toBe(201);
+
+    const response = await request(testApp.app).get(`/api/availability/${date}?eventType=consultation`);
+    expect(response.body.closed_reason).toBe("Smith & Co's <wedding>");
+    expect(response.body.available_slots).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * The overlap check when a booking is placed: overlapping times are refused
+ * with alternatives, back-to-back sessions are fine, and of several requests
+ * racing for one slot only one gets it
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('booking overlap check', () => {
+  let testApp;
+  let day = 0;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+  });
+
+  afterAll(() => testApp.close());
+
+  // Each test books on a day of its own
+  beforeEach(() => { day += 1; });
+
+  function book(eventTime, fields = {}) {
+    return request(testApp.app).post('/api/bookings').send(Object.assign({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate: daysFromNow(30 + day),
+      eventTime,
+      eventType: 'consultation',
+      location: 'Golden Gate Park'
+    }, fields));
+  }
+
+  test('a booking overlapping another is refused with 409 and alternatives', async () => {
+    expect((await book('10:00')).status).toBe(200);
+
+    const overlapping = await book('10:30', { clientEmail: 'blake@example.com' });
+    expect(overlapping.status).toBe(409);
+    expect(overlapping.body.error).toBe('slot_unavailable');
+    expect(overlapping.body.requested).toEqual({ date: daysFromNow(30 + day), time: '10:30', duration_minutes: 60 });
+    expect(overlapping.body.alternatives.length).toBeGreaterThan(0);
+    const sameDay = overlapping.body.alternatives.filter(slot => slot.date === daysFromNow(30 + day)).map(slot => slot.time);
+    expect(sameDay).not.toContain('10:00');
+    expect(sameDay).not.toContain('10:30');
+  });
+
+  test('sessions that only touch end to start are both accepted', async () => {
+    expect((await book('10:00')).status).toBe(200);
+
+    expect((await book('11:00', { clientEmail: 'blake@example.com' })).status).toBe(200);
+    expect((await book('09:00', { clientEmail: 'casey@example.com' })).status).toBe(200);
+  });
+
+  test('of several requests for the same slot at once, exactly one is booked', async () => {
+    const responses = await Promise.all(
+      ['a', 'b', 'c', 'd', 'e'].map(name => book('14:00', { clientEmail: `${name}@example.com` }))
+    );
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409, 409, 409, 409]);
+    const booked = await testApp.db.dbAll(
+      "SELECT booking_id FROM bookings WHERE event_date = ? AND event_time = '14:00' AND status != 'cancelled'",
+      [daysFromNow(30 + day)]
+    );
+    expect(booked).toHaveLength(1);
+  });
+});
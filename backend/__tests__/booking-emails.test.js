@@ -0,0 +1,49 @@
+/**
+ * Booking emails: how the session is named in what the client is sent
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('booking emails', () => {
+  let testApp;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+  });
+
+  afterAll(() => testApp.close());
+
+  function book(fields) {
+    return request(testApp.app).post('/api/bookings').send(Object.assign({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate: daysFromNow(45),
+      location: 'Golden Gate Park'
+    }, fields));
+  }
+
+  function confirmationFor(bookingId) {
+    return testApp.db.dbGet(
+      "SELECT subject, body_text FROM notification_outbox WHERE booking_id = ? AND kind = 'confirmation'",
+      [bookingId]
+    );
+  }
+
+  test('the confirmation names the session by its catalog label', async () => {
+    const response = await book({ eventType: 'consultation', eventTime: '10:00' });
+    expect(response.status).toBe(200);
+
+    const email = await confirmationFor(response.body.booking_id);
+    expect(email.subject).toBe('🎉 Booking Confirmed - Initial Consultation | 4everevents');
+    expect(email.body_text).toContain('Session Type: Initial Consultation');
+  });
+
+  test('a label changed in the catalog is used from then on', async () => {
+    await testApp.db.dbRun("UPDATE session_types SET label = 'Discovery Call' WHERE key = 'consultation'");
+    const response = await book({ eventType: 'consultation', eventTime: '14:00' });
+
+    expect((await confirmationFor(response.body.booking_id)).subject).toBe('🎉 Booking Confirmed - Discovery Call | 4everevents');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Booking status workflow: which status a new booking starts in, by session type
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('new booking status', () => {
+  let testApp;
+  let bookings;
+  const eventDate = daysFromNow(60);
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    bookings = require('../lib/booking-repository');
+    // A wedding runs ten hours, longer than the default 9:00-18:00 day
+    await testApp.db.dbRun(
+      'INSERT INTO availability (date, start_time, end_time, is_available) VALUES (?, ?, ?, 1)',
+      [eventDate, '08:00', '20:00']
+    );
+  });
+
+  afterAll(() => testApp.close());
+
+  function book(fields) {
+    return request(testApp.app).post('/api/bookings').send(Object.assign({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate,
+      location: 'Golden Gate Park'
+    }, fields));
+  }
+
+  test('the wedding session type requires approval', async () => {
+    const response = await request(testApp.app).get('/api/session-types');
+    const wedding = response.body.session_types.find(type => type.key === 'wedding');
+    expect(wedding.requires_approval).toBe(true);
+  });
+
+  test('a wedding booking is requested and waits for approval instead of confirming itself', async () => {
+    const response = await book({ eventType: 'wedding', eventTime: '09:00' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('pending_approval');
+    expect((await bookings.findById(response.body.booking_id)).status).toBe('pending_approval');
+    expect(await bookings.statusHistory(response.body.booking_id)).toEqual([
+      expect.objectContaining({ from: 'requested', to: 'pending_approval', by: 'system' })
+    ]);
+  });
+
+  test('a consultation booking confirms itself', async () => {
+    const response = await book({ eventType: 'consultation', eventTime: '19:00' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('confirmed');
+    expect(await bookings.statusHistory(response.body.booking_id)).toEqual([
+      expect.objectContaining({ from: 'requested', to: 'confirmed' })
+    ]);
+  });
+});
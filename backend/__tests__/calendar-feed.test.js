@@ -0,0 +1,42 @@
+/**
+ * Calendar feeds: what a subscriber sees of each booking
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('calendar feed', () => {
+  let testApp;
+  let feed;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    feed = await require('../lib/calendar-feed').createFeed({ label: 'Second shooter' });
+  });
+
+  afterAll(() => testApp.close());
+
+  test('shows the client name, session type and booking ID and nothing else about the client', async () => {
+    const booked = await request(testApp.app).post('/api/bookings').send({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate: daysFromNow(20),
+      eventTime: '10:00',
+      eventType: 'consultation',
+      location: '12 Private Lane, San Francisco',
+      message: 'Our gate code is 4321'
+    });
+    expect(booked.status).toBe(200);
+
+    const response = await request(testApp.app).get(`/api/calendar/${feed.token}.ics`);
+    expect(response.status).toBe(200);
+    const ics = response.text.replace(/\r\n[ \t]/g, '');
+
+    expect(ics).toContain('SUMMARY:Initial Consultation - Avery Client');
+    expect(ics).toContain(`DESCRIPTION:Booking ID: ${booked.body.booking_id}`);
+    expect(ics).toContain(`UID:${booked.body.booking_id}@4everevents`);
+    expect(ics).not.toMatch(/ATTENDEE|ORGANIZER|mailto:/);
+    expect(ics).not.toMatch(/avery@example\.com|4155550134|Private Lane|gate code/);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Bookings and their calendar events: what the event carries, and a move made
+ * in the calendar reaching the booking and the client
+ */
+
+const request = require('supertest');
+const calendars = require('../lib/calendar');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('calendar events', () => {
+  let testApp;
+  let calendar;
+  let token;
+
+  beforeAll(async () => {
+    const createCalendar = calendars.createCalendar;
+    jest.spyOn(calendars, 'createCalendar').mockImplementation((...args) => {
+      calendar = createCalendar(...args);
+      return calendar;
+    });
+    testApp = await createTestApp();
+    const adminAuth = require('../lib/admin-auth');
+    await adminAuth.createAdminUser('admin@example.com', 'correct-horse-battery');
+    token = (await adminAuth.login('admin@example.com', 'correct-horse-battery')).access_token;
+  });
+
+  afterAll(async () => {
+    calendars.createCalendar.mockRestore();
+    await testApp.close();
+  });
+
+  async function book(eventDate) {
+    const response = await request(testApp.app).post('/api/bookings').send({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate,
+      eventTime: '10:00',
+      eventType: 'consultation',
+      location: 'Golden Gate Park'
+    });
+    expect(response.status).toBe(200);
+    return testApp.db.dbGet('SELECT * FROM bookings WHERE booking_id = ?', [response.body.booking_id]);
+  }
+
+  test("leaves the client off the event's attendees", async () => {
+    const booking = await book(daysFromNow(60));
+
+    const event = await calendar.getEvent(booking.calendar_event_id);
+    expect(event.attendees).toEqual([{ email: 'studio@example.com' }]);
+  });
+
+  test('a move made in the calendar moves the booking and emails the client', async () => {
+    const booking = await book(daysFromNow(61));
+    // Past the grace period new bookings get, and older than the calendar's change
+    await testApp.db.dbRun(
+      "UPDATE bookings SET created_at = '2000-01-01 00:00:00', updated_at = '2000-01-01 00:00:00' WHERE booking_id = ?",
+      [booking.booking_id]
+    );
+    const event = await calendar.getEvent(booking.calendar_event_id);
+    const twoHours = 2 * 60 * 60 * 1000;
+    await calendar.updateEvent(event.id, {
+      start: new Date(event.start.getTime() + twoHours),
+      end: new Date(event.end.getTime() + twoHours)
+    });
+
+    const response = await request(testApp.app)
+      .post('/api/admin/calendar/reconcile')
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    expect(response.body.summary.moved).toBe(1);
+
+    const moved = await testApp.db.dbGet('SELECT event_time, ical_sequence FROM bookings WHERE booking_id = ?', [booking.booking_id]);
+    expect(moved.event_time).toBe('12:00');
+    expect(moved.ical_sequence).toBeGreaterThan(booking.ical_sequence);
+
+    const email = await testApp.db.dbGet(
+      "SELECT recipient, body_calendar FROM notification_outbox WHERE booking_id = ? AND kind = 'rescheduled'",
+      [booking.booking_id]
+    );
+    expect(email.recipient).toBe('avery@example.com');
+    expect(email.body_calendar).toContain('METHOD:REQUEST');
+    expect(email.body_calendar).toContain(`SEQUENCE:${moved.ical_sequence}`);
+  });
+});
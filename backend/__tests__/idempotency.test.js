@@ -0,0 +1,101 @@
+/**
+ * Idempotency-Key on POST /api/bookings: replays, reused keys, requests still
+ * running, and keys given back after a refusal
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('Idempotency-Key on POST /api/bookings', () => {
+  let testApp;
+  let sessionTypes;
+  let slot = 0;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    sessionTypes = require('../lib/session-types');
+  });
+
+  afterAll(() => testApp.close());
+
+  function bookingFields(fields = {}) {
+    slot += 1;
+    return Object.assign({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate: daysFromNow(30 + slot),
+      eventTime: '10:00',
+      eventType: 'consultation',
+      location: 'Golden Gate Park'
+    }, fields);
+  }
+
+  function book(key, fields) {
+    return request(testApp.app).post('/api/bookings').set('Idempotency-Key', key).send(fields);
+  }
+
+  async function bookingCount() {
+    return (await testApp.db.dbGet('SELECT COUNT(*) AS count FROM bookings')).count;
+  }
+
+  test('a repeat with the same key and body replays the first booking', async () => {
+    const fields = bookingFields();
+    const first = await book('replay-key-0001', fields);
+    expect(first.status).toBe(200);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    const count = await bookingCount();
+
+    const repeat = await book('replay-key-0001', Object.assign({}, fields));
+    expect(repeat.status).toBe(200);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(repeat.body.booking_id).toBe(first.body.booking_id);
+    expect(await bookingCount()).toBe(count);
+  });
+
+  test('the same key with a different body is refused with 422', async () => {
+    const fields = bookingFields();
+    expect((await book('reused-key-0001', fields)).status).toBe(200);
+
+    const reused = await book('reused-key-0001', Object.assign({}, fields, { eventTime: '14:00' }));
+    expect(reused.status).toBe(422);
+    expect(reused.body.error).toBe('idempotency_key_reused');
+  });
+
+  test('a repeat while the first request is still running gets 409', async () => {
+    const fields = bookingFields();
+    let finishFirst;
+    const gate = new Promise(resolve => { finishFirst = resolve; });
+    const getSessionType = sessionTypes.getSessionType;
+    // Hold the first request in its validation, after it has claimed the key
+    const spy = jest.spyOn(sessionTypes, 'getSessionType').mockImplementationOnce(async (key) => {
+      await gate;
+      return getSessionType(key);
+    });
+
+    const first = book('running-key-0001', fields).then(response => response);
+    while (!(await testApp.db.dbGet("SELECT id FROM idempotency_keys WHERE idempotency_key = 'running-key-0001'"))) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const repeat = await book('running-key-0001', fields);
+    expect(repeat.status).toBe(409);
+    expect(repeat.body.error).toBe('request_in_progress');
+    expect(repeat.headers['retry-after']).toBe('1');
+
+    finishFirst();
+    expect((await first).status).toBe(200);
+    spy.mockRestore();
+  });
+
+  test('a refused request gives the key back, so a corrected retry can use it', async () => {
+    const fields = bookingFields();
+    const refused = await book('retry-key-0001', Object.assign({}, fields, { clientPhone: 'not a phone' }));
+    expect(refused.status).toBe(400);
+    expect(await testApp.db.dbGet("SELECT id FROM idempotency_keys WHERE idempotency_key = 'retry-key-0001'")).toBeFalsy();
+
+    const retried = await book('retry-key-0001', fields);
+    expect(retried.status).toBe(200);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
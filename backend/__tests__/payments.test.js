@@ -0,0 +1,232 @@
+/**
+ * Deposits through Stripe Checkout, against a stub Stripe API server
+ * (STRIPE_API_BASE): webhook signatures, a paid session confirming its
+ * booking, and the booking being cancelled when Checkout can't be opened.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const { verifyWebhookEvent } = require('../lib/stripe');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+const WEBHOOK_PATH = '/api/payments/stripe/webhook';
+
+function sign(payload, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+describe('verifyWebhookEvent', () => {
+  const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed' });
+
+  test('accepts a payload signed with the webhook secret', () => {
+    expect(verifyWebhookEvent(payload, sign(payload), WEBHOOK_SECRET)).toEqual({ id: 'evt_1', type: 'checkout.session.completed' });
+  });
+
+  test('accepts a header carrying several v1 signatures when one matches', () => {
+    const header = `${sign(payload)},v1=${'0'.repeat(64)}`;
+    expect(verifyWebhookEvent(payload, header, WEBHOOK_SECRET).id).toBe('evt_1');
+  });
+
+  test('rejects a payload changed after signing', () => {
+    const tampered = payload.replace('evt_1', 'evt_2');
+    expect(() => verifyWebhookEvent(tampered, sign(payload), WEBHOOK_SECRET)).toThrow('does not match');
+  });
+
+  test('rejects a signature made with another secret', () => {
+    expect(() => verifyWebhookEvent(payload, sign(payload, { secret: 'whsec_other' }), WEBHOOK_SECRET)).toThrow('does not match');
+  });
+
+  test('rejects a signed timestamp older than the tolerance', () => {
+    const stale = Math.floor(Date.now() / 1000) - 301;
+    expect(() => verifyWebhookEvent(payload, sign(payload, { timestamp: stale }), WEBHOOK_SECRET)).toThrow('outside the tolerance');
+  });
+
+  test('rejects a malformed header', () => {
+    expect(() => verifyWebhookEvent(payload, 'v1=abc', WEBHOOK_SECRET)).toThrow('Malformed');
+  });
+});
+
+describe('deposit checkout', () => {
+  let stripeServer;
+  let stripeRequests;
+  let failCheckout;
+  let testApp;
+  let bookings;
+  let sessions = 0;
+  let slot = 0;
+
+  beforeAll(async () => {
+    stripeServer = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', (chunk) => { raw += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        stripeRequests.push({ method: req.method, path: req.url, form, idempotencyKey: req.headers['idempotency-key'] });
+        res.setHeader('Content-Type', 'application/json');
+        if (failCheckout) {
+          res.statusCode = 500;
+          return res.end(JSON.stringify({ error: { code: 'api_error', message: 'Stripe is down' } }));
+        }
+        sessions += 1;
+        const id = `cs_test_${sessions}`;
+        res.end(JSON.stringify({ id, url: `https://checkout.stripe.test/${id}`, status: 'open', payment_status: 'unpaid' }));
+      });
+    });
+    await new Promise(resolve => stripeServer.listen(0, '127.0.0.1', resolve));
+
+    testApp = await createTestApp({
+      STRIPE_SECRET_KEY: 'sk_test_123',
+      STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      STRIPE_API_BASE: `http://127.0.0.1:${stripeServer.address().port}`
+    });
+    bookings = require('../lib/booking-repository');
+    await testApp.db.dbRun("UPDATE session_types SET deposit_cents = 10000 WHERE key = 'engagement'");
+  });
+
+  afterAll(async () => {
+    await testApp.close();
+    await new Promise(resolve => stripeServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    stripeRequests = [];
+    failCheckout = false;
+  });
+
+  function bookEngagement() {
+    slot += 1;
+    return request(testApp.app).post('/api/bookings').send({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate: daysFromNow(40 + slot),
+      eventTime: '10:00',
+      eventType: 'engagement',
+      location: 'Golden Gate Park'
+    });
+  }
+
+  function deliverWebhook(event, signature) {
+    const payload = JSON.stringify(event);
+    return request(testApp.app)
+      .post(WEBHOOK_PATH)
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signature || sign(payload))
+      .send(payload);
+  }
+
+  async function checkoutSessionFor(bookingId) {
+    return (await testApp.db.dbGet('SELECT checkout_session_id FROM payments WHERE booking_id = ?', [bookingId])).checkout_session_id;
+  }
+
+  function completedEvent(sessionId) {
+    return {
+      id: `evt_${sessionId}`,
+      type: 'checkout.session.completed',
+      data: { object: { id: sessionId, payment_status: 'paid', payment_intent: `pi_${sessionId}` } }
+    };
+  }
+
+  test('a booking with a deposit is held as pending_payment with a Checkout session', async () => {
+    const response = await bookEngagement();
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('pending_payment');
+    expect(response.body.payment).toMatchObject({ amount_cents: 10000, checkout_url: `https://checkout.stripe.test/cs_test_${sessions}` });
+
+    expect(stripeRequests).toHaveLength(1);
+    const [checkout] = stripeRequests;
+    expect(checkout).toMatchObject({ method: 'POST', path: '/v1/checkout/sessions', idempotencyKey: `deposit-${response.body.booking_id}` });
+    expect(checkout.form.get('client_reference_id')).toBe(response.body.booking_id);
+    expect(checkout.form.get('line_items[0][price_data][unit_amount]')).toBe('10000');
+    expect(checkout.form.get('success_url')).toMatch(new RegExp(`[?&]booking=${response.body.booking_id}&payment=success&session_id=\\{CHECKOUT_SESSION_ID\\}$`));
+  });
+
+  test('checkout.session.completed confirms the held booking once', async () => {
+    const { body: booked } = await bookEngagement();
+    const sessionId = await checkoutSessionFor(booked.booking_id);
+
+    const response = await deliverWebhook(completedEvent(sessionId));
+    expect(response.status).toBe(200);
+    expect((await bookings.findById(booked.booking_id)).status).toBe('confirmed');
+    expect(await testApp.db.dbGet('SELECT status, payment_intent_id FROM payments WHERE booking_id = ?', [booked.booking_id]))
+      .toEqual({ status: 'paid', payment_intent_id: `pi_${sessionId}` });
+
+    const repeat = await deliverWebhook(completedEvent(sessionId));
+    expect(repeat.status).toBe(200);
+    expect(await bookings.statusHistory(booked.booking_id)).toEqual([
+      expect.objectContaining({ from: 'requested', to: 'pending_payment' }),
+      expect.objectContaining({ from: 'pending_payment', to: 'confirmed', by: 'stripe' })
+    ]);
+    const businessEmails = await testApp.db.dbAll(
+      "SELECT id FROM notification_outbox WHERE booking_id = ? AND kind = 'business_new_booking'",
+      [booked.booking_id]
+    );
+    expect(businessEmails).toHaveLength(1);
+  });
+
+  test('the page Checkout returns to sees the deposit as processing until the webhook confirms it', async () => {
+    const { body: booked } = await bookEngagement();
+    const sessionId = await checkoutSessionFor(booked.booking_id);
+    const checkoutStatus = () => request(testApp.app).get(`/api/payments/checkout/${sessionId}`);
+
+    expect((await checkoutStatus()).body).toEqual({
+      success: true,
+      booking_id: booked.booking_id,
+      status: 'pending_payment',
+      payment_status: 'pending'
+    });
+
+    await deliverWebhook(completedEvent(sessionId));
+    expect((await checkoutStatus()).body).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+
+    expect((await request(testApp.app).get('/api/payments/checkout/cs_test_unknown')).status).toBe(404);
+  });
+
+  test('a webhook with a tampered body is rejected and changes nothing', async () => {
+    const { body: booked } = await bookEngagement();
+    const event = completedEvent(await checkoutSessionFor(booked.booking_id));
+    const signature = sign(JSON.stringify(Object.assign({}, event, { type: 'checkout.session.expired' })));
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const response = await deliverWebhook(event, signature);
+    expect(response.status).toBe(400);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('signature does not match'));
+    warn.mockRestore();
+    expect((await bookings.findById(booked.booking_id)).status).toBe('pending_payment');
+  });
+
+  test('a webhook with a stale signature is rejected', async () => {
+    const { body: booked } = await bookEngagement();
+    const event = completedEvent(await checkoutSessionFor(booked.booking_id));
+    const signature = sign(JSON.stringify(event), { timestamp: Math.floor(Date.now() / 1000) - 600 });
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect((await deliverWebhook(event, signature)).status).toBe(400);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('outside the tolerance'));
+    warn.mockRestore();
+    expect((await bookings.findById(booked.booking_id)).status).toBe('pending_payment');
+  });
+
+  test('a booking whose Checkout session cannot be created is cancelled with a 502', async () => {
+    failCheckout = true;
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await bookEngagement();
+    error.mockRestore();
+
+    expect(response.status).toBe(502);
+    expect(response.body.error).toBe('payment_unavailable');
+
+    const [held] = await testApp.db.dbAll('SELECT booking_id, status FROM bookings ORDER BY id DESC LIMIT 1');
+    expect(held.status).toBe('cancelled');
+    expect(await bookings.statusHistory(held.booking_id)).toEqual([
+      expect.objectContaining({ to: 'pending_payment' }),
+      expect.objectContaining({ from: 'pending_payment', to: 'cancelled', reason: 'Deposit checkout unavailable' })
+    ]);
+    expect(await testApp.db.dbGet('SELECT COUNT(*) AS count FROM payments WHERE booking_id = ?', [held.booking_id]))
+      .toEqual({ count: 0 });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Slot holds: the per-client cap on POST /api/holds and the expiry sweep
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('slot holds', () => {
+  let testApp;
+  let slotHolds;
+  const eventDate = daysFromNow(30);
+
+  beforeAll(async () => {
+    testApp = await createTestApp({ SLOT_HOLD_MAX_PER_CLIENT: '2' });
+    slotHolds = require('../lib/slot-holds');
+  });
+
+  afterAll(() => testApp.close());
+
+  beforeEach(() => testApp.db.dbRun('DELETE FROM slot_holds'));
+
+  function hold(eventTime, holdId = null) {
+    return request(testApp.app).post('/api/holds').send({ eventDate, eventTime, eventType: 'consultation', holdId });
+  }
+
+  test('a client can hold two slots at once but not a third', async () => {
+    expect((await hold('10:00')).status).toBe(201);
+    expect((await hold('12:00')).status).toBe(201);
+
+    const third = await hold('14:00');
+    expect(third.status).toBe(429);
+    expect(third.body.error).toBe('too_many_holds');
+    expect(await testApp.db.dbAll('SELECT event_time FROM slot_holds ORDER BY event_time')).toEqual([
+      { event_time: '10:00' },
+      { event_time: '12:00' }
+    ]);
+  });
+
+  test('swapping a hold for another time stays within the cap', async () => {
+    const first = await hold('10:00');
+    await hold('12:00');
+
+    const swapped = await hold('14:00', first.body.hold_id);
+    expect(swapped.status).toBe(201);
+    expect(await slotHolds.findActive(first.body.hold_id)).toBeNull();
+  });
+
+  test('expired holds stop counting and are swept', async () => {
+    await hold('10:00');
+    await hold('12:00');
+    await testApp.db.dbRun('UPDATE slot_holds SET expires_at = ?', ['2020-01-01T00:00:00.000Z']);
+
+    expect((await hold('14:00')).status).toBe(201);
+    expect(await slotHolds.sweepExpired()).toBe(2);
+    expect(await testApp.db.dbAll('SELECT event_time FROM slot_holds')).toEqual([{ event_time: '14:00' }]);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Storage contract: the booking repository and transactions behave the same
+ * on every adapter. SQLite runs on a temporary file; Postgres runs against
+ * DATABASE_URL when it is a postgres:// URL and is skipped otherwise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const POSTGRES_URL = /^postgres(ql)?:\/\//i.test(process.env.DATABASE_URL || '') ? process.env.DATABASE_URL : null;
+
+// lib/db opens its storage when first required, so each adapter gets its own module registry
+function loadModules(databaseUrl) {
+  const previous = process.env.DATABASE_URL;
+  process.env.DATABASE_URL = databaseUrl;
+  let modules;
+  try {
+    jest.isolateModules(() => {
+      modules = {
+        db: require('../lib/db'),
+        migrations: require('../lib/migrations'),
+        bookings: require('../lib/booking-repository')
+      };
+    });
+  } finally {
+    if (previous === undefined) delete process.env.DATABASE_URL;
+    else process.env.DATABASE_URL = previous;
+  }
+  return modules;
+}
+
+function storageContract(name, openDatabase) {
+  describe(`${name} storage`, () => {
+    // Booking ids are unique per run, so a shared Postgres database can be reused
+    const prefix = `CT${Date.now().toString(36).toUpperCase()}`;
+    let sequence = 0;
+    let db;
+    let bookings;
+    let cleanup;
+
+    function newBooking(fields = {}) {
+      sequence += 1;
+      return Object.assign({
+        booking_id: `${prefix}-${sequence}`,
+        client_name: 'Contract Client',
+        client_email: 'contract@example.com',
+        client_phone: '+14155550134',
+        event_date: '2031-05-10',
+        event_time: '10:00',
+        event_type: `contract-${prefix}`,
+        location: 'Studio',
+        duration: 60,
+        status: 'confirmed'
+      }, fields);
+    }
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const opened = openDatabase();
+      cleanup = opened.cleanup;
+      const modules = loadModules(opened.url);
+      db = modules.db;
+      bookings = modules.bookings;
+      await modules.migrations.migrateUp();
+    });
+
+    afterAll(async () => {
+      if (db) {
+        await db.dbRun('DELETE FROM bookings WHERE booking_id LIKE ?', [`${prefix}-%`]);
+        await db.closeDb();
+      }
+      if (cleanup) cleanup();
+      console.log.mockRestore();
+    });
+
+    test('create stores the booking and findById reads it back', async () => {
+      const created = await bookings.create(newBooking({ message: 'Golden hour please', guest_count: 4 }));
+
+      expect(created).toMatchObject({
+        client_name: 'Contract Client',
+        event_time: '10:00',
+        message: 'Golden hour please',
+        status: 'confirmed'
+      });
+      expect(Number(created.guest_count)).toBe(4);
+      expect(String(created.event_date).slice(0, 10)).toBe('2031-05-10');
+      expect(Number(created.ical_sequence)).toBe(0);
+      expect(await bookings.findById(created.booking_id)).toEqual(created);
+    });
+
+    test('findById resolves to null for an unknown booking', async () => {
+      expect(await bookings.findById(`${prefix}-missing`)).toBeNull();
+    });
+
+    test('run reports the inserted id and changed rows', async () => {
+      const inserted = await db.dbRun(
+        'INSERT INTO audit_logs (request_id, event, details) VALUES (?, ?, ?)',
+        [prefix, 'contract_test', '{}']
+      );
+      expect(Number(inserted.lastID)).toBeGreaterThan(0);
+      expect(inserted.changes).toBe(1);
+
+      const deleted = await db.dbRun('DELETE FROM audit_logs WHERE request_id = ?', [prefix]);
+      expect(deleted.changes).toBe(1);
+    });
+
+    test('list filters by status, session type, date range and activeOnly, newest first', async () => {
+      const eventType = `contract-list-${prefix}`;
+      const early = await bookings.create(newBooking({ event_type: eventType, event_date: '2031-06-01' }));
+      const late = await bookings.create(newBooking({ event_type: eventType, event_date: '2031-06-20' }));
+      const cancelled = await bookings.create(newBooking({ event_type: eventType, event_date: '2031-06-10', status: 'cancelled' }));
+      const ids = rows => rows.map(row => row.booking_id);
+
+      expect(ids(await bookings.list({ eventType }))).toEqual([late.booking_id, cancelled.booking_id, early.booking_id]);
+      expect(ids(await bookings.list({ eventType, activeOnly: true }))).toEqual([late.booking_id, early.booking_id]);
+      expect(ids(await bookings.list({ eventType, status: 'cancelled' }))).toEqual([cancelled.booking_id]);
+      expect(ids(await bookings.list({ eventType, from: '2031-06-05', to: '2031-06-15' }))).toEqual([cancelled.booking_id]);
+    });
+
+    test('update changes the given columns and bumps the calendar sequence', async () => {
+      const booking = await bookings.create(newBooking());
+
+      expect(await bookings.update(booking.booking_id, { event_time: '14:00', message: 'Moved' })).toBe(true);
+      const updated = await bookings.findById(booking.booking_id);
+      expect(updated).toMatchObject({ event_time: '14:00', message: 'Moved' });
+      expect(Number(updated.ical_sequence)).toBe(1);
+
+      expect(await bookings.update(booking.booking_id, { not_a_column: 'x' })).toBe(false);
+      expect(await bookings.update(`${prefix}-missing`, { message: 'x' })).toBe(false);
+    });
+
+    test('update with expectedStatus only applies while the booking has that status', async () => {
+      const booking = await bookings.create(newBooking({ status: 'pending_approval' }));
+
+      expect(await bookings.update(booking.booking_id, { status: 'cancelled' }, { expectedStatus: 'confirmed' })).toBe(false);
+      expect((await bookings.findById(booking.booking_id)).status).toBe('pending_approval');
+
+      expect(await bookings.update(booking.booking_id, { status: 'confirmed' }, { expectedStatus: 'pending_approval' })).toBe(true);
+      expect((await bookings.findById(booking.booking_id)).status).toBe('confirmed');
+    });
+
+    test('a transaction commits its writes and resolves to the callback result', async () => {
+      const booking = newBooking();
+      const result = await db.withTransaction(async () => {
+        await bookings.create(booking);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(await bookings.findById(booking.booking_id)).not.toBeNull();
+    });
+
+    test('a failing transaction rolls back its writes and rejects with the error', async () => {
+      const booking = newBooking();
+      await expect(db.withTransaction(async () => {
+        await bookings.create(booking);
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await bookings.findById(booking.booking_id)).toBeNull();
+    });
+
+    test('a nested transaction joins the outer one and rolls back with it', async () => {
+      const outer = newBooking();
+      const inner = newBooking();
+      await expect(db.withTransaction(async () => {
+        await bookings.create(outer);
+        await db.withTransaction(() => bookings.create(inner));
+        throw new Error('abort');
+      })).rejects.toThrow('abort');
+
+      expect(await bookings.findById(outer.booking_id)).toBeNull();
+      expect(await bookings.findById(inner.booking_id)).toBeNull();
+    });
+
+    test('a rollback keeps writes made outside the transaction meanwhile', async () => {
+      const inside = newBooking();
+      const outside = newBooking();
+      let insideWritten;
+      const written = new Promise((resolve) => { insideWritten = resolve; });
+
+      const failing = db.withTransaction(async () => {
+        await bookings.create(inside);
+        insideWritten();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        throw new Error('abort');
+      });
+      await written;
+      const concurrent = bookings.create(outside);
+
+      await expect(failing).rejects.toThrow('abort');
+      await concurrent;
+      expect(await bookings.findById(inside.booking_id)).toBeNull();
+      expect(await bookings.findById(outside.booking_id)).not.toBeNull();
+    });
+
+    test('transactions run one at a time', async () => {
+      const booking = await bookings.create(newBooking({ duration: 0 }));
+      const increment = () => db.withTransaction(async () => {
+        const { duration } = await bookings.findById(booking.booking_id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await bookings.update(booking.booking_id, { duration: Number(duration) + 1 });
+      });
+
+      await Promise.all([increment(), increment(), increment()]);
+      expect(Number((await bookings.findById(booking.booking_id)).duration)).toBe(3);
+    });
+  });
+}
+
+storageContract('SQLite', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), '4ever-storage-'));
+  return {
+    url: `sqlite:${path.join(dir, 'contract.db')}`,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+});
+
+if (POSTGRES_URL) {
+  storageContract('Postgres', () => ({ url: POSTGRES_URL }));
+} else {
+  describe.skip('Postgres storage (set DATABASE_URL to a postgres:// URL to run)', () => {
+    test('contract', () => {});
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * Loads server.js on a fresh, migrated SQLite database in a temporary
+ * directory, for tests that go through the HTTP API with supertest. Mail goes
+ * to files and calendars to memory; `env` adds or overrides settings. Call
+ * from beforeAll, and close() from afterAll.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function createTestApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), '4ever-test-'));
+  Object.assign(process.env, {
+    DATABASE_URL: `sqlite:${path.join(dir, 'bookings.db')}`,
+    JWT_SECRET: 'test-secret-that-is-long-enough-for-hs256',
+    BUSINESS_EMAIL: 'studio@example.com',
+    BUSINESS_TIMEZONE: 'America/Los_Angeles',
+    MAIL_TRANSPORT: 'file',
+    MAIL_FILE_DIR: path.join(dir, 'mail'),
+    CALENDAR_PROVIDER: 'memory',
+    GOOGLE_SHEETS_ID: ''
+  }, env);
+
+  // Migrations and the booking flow log every step
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await require('../../lib/migrations').migrateUp();
+  const db = require('../../lib/db');
+  const app = require('../../server');
+
+  async function close() {
+    await db.closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  }
+
+  return { app, db, dir, close };
+}
+
+/**
+ * 'YYYY-MM-DD' a number of days from today
+ */
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = { createTestApp, daysFromNow };
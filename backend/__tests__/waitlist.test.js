@@ -0,0 +1,129 @@
+/**
+ * Waitlist: an opening offered when a booking is cancelled, claiming it,
+ * offers running out, and the next client in line getting the date
+ */
+
+const request = require('supertest');
+const { createTestApp, daysFromNow } = require('./support/test-app');
+
+describe('waitlist', () => {
+  let testApp;
+  let waitlist;
+  let manageLinks;
+  let day = 0;
+  let eventDate;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    waitlist = require('../lib/waitlist');
+    manageLinks = require('../lib/manage-links');
+  });
+
+  afterAll(() => testApp.close());
+
+  // A date of its own for each test, open for a single consultation and booked up
+  beforeEach(async () => {
+    day += 1;
+    eventDate = daysFromNow(30 + day);
+    await testApp.db.dbRun(
+      'INSERT INTO availability (date, start_time, end_time, is_available) VALUES (?, ?, ?, 1)',
+      [eventDate, '10:00', '11:00']
+    );
+  });
+
+  async function bookTheDate() {
+    const response = await request(testApp.app).post('/api/bookings').send({
+      clientName: 'Avery Client',
+      clientEmail: 'avery@example.com',
+      clientPhone: '4155550134',
+      eventDate,
+      eventTime: '10:00',
+      eventType: 'consultation',
+      location: 'Golden Gate Park'
+    });
+    expect(response.status).toBe(200);
+    return response.body.booking_id;
+  }
+
+  function join(name) {
+    return request(testApp.app).post('/api/waitlist').send({
+      clientName: `${name} Waiting`,
+      clientEmail: `${name.toLowerCase()}@example.com`,
+      clientPhone: '4155550199',
+      eventDate,
+      eventType: 'consultation'
+    });
+  }
+
+  function cancel(bookingId) {
+    return request(testApp.app).post(`/api/manage/${manageLinks.createManageToken(bookingId)}/cancel`).send({});
+  }
+
+  // The claim token from the newest offer email sent to an address, once it's queued
+  async function offeredToken(email) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const offer = await testApp.db.dbGet(
+        "SELECT body_text FROM notification_outbox WHERE kind = 'waitlist_offer' AND recipient = ? ORDER BY id DESC LIMIT 1",
+        [email]
+      );
+      if (offer) return offer.body_text.match(/\/waitlist\/claim\/(\S+)/)[1];
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`No waitlist offer sent to ${email}`);
+  }
+
+  function claim(token) {
+    return request(testApp.app).post(`/api/waitlist/claim/${token}`).send({ eventTime: '10:00', location: 'Ocean Beach' });
+  }
+
+  test('a cancellation offers the date to the first in line, who can claim it once', async () => {
+    const bookingId = await bookTheDate();
+    const first = await join('Blake');
+    const second = await join('Casey');
+    expect(first.status).toBe(201);
+    expect([first.body.position, second.body.position]).toEqual([1, 2]);
+
+    expect((await cancel(bookingId)).status).toBe(200);
+    const token = await offeredToken('blake@example.com');
+    expect((await waitlist.findById(first.body.entry_id)).status).toBe('offered');
+    expect((await waitlist.findById(second.body.entry_id)).status).toBe('waiting');
+
+    const offer = await request(testApp.app).get(`/api/waitlist/claim/${token}`);
+    expect(offer.status).toBe(200);
+    expect(offer.body.available_slots.map(slot => slot.time)).toEqual(['10:00']);
+
+    const claimed = await claim(token);
+    expect(claimed.status).toBe(200);
+    expect(claimed.body.status).toBe('confirmed');
+    expect(await waitlist.findById(first.body.entry_id)).toMatchObject({ status: 'booked', booking_id: claimed.body.booking_id });
+
+    const again = await claim(token);
+    expect(again.status).toBe(409);
+    expect(again.body.error).toMatch(/already booked/);
+  });
+
+  test('an offer that ran out cannot be claimed, and the next in line is offered the date', async () => {
+    const bookingId = await bookTheDate();
+    const first = await join('Drew');
+    const second = await join('Emery');
+
+    await cancel(bookingId);
+    const token = await offeredToken('drew@example.com');
+    await testApp.db.dbRun('UPDATE waitlist_entries SET offer_expires_at = ? WHERE id = ?', ['2020-01-01T00:00:00.000Z', first.body.entry_id]);
+
+    const late = await claim(token);
+    expect(late.status).toBe(409);
+    expect(late.body.error).toBe('This offer is no longer open');
+
+    expect(await waitlist.expireStale()).toBe(1);
+    expect((await waitlist.findById(first.body.entry_id)).status).toBe('expired');
+
+    const sendOffer = jest.fn();
+    const offered = await waitlist.offerNext(eventDate, 'consultation', sendOffer);
+    expect(offered).toMatchObject({ id: second.body.entry_id, status: 'offered', offer_count: 1 });
+    expect(sendOffer).toHaveBeenCalledWith(expect.objectContaining({ id: second.body.entry_id }));
+
+    // One open offer per date and session type
+    expect(await waitlist.offerNext(eventDate, 'consultation', sendOffer)).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Admin account setup for 4everevents Booking System
+ * Creates the first admin (or additional staff) for the protected API routes
+ *
+ *   npm run admin:create         Interactive prompt (or set ADMIN_EMAIL/ADMIN_PASSWORD[/ADMIN_ROLE])
+ *   npm run admin:list           Show existing admin accounts
+ *   node admin-setup.js revoke <email>   Sign an admin out everywhere
+ */
+
+const readline = require('readline');
+
+require('dotenv').config();
+
+const { dbAll, dbGet, closeDb } = require('./lib/db');
+const { ROLES, createAdminUser, revokeAllTokens, getJwtSecret } = require('./lib/admin-auth');
+const migrations = require('./lib/migrations');
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+
+// Read a line without echoing it (falls back to a normal prompt when not a TTY)
+function questionHidden(query) {
+  if (!process.stdin.isTTY) return question(query);
+  return new Promise((resolve) => {
+    const write = rl._writeToOutput;
+    rl._writeToOutput = (text) => {
+      if (text.includes(query)) write.call(rl, text);
+    };
+    rl.question(query, (answer) => {
+      rl._writeToOutput = write;
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function createAdmin() {
+  console.log('\n🔐 4everevents Admin Account Setup\n');
+
+  if (!getJwtSecret()) {
+    console.log('⚠️  JWT_SECRET is not set in .env - logins will be refused until it is (run: npm run setup)\n');
+  }
+
+  const existing = await dbGet('SELECT COUNT(*) AS count FROM admin_users');
+  const defaultRole = existing.count === 0 ? 'admin' : 'staff';
+
+  // Non-interactive mode for scripted deploys
+  if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+    const user = await createAdminUser(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD, process.env.ADMIN_ROLE || defaultRole);
+    console.log(`✅ Created ${user.role} account for ${user.email}`);
+    return;
+  }
+
+  const email = (await question('📧 Admin email: ')).trim();
+  if (!email || !email.includes('@')) {
+    throw new Error('A valid email is required');
+  }
+  const role = (await question(`👤 Role (${ROLES.join('/')}) [${defaultRole}]: `)).trim() || defaultRole;
+  const password = await questionHidden('🔑 Password (min 12 characters): ');
+  const confirm = await questionHidden('🔑 Confirm password: ');
+  if (password !== confirm) {
+    throw new Error('Passwords do not match');
+  }
+
+  const user = await createAdminUser(email, password, role);
+  console.log(`\n✅ Created ${user.role} account for ${user.email}`);
+  console.log('📋 Sign in with: POST /api/admin/login { "email", "password" }');
+}
+
+async function listAdmins() {
+  const users = await dbAll('SELECT id, email, role, is_active, last_login_at, created_at FROM admin_users ORDER BY id');
+  if (!users.length) {
+    console.log('No admin accounts yet. Run: npm run admin:create');
+    return;
+  }
+  console.table(users);
+}
+
+async function revokeAdmin(email) {
+  const user = await dbGet('SELECT id, email FROM admin_users WHERE email = ?', [String(email || '').trim().toLowerCase()]);
+  if (!user) {
+    throw new Error(`No admin account for ${email}`);
+  }
+  await revokeAllTokens(user.id);
+  console.log(`✅ All sessions revoked for ${user.email}`);
+}
+
+// Handle command line arguments
+const command = process.argv[2] || 'create';
+const actions = {
+  create: createAdmin,
+  list: listAdmins,
+  revoke: () => revokeAdmin(process.argv[3])
+};
+
+if (!actions[command]) {
+  console.error(`❌ Unknown command "${command}" (expected: create, list, revoke <email>)`);
+  process.exit(1);
+}
+
+migrations.assertSchemaCurrent()
+  .then(actions[command])
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    rl.close();
+    closeDb();
+  });
@@ -16,10 +16,12 @@ require('dotenv').config();
 // - calendar: full calendar access (required for calendarList.list in tests and events.list/insert)
 // - gmail.send: send email confirmations/notifications
 // - gmail.readonly: used by test to read profile
+// - spreadsheets: booking ledger rows in GOOGLE_SHEETS_ID
 const SCOPES = [
   'https://www.googleapis.com/auth/calendar',
   'https://www.googleapis.com/auth/gmail.send',
-  'https://www.googleapis.com/auth/gmail.readonly'
+  'https://www.googleapis.com/auth/gmail.readonly',
+  'https://www.googleapis.com/auth/spreadsheets'
 ];
 
 const rl = readline.createInterface({
@@ -0,0 +1,192 @@
+/**
+ * Admin authentication - bcrypt passwords, short-lived JWT access tokens
+ * and rotating refresh tokens stored (hashed) in admin_refresh_tokens.
+ *
+ * Access tokens carry the user's token_version; bumping it (logout-all,
+ * deactivation) invalidates every outstanding access token immediately.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { dbRun, dbGet } = require('./db');
+
+const ROLES = ['admin', 'staff'];
+const ACCESS_TOKEN_TYPE = 'admin_access';
+const BCRYPT_ROUNDS = 12;
+
+let dummyHash = null;
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret || secret === 'your-super-secret-jwt-key') return null;
+  return secret;
+}
+
+function refreshTokenTtlMs() {
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS || '30', 10);
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, role: user.role };
+}
+
+async function createAdminUser(email, password, role = 'admin') {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+  }
+  if (!password || password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const result = await dbRun(
+    'INSERT INTO admin_users (email, password_hash, role) VALUES (?, ?, ?)',
+    [normalizedEmail, passwordHash, role]
+  );
+  return { id: result.lastID, email: normalizedEmail, role };
+}
+
+/**
+ * Returns the user for valid credentials, otherwise null.
+ */
+async function verifyCredentials(email, password) {
+  const user = await dbGet(
+    'SELECT * FROM admin_users WHERE email = ? AND is_active = 1',
+    [String(email || '').trim().toLowerCase()]
+  );
+  // Compare against a dummy hash for unknown users to keep timing uniform
+  if (!user && !dummyHash) dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+  const hash = user ? user.password_hash : dummyHash;
+  const ok = await bcrypt.compare(String(password || ''), hash);
+  return user && ok ? user : null;
+}
+
+async function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { sub: String(user.id), role: user.role, ver: user.token_version, typ: ACCESS_TOKEN_TYPE },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs()).toISOString();
+  await dbRun(
+    'INSERT INTO admin_refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [user.id, hashRefreshToken(refreshToken), expiresAt]
+  );
+  const { exp } = jwt.decode(accessToken);
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_at: new Date(exp * 1000).toISOString(),
+    user: publicUser(user)
+  };
+}
+
+async function login(email, password) {
+  const user = await verifyCredentials(email, password);
+  if (!user) return null;
+  await dbRun('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+  return issueTokens(user);
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * revoked (rotation), so a stolen refresh token can only be used once.
+ */
+async function refresh(refreshToken) {
+  const record = await dbGet(
+    'SELECT * FROM admin_refresh_tokens WHERE token_hash = ?',
+    [hashRefreshToken(refreshToken)]
+  );
+  if (!record || record.revoked_at || new Date(record.expires_at) <= new Date()) return null;
+
+  const user = await dbGet('SELECT * FROM admin_users WHERE id = ? AND is_active = 1', [record.user_id]);
+  if (!user) return null;
+
+  const revoked = await dbRun(
+    'UPDATE admin_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [record.id]
+  );
+  if (!revoked.changes) return null;
+  return issueTokens(user);
+}
+
+async function revokeRefreshToken(refreshToken) {
+  await dbRun(
+    'UPDATE admin_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashRefreshToken(refreshToken)]
+  );
+}
+
+/**
+ * Invalidate every access and refresh token issued to a user.
+ */
+async function revokeAllTokens(userId) {
+  await dbRun('UPDATE admin_users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+  await dbRun(
+    'UPDATE admin_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+/**
+ * Express middleware: require a valid admin access token with one of the
+ * given roles (any role when none are given). Sets res.locals.adminUser.
+ */
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    const secret = getJwtSecret();
+    if (!secret) {
+      return res.status(503).json({ success: false, error: 'Admin authentication is not configured (set JWT_SECRET)' });
+    }
+
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(match[1], secret);
+    } catch (_) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+    if (payload.typ !== ACCESS_TOKEN_TYPE) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    try {
+      const user = await dbGet('SELECT * FROM admin_users WHERE id = ? AND is_active = 1', [payload.sub]);
+      if (!user || user.token_version !== payload.ver) {
+        return res.status(401).json({ success: false, error: 'Token has been revoked' });
+      }
+      if (roles.length && !roles.includes(user.role)) {
+        return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+      }
+      res.locals.adminUser = publicUser(user);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  getJwtSecret,
+  createAdminUser,
+  login,
+  refresh,
+  revokeRefreshToken,
+  revokeAllTokens,
+  requireAdmin,
+  publicUser
+};
@@ -0,0 +1,193 @@
+/**
+ * Booking repository - every read and write of the bookings, audit_logs and
+ * booking_notes tables goes through here, so route handlers don't carry SQL
+ * and the same code runs on whichever storage adapter DATABASE_URL selects.
+ */
+
+const { dbRun, dbGet, dbAll } = require('./db');
+
+// Columns callers may set on create/update
+const WRITABLE_COLUMNS = [
+  'client_name',
+  'client_email',
+  'client_phone',
+  'event_date',
+  'event_time',
+  'event_type',
+  'location',
+  'message',
+  'duration',
+  'status',
+  'calendar_event_id',
+  'guest_count',
+  'referral_source',
+  'sms_opt_in'
+];
+
+// Columns whose change makes a new version of the booking's calendar event
+const SEQUENCE_COLUMNS = ['event_date', 'event_time', 'duration', 'location', 'status'];
+
+// Legacy rows store event_date as a UTC-midnight millisecond timestamp
+function legacyDate(dateStr) {
+  return Date.parse(`${dateStr}T00:00:00Z`);
+}
+
+function pickColumns(fields) {
+  return WRITABLE_COLUMNS.filter(column => fields[column] !== undefined);
+}
+
+/**
+ * Insert a booking; `booking` uses column names and must include booking_id
+ */
+async function create(booking) {
+  const columns = ['booking_id', ...pickColumns(booking)];
+  await dbRun(
+    `INSERT INTO bookings (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => booking[column])
+  );
+  return findById(booking.booking_id);
+}
+
+async function findById(bookingId) {
+  return (await dbGet('SELECT * FROM bookings WHERE booking_id = ?', [bookingId])) || null;
+}
+
+/**
+ * Bookings newest first, filtered by any of status, eventType and an
+ * inclusive from/to date range; activeOnly leaves out cancelled ones
+ */
+async function list({ status = null, eventType = null, from = null, to = null, activeOnly = false } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (activeOnly) where.push("status != 'cancelled'");
+  if (eventType) {
+    where.push('event_type = ?');
+    params.push(eventType);
+  }
+  if (from) {
+    where.push('event_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('event_date <= ?');
+    params.push(to);
+  }
+  return dbAll(
+    `SELECT * FROM bookings ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY event_date DESC, event_time DESC`,
+    params
+  );
+}
+
+/**
+ * Non-cancelled bookings on any of the given dates (legacy rows included)
+ */
+async function listActiveOnDates(dates) {
+  const values = [...dates, ...dates.map(legacyDate)];
+  return dbAll(
+    `SELECT * FROM bookings
+     WHERE status != 'cancelled' AND event_date IN (${values.map(() => '?').join(', ')})`,
+    values
+  );
+}
+
+/**
+ * Non-cancelled bookings from one date to another, inclusive (legacy rows included)
+ */
+async function listActiveBetween(from, to) {
+  return dbAll(
+    `SELECT * FROM bookings
+     WHERE status != 'cancelled'
+       AND ((event_date >= ? AND event_date <= ?) OR (event_date BETWEEN ? AND ?))`,
+    [from, to, legacyDate(from), legacyDate(to)]
+  );
+}
+
+/**
+ * Update some columns. With expectedStatus the update only applies while the
+ * booking still has that status. Changing any SEQUENCE_COLUMNS bumps
+ * ical_sequence. Resolves to true when a row changed.
+ */
+async function update(bookingId, fields, { expectedStatus = null } = {}) {
+  const columns = pickColumns(fields);
+  if (!columns.length) return false;
+  const params = [...columns.map(column => fields[column]), bookingId];
+  const assignments = columns.map(column => `${column} = ?`);
+  if (columns.some(column => SEQUENCE_COLUMNS.includes(column))) assignments.push('ical_sequence = ical_sequence + 1');
+  let sql = `UPDATE bookings SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE booking_id = ?`;
+  if (expectedStatus) {
+    sql += ' AND status = ?';
+    params.push(expectedStatus);
+  }
+  const result = await dbRun(sql, params);
+  return result.changes > 0;
+}
+
+async function audit(requestId, event, details) {
+  await dbRun(
+    'INSERT INTO audit_logs (request_id, event, details) VALUES (?, ?, ?)',
+    [requestId || null, event, JSON.stringify(details)]
+  );
+}
+
+async function listAuditLogs({ limit = 100 } = {}) {
+  return dbAll(
+    'SELECT id, request_id, event, details, created_at FROM audit_logs ORDER BY id DESC LIMIT ?',
+    [limit]
+  );
+}
+
+/**
+ * Status changes recorded for a booking, oldest first
+ */
+async function statusHistory(bookingId) {
+  const rows = await dbAll(
+    "SELECT details, created_at FROM audit_logs WHERE event = 'booking_status_changed' AND details LIKE ? ORDER BY id",
+    [`%"bookingId":"${bookingId}"%`]
+  );
+  return rows.map(row => Object.assign(JSON.parse(row.details), { at: row.created_at }));
+}
+
+/**
+ * Every audit log entry that mentions a booking, newest first
+ */
+async function auditTrail(bookingId, { limit = 200 } = {}) {
+  const rows = await dbAll(
+    'SELECT id, request_id, event, details, created_at FROM audit_logs WHERE details LIKE ? ORDER BY id DESC LIMIT ?',
+    [`%"bookingId":"${bookingId}"%`, limit]
+  );
+  return rows.map(row => Object.assign({}, row, { details: JSON.parse(row.details) }));
+}
+
+async function addNote(bookingId, { body, authorId = null, authorEmail = null }) {
+  const result = await dbRun(
+    'INSERT INTO booking_notes (booking_id, author_id, author_email, body) VALUES (?, ?, ?, ?)',
+    [bookingId, authorId, authorEmail, body]
+  );
+  return dbGet('SELECT * FROM booking_notes WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * A booking's notes, oldest first
+ */
+async function listNotes(bookingId) {
+  return dbAll('SELECT * FROM booking_notes WHERE booking_id = ? ORDER BY id', [bookingId]);
+}
+
+module.exports = {
+  create,
+  findById,
+  list,
+  listActiveOnDates,
+  listActiveBetween,
+  update,
+  audit,
+  listAuditLogs,
+  statusHistory,
+  auditTrail,
+  addNote,
+  listNotes
+};
@@ -0,0 +1,60 @@
+/**
+ * Booking status workflow.
+ *
+ *   requested ─┬─> pending_payment ─┬─> pending_approval ─> confirmed ─┬─> completed
+ *              │                    └──────────────────────> confirmed  ├─> no_show
+ *              ├─> pending_approval ─> confirmed                        └─> cancelled
+ *              └─────────────────────> confirmed
+ *   (any open status) ─> cancelled
+ *
+ * Whether a request goes through pending_approval depends on the session
+ * type's requires_approval flag; pending_payment holds the slot while a
+ * deposit is paid (lib/payments.js). completed / no_show only make sense once the
+ * session has started. completed, cancelled and no_show are final.
+ */
+
+const STATUSES = ['requested', 'pending_payment', 'pending_approval', 'confirmed', 'completed', 'cancelled', 'no_show'];
+const FINAL_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+function isOpen(status) {
+  return !FINAL_STATUSES.includes(status);
+}
+
+/**
+ * First status after 'requested' for a new booking of this type
+ */
+function initialStatus(sessionType) {
+  return sessionType && sessionType.requires_approval ? 'pending_approval' : 'confirmed';
+}
+
+/**
+ * Statuses a booking may move to next. sessionStarted says whether the
+ * session's start time has passed.
+ */
+function allowedTransitions(status, sessionType, { sessionStarted = false } = {}) {
+  switch (status) {
+    case 'requested':
+      return [initialStatus(sessionType), 'cancelled'];
+    case 'pending_payment':
+      return [initialStatus(sessionType), 'cancelled'];
+    case 'pending_approval':
+      return ['confirmed', 'cancelled'];
+    case 'confirmed':
+      return sessionStarted ? ['completed', 'no_show', 'cancelled'] : ['cancelled'];
+    default:
+      return [];
+  }
+}
+
+function canTransition(from, to, sessionType, options) {
+  return allowedTransitions(from, sessionType, options).includes(to);
+}
+
+module.exports = {
+  STATUSES,
+  FINAL_STATUSES,
+  isOpen,
+  initialStatus,
+  allowedTransitions,
+  canTransition
+};
@@ -0,0 +1,170 @@
+/**
+ * Bookings as iCalendar: subscribable feeds of the studio's bookings, for
+ * second shooters and assistants, and the iTIP invitations attached to
+ * client emails. Each feed is a secret URL, PUBLIC_URL/api/calendar/<token>.ics,
+ * handed to one subscriber. Only the token's SHA-256 hash is stored, so a feed
+ * can be revoked on its own but its URL can't be shown again. Feed events
+ * name the client, the session type and the booking reference - no contact
+ * details, location or message, and no attendees.
+ *
+ * Events keep the UID booking-form.js gives its downloads (<booking_id>@4everevents)
+ * and carry the booking's ical_sequence, so a calendar app updates the copy
+ * it already has; cancelled bookings stay in the feed as STATUS:CANCELLED.
+ */
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+const ical = require('./ical');
+const timezone = require('./timezone');
+
+// How often subscribers are asked to refetch (most apps decide for themselves)
+const REFRESH_INTERVAL = 'PT15M';
+
+const EVENT_STATUS = {
+  requested: 'TENTATIVE',
+  pending_payment: 'TENTATIVE',
+  pending_approval: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function bookingUid(bookingId) {
+  return `${bookingId}@4everevents`;
+}
+
+function feedUrl(token) {
+  const base = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  return `${base}/api/calendar/${token}.ics`;
+}
+
+/**
+ * New feed; the only time its token and URL are returned
+ */
+async function createFeed({ label, createdBy = null }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const result = await dbRun(
+    'INSERT INTO calendar_feeds (label, token_hash, created_by) VALUES (?, ?, ?)',
+    [label, hashToken(token), createdBy]
+  );
+  return { id: result.lastID, label, token, url: feedUrl(token) };
+}
+
+async function listFeeds({ includeRevoked = false } = {}) {
+  return dbAll(
+    `SELECT id, label, created_by, created_at, last_accessed_at, revoked_at FROM calendar_feeds
+     ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY id`
+  );
+}
+
+/**
+ * Resolves to true when a live feed was revoked
+ */
+async function revokeFeed(id) {
+  const result = await dbRun(
+    'UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * The live feed a token belongs to, or null; records the access
+ */
+async function findFeedByToken(token) {
+  const feed = await dbGet(
+    'SELECT id, label FROM calendar_feeds WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashToken(token)]
+  );
+  if (!feed) return null;
+  await dbRun('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?', [feed.id]);
+  return feed;
+}
+
+function mailto(person) {
+  const name = person.name ? `;CN="${String(person.name).replace(/["\r\n]/g, '')}"` : '';
+  return `${name}:mailto:${person.email}`;
+}
+
+/**
+ * VEVENT content lines for a booking. `event` is the booking's calendar
+ * event ({ summary, description, location, start, end }) plus bookingId,
+ * status (a booking status), sequence, created and updated; `extra` lines
+ * go at the end of the VEVENT.
+ */
+function eventLines(event, extra = []) {
+  const updated = ical.formatUtc(event.updated ? timezone.parseTimestamp(event.updated) : new Date());
+  return [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(event.bookingId)}`,
+    `DTSTAMP:${updated}`,
+    event.created && `CREATED:${ical.formatUtc(timezone.parseTimestamp(event.created))}`,
+    `LAST-MODIFIED:${updated}`,
+    `SEQUENCE:${Number(event.sequence) || 0}`,
+    `DTSTART:${ical.formatUtc(event.start)}`,
+    `DTEND:${ical.formatUtc(event.end)}`,
+    `SUMMARY:${ical.escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${ical.escapeText(event.description)}`,
+    event.location && `LOCATION:${ical.escapeText(event.location)}`,
+    `STATUS:${EVENT_STATUS[event.status] || 'CONFIRMED'}`,
+    ...extra,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * A whole feed as iCalendar text
+ */
+function renderFeed(events, { name = '4everevents Bookings' } = {}) {
+  return ical.serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//4everevents//Booking API//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${ical.escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone.getBusinessTimeZone()}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap(event => eventLines(event)),
+    'END:VCALENDAR'
+  ]);
+}
+
+/**
+ * iTIP invitation for one booking: METHOD:REQUEST adds or updates the
+ * client's calendar entry, METHOD:CANCEL removes it. The client booked the
+ * session themselves, so they're listed as having accepted and no reply is
+ * asked for.
+ */
+function renderInvite(event, { method, organizer, attendee }) {
+  return ical.serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//4everevents//Booking API//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...eventLines(event, [
+      `ORGANIZER${mailto(organizer)}`,
+      `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE${mailto(attendee)}`
+    ]),
+    'END:VCALENDAR'
+  ]);
+}
+
+module.exports = {
+  bookingUid,
+  feedUrl,
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  findFeedByToken,
+  eventLines,
+  renderFeed,
+  renderInvite
+};
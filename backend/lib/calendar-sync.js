@@ -0,0 +1,377 @@
+/**
+ * Two-way reconciliation between bookings and their calendar events (the
+ * CALENDAR_PROVIDER calendar, see lib/calendar).
+ *
+ * Every CALENDAR_RECONCILE_MINUTES (default 15, 0 for none) each open booking
+ * from yesterday on is compared with its event:
+ *
+ *   moved     the event's date, time or length differs from the booking's.
+ *             Whichever side changed last wins: an event moved in the
+ *             calendar moves the booking, a booking rescheduled while the
+ *             calendar was unreachable moves the event
+ *   deleted   the event is gone; the booking is flagged until the studio
+ *             cancels it or recreates the event
+ *   missing   the booking never got an event (the insert failed); the
+ *             insert is retried on every run
+ *
+ * Each finding is a calendar_drift row, resolved once the two sides agree
+ * again. With CALENDAR_WEBHOOK_URL set and a provider that supports it
+ * (Google), a push-notification channel triggers a run whenever the calendar
+ * changes, and is renewed before it expires.
+ *
+ * server.js supplies the calendar as an adapter:
+ *   getEvent(eventId)           the provider's event, or null once it's deleted
+ *   insertEvent(booking)        create the booking's event and save its id
+ *   moveEvent(booking)          move the event to the booking's time
+ *   moveBooking(booking, slot)  move the booking to { date, time, duration };
+ *                               false when the booking changed meanwhile
+ *   watch(channel), stopWatch(channel)   optional
+ */
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+const bookings = require('./booking-repository');
+const bookingStatus = require('./booking-status');
+const timezone = require('./timezone');
+const { startIntervalWorker } = require('./interval-worker');
+
+const DRIFT_KINDS = ['moved', 'deleted', 'missing'];
+const DRIFT_STATUSES = ['open', 'resolved'];
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.CALENDAR_RECONCILE_MINUTES || '15', 10) * 60 * 1000;
+// The request creating a booking inserts its event; leave new ones to it
+const NEW_BOOKING_GRACE_MS = 5 * 60 * 1000;
+// Google keeps an events channel for up to a week; renew it a day early
+const WATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const WATCH_RENEW_MARGIN_MS = 24 * 60 * 60 * 1000;
+// One change in the calendar can produce a burst of notifications
+const NOTIFICATION_DEBOUNCE_MS = 5000;
+
+let activeCalendar = null;
+let running = null;
+let notificationTimer = null;
+let lastRun = null;
+
+/**
+ * The booking's session as { date, time, duration }
+ */
+function bookingSlot(booking) {
+  const date = String(booking.event_date);
+  return {
+    // Legacy rows store event_date as a UTC-midnight millisecond timestamp
+    date: /^\d{10,}$/.test(date) ? new Date(Number(date)).toISOString().slice(0, 10) : date.slice(0, 10),
+    time: String(booking.event_time).padStart(5, '0'),
+    duration: Number(booking.duration || 120)
+  };
+}
+
+/**
+ * The event's session in business-local time, as a booking would store it;
+ * null for an all-day event
+ */
+function eventSlot(event) {
+  if (event.allDay) return null;
+  return Object.assign(timezone.utcToZoned(event.start), { duration: Math.round((event.end - event.start) / 60000) });
+}
+
+function sameSlot(a, b) {
+  return a.date === b.date && a.time === b.time && a.duration === b.duration;
+}
+
+/**
+ * Record a finding for a booking, updating its open row of that kind if
+ * there is one. With `resolution` the row is closed straight away - drift
+ * that was fixed on the spot.
+ */
+async function recordDrift(booking, kind, details = {}, { resolution = null } = {}) {
+  const open = await dbGet(
+    "SELECT id FROM calendar_drift WHERE booking_id = ? AND kind = ? AND status = 'open'",
+    [booking.booking_id, kind]
+  );
+  const status = resolution ? 'resolved' : 'open';
+  if (open) {
+    await dbRun(
+      `UPDATE calendar_drift SET details = ?, status = ?, resolution = ?, calendar_event_id = ?, last_seen_at = CURRENT_TIMESTAMP,
+         resolved_at = ${resolution ? 'CURRENT_TIMESTAMP' : 'NULL'}
+       WHERE id = ?`,
+      [JSON.stringify(details), status, resolution, booking.calendar_event_id || null, open.id]
+    );
+    return false;
+  }
+  await dbRun(
+    `INSERT INTO calendar_drift (booking_id, kind, calendar_event_id, details, status, resolution, resolved_at)
+     VALUES (?, ?, ?, ?, ?, ?, ${resolution ? 'CURRENT_TIMESTAMP' : 'NULL'})`,
+    [booking.booking_id, kind, booking.calendar_event_id || null, JSON.stringify(details), status, resolution]
+  );
+  return true;
+}
+
+/**
+ * Close a booking's open drift of the given kinds. Resolves to how many rows closed.
+ */
+async function resolveDrift(bookingId, kinds, resolution) {
+  const result = await dbRun(
+    `UPDATE calendar_drift SET status = 'resolved', resolution = ?, resolved_at = CURRENT_TIMESTAMP
+     WHERE booking_id = ? AND status = 'open' AND kind IN (${kinds.map(() => '?').join(', ')})`,
+    [resolution, bookingId, ...kinds]
+  );
+  return result.changes;
+}
+
+/**
+ * Drift newest first, filtered by any of status, kind and booking
+ */
+async function listDrift({ status = null, kind = null, bookingId = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (kind) {
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (bookingId) {
+    where.push('booking_id = ?');
+    params.push(bookingId);
+  }
+  const rows = await dbAll(
+    `SELECT * FROM calendar_drift ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(row => Object.assign({}, row, { details: row.details ? JSON.parse(row.details) : null }));
+}
+
+async function countOpenByKind() {
+  const rows = await dbAll("SELECT kind, COUNT(*) AS count FROM calendar_drift WHERE status = 'open' GROUP BY kind");
+  return DRIFT_KINDS.reduce((counts, kind) => {
+    const row = rows.find(r => r.kind === kind);
+    counts[kind] = row ? Number(row.count) : 0;
+    return counts;
+  }, {});
+}
+
+/**
+ * Compare one booking with its event and fix or flag what differs. Resolves
+ * to the outcome: in_sync, moved, deleted, missing, created, flagged or failed.
+ */
+async function reconcileBooking(booking, calendar) {
+  if (!booking.calendar_event_id) {
+    try {
+      await calendar.insertEvent(booking);
+      await resolveDrift(booking.booking_id, ['missing', 'deleted'], 'event_created');
+      return 'created';
+    } catch (error) {
+      await recordDrift(booking, 'missing', { error: error.message });
+      return 'missing';
+    }
+  }
+
+  const event = await calendar.getEvent(booking.calendar_event_id);
+  if (!event || event.status === 'cancelled') {
+    await recordDrift(booking, 'deleted');
+    return 'deleted';
+  }
+  // Restored from the calendar's bin
+  await resolveDrift(booking.booking_id, ['deleted'], 'event_restored');
+
+  const current = bookingSlot(booking);
+  const slot = eventSlot(event);
+  if (!slot) {
+    await recordDrift(booking, 'moved', { booking: current, event: { all_day: true } });
+    return 'flagged';
+  }
+  if (sameSlot(current, slot)) {
+    await resolveDrift(booking.booking_id, ['moved'], 'in_sync');
+    return 'in_sync';
+  }
+
+  const calendarNewer = !event.updated || event.updated >= timezone.parseTimestamp(booking.updated_at);
+  try {
+    if (calendarNewer) {
+      // Changed again since it was read; the next run looks at it afresh
+      if (!(await calendar.moveBooking(booking, slot))) return 'in_sync';
+    } else {
+      await calendar.moveEvent(booking);
+    }
+  } catch (error) {
+    await recordDrift(booking, 'moved', { booking: current, event: slot, error: error.message });
+    return 'failed';
+  }
+  await recordDrift(booking, 'moved', { booking: current, event: slot }, {
+    resolution: calendarNewer ? 'booking_updated' : 'event_updated'
+  });
+  return 'moved';
+}
+
+/**
+ * Check every open booking from yesterday on against the calendar. Resolves to
+ * counts per outcome.
+ */
+async function reconcile(calendar, { now = new Date() } = {}) {
+  const summary = { checked: 0, in_sync: 0, moved: 0, deleted: 0, missing: 0, created: 0, flagged: 0, failed: 0 };
+  const candidates = (await bookings.list({ from: timezone.addDays(timezone.todayInZone(), -1), activeOnly: true }))
+    .filter(booking => bookingStatus.isOpen(booking.status))
+    .filter(booking => now - timezone.parseTimestamp(booking.created_at) >= NEW_BOOKING_GRACE_MS);
+
+  for (const booking of candidates) {
+    summary.checked += 1;
+    try {
+      summary[await reconcileBooking(booking, calendar)] += 1;
+    } catch (error) {
+      console.error(`⚠️ Could not reconcile ${booking.booking_id} with the calendar:`, error.message);
+      summary.failed += 1;
+    }
+  }
+
+  // Cancelled and finished bookings need no event any more
+  await dbRun(
+    `UPDATE calendar_drift SET status = 'resolved', resolution = 'booking_closed', resolved_at = CURRENT_TIMESTAMP
+     WHERE status = 'open' AND booking_id IN (
+       SELECT booking_id FROM bookings WHERE status IN (${bookingStatus.FINAL_STATUSES.map(() => '?').join(', ')})
+     )`,
+    bookingStatus.FINAL_STATUSES
+  );
+  return summary;
+}
+
+/**
+ * Run a reconciliation unless one is already running, in which case resolve
+ * to that one's summary
+ */
+function runReconcile(calendar = activeCalendar) {
+  if (!calendar) return Promise.reject(new Error('Calendar reconciliation is not running'));
+  running = running || reconcile(calendar)
+    .then((summary) => {
+      lastRun = { at: new Date().toISOString(), summary };
+      const changed = summary.moved + summary.deleted + summary.missing + summary.created + summary.flagged + summary.failed;
+      if (changed) console.log(`🔄 Calendar reconciled ${summary.checked} booking(s):`, JSON.stringify(summary));
+      return summary;
+    })
+    .finally(() => {
+      running = null;
+    });
+  return running;
+}
+
+function getLastRun() {
+  return lastRun;
+}
+
+async function findActiveChannel(now = new Date()) {
+  return (await dbGet(
+    'SELECT * FROM calendar_watch_channels WHERE stopped_at IS NULL AND expires_at > ? ORDER BY expires_at DESC LIMIT 1',
+    [now.toISOString()]
+  )) || null;
+}
+
+async function stopChannel(calendar, channel) {
+  try {
+    await calendar.stopWatch({ id: channel.channel_id, resourceId: channel.resource_id });
+  } catch (error) {
+    console.warn(`⚠️ Could not stop Calendar channel ${channel.channel_id}:`, error.message);
+  }
+  await dbRun('UPDATE calendar_watch_channels SET stopped_at = CURRENT_TIMESTAMP WHERE id = ?', [channel.id]);
+}
+
+/**
+ * Register a push-notification channel for CALENDAR_WEBHOOK_URL, or a fresh
+ * one when the current channel expires within a day or points elsewhere.
+ * Resolves to the active channel, or null when no webhook URL is set or the
+ * provider can't push.
+ */
+async function renewWatch(calendar, { address = process.env.CALENDAR_WEBHOOK_URL, now = new Date() } = {}) {
+  if (!address || !calendar.watch) return null;
+  const current = await findActiveChannel(now);
+  if (current && current.address === address && timezone.parseTimestamp(current.expires_at) - now > WATCH_RENEW_MARGIN_MS) {
+    return current;
+  }
+
+  const channel = {
+    id: crypto.randomUUID(),
+    token: crypto.randomBytes(24).toString('hex'),
+    address,
+    ttlSeconds: WATCH_TTL_SECONDS
+  };
+  const registered = await calendar.watch(channel);
+  const expiresAt = new Date(Number(registered.expiration) || now.getTime() + WATCH_TTL_SECONDS * 1000);
+  await dbRun(
+    'INSERT INTO calendar_watch_channels (channel_id, resource_id, token, address, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [channel.id, registered.resourceId || null, channel.token, address, expiresAt.toISOString()]
+  );
+  console.log(`🔔 Calendar push notifications registered until ${expiresAt.toISOString()}`);
+  if (current) await stopChannel(calendar, current);
+  return findActiveChannel(now);
+}
+
+function tokensMatch(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a push notification's channel id and token against the registered
+ * channels and, for a change (anything but the initial 'sync' ping), queue a
+ * reconciliation run. Resolves to false for an unknown channel or token.
+ */
+async function handleNotification({ channelId, token, state }) {
+  if (!channelId) return false;
+  const channel = await dbGet(
+    'SELECT * FROM calendar_watch_channels WHERE channel_id = ? AND stopped_at IS NULL',
+    [channelId]
+  );
+  if (!channel || !tokensMatch(channel.token, token)) return false;
+  if (state !== 'sync' && activeCalendar && !notificationTimer) {
+    notificationTimer = setTimeout(() => {
+      notificationTimer = null;
+      runReconcile().catch(error => console.error('❌ Calendar reconciliation error:', error.message));
+    }, NOTIFICATION_DEBOUNCE_MS);
+    notificationTimer.unref();
+  }
+  return true;
+}
+
+/**
+ * Reconcile every CALENDAR_RECONCILE_MINUTES and keep the push-notification
+ * channel registered. Returns a function that stops both.
+ */
+function startReconciler(calendar, { intervalMs = RECONCILE_INTERVAL_MS } = {}) {
+  activeCalendar = calendar;
+  const tick = async () => {
+    try {
+      await renewWatch(calendar);
+    } catch (error) {
+      console.error('❌ Calendar watch registration failed:', error.message);
+    }
+    if (intervalMs > 0) await runReconcile(calendar);
+  };
+  // Keep renewing the channel even when periodic runs are off
+  const stop = startIntervalWorker('Calendar reconciliation', tick, intervalMs > 0 ? intervalMs : WATCH_RENEW_MARGIN_MS / 4);
+  console.log(intervalMs > 0
+    ? `🔄 Calendar reconciliation every ${Math.round(intervalMs / 60000)} min`
+    : '🔄 Calendar reconciliation on push notifications only');
+  return () => {
+    stop();
+    activeCalendar = null;
+  };
+}
+
+module.exports = {
+  DRIFT_KINDS,
+  DRIFT_STATUSES,
+  eventSlot,
+  recordDrift,
+  resolveDrift,
+  listDrift,
+  countOpenByKind,
+  reconcileBooking,
+  reconcile,
+  runReconcile,
+  getLastRun,
+  findActiveChannel,
+  renewWatch,
+  handleNotification,
+  startReconciler
+};
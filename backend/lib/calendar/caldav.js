@@ -0,0 +1,193 @@
+/**
+ * CalDAV provider, for photographers whose calendar lives on iCloud,
+ * Fastmail, Nextcloud or any other CalDAV server. CALDAV_URL is the calendar
+ * collection, e.g. https://caldav.fastmail.com/dav/calendars/user/you@fastmail.com/Default/,
+ * and CALDAV_USERNAME / CALDAV_PASSWORD an app-specific password.
+ *
+ * Each booking's event is stored as <uid>.ics in the collection and its UID
+ * is the event id. Events carry no ATTENDEE lines, so the server never sends
+ * invitations of its own.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const ical = require('../ical');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    return XML_ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * A VEVENT as the provider-neutral event (see lib/calendar/index.js)
+ */
+function fromVEvent(vevent, fallbackId = null) {
+  const start = ical.parseDateTime(ical.getProp(vevent, 'DTSTART'));
+  if (!start) return null;
+  let end = ical.parseDateTime(ical.getProp(vevent, 'DTEND'));
+  if (!end) {
+    const duration = ical.parseDuration((ical.getProp(vevent, 'DURATION') || {}).value);
+    const length = duration != null ? duration : (start.allDay ? 24 * 60 * 60 * 1000 : 0);
+    end = { instant: new Date(start.instant.getTime() + length) };
+  }
+  const uid = ical.getProp(vevent, 'UID');
+  const status = ical.getProp(vevent, 'STATUS');
+  const transparency = ical.getProp(vevent, 'TRANSP');
+  const modified = ical.parseDateTime(ical.getProp(vevent, 'LAST-MODIFIED') || ical.getProp(vevent, 'DTSTAMP'));
+  return {
+    id: uid ? uid.value : fallbackId,
+    status: status ? status.value.toLowerCase() : 'confirmed',
+    start: start.instant,
+    end: end.instant,
+    allDay: start.allDay,
+    transparent: Boolean(transparency && transparency.value.toUpperCase() === 'TRANSPARENT'),
+    updated: modified ? modified.instant : null
+  };
+}
+
+function createCalDavCalendar({ url, username = null, password = null } = {}) {
+  if (!url) throw new Error('CALDAV_URL is not set');
+  const collection = new URL(url.endsWith('/') ? url : `${url}/`);
+  const transport = collection.protocol === 'http:' ? http : https;
+  const authorization = username ? `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` : null;
+
+  function request(method, target, { body = '', headers = {} } = {}) {
+    const requestHeaders = Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers);
+    if (authorization) requestHeaders.Authorization = authorization;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, { method, headers: requestHeaders, timeout: 30000 }, (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { raw += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: raw }));
+      });
+      req.on('timeout', () => req.destroy(new Error('CalDAV request timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  function eventUrl(id) {
+    return new URL(`${encodeURIComponent(id)}.ics`, collection);
+  }
+
+  function failed(method, response) {
+    return new Error(`CalDAV ${method} returned ${response.status}`);
+  }
+
+  async function listBusy(start, end) {
+    const range = `start="${ical.formatUtc(start)}" end="${ical.formatUtc(end)}"`;
+    const response = await request('REPORT', collection, {
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      body: `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop><C:calendar-data><C:expand ${range}/></C:calendar-data></D:prop>
+  <C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT"><C:time-range ${range}/></C:comp-filter></C:comp-filter></C:filter>
+</C:calendar-query>`
+    });
+    if (response.status !== 207) throw failed('REPORT', response);
+
+    const busy = [];
+    const dataPattern = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+    let match;
+    while ((match = dataPattern.exec(response.body))) {
+      ical.findComponents(ical.parse(decodeXml(match[1])), 'VEVENT').forEach((vevent) => {
+        const event = fromVEvent(vevent);
+        if (event && event.status !== 'cancelled' && !event.transparent && event.start < end && event.end > start) {
+          busy.push({ id: event.id, start: event.start, end: event.end });
+        }
+      });
+    }
+    return busy.sort((a, b) => a.start - b.start);
+  }
+
+  async function fetchEvent(id) {
+    const response = await request('GET', eventUrl(id));
+    if (response.status === 404 || response.status === 410) return null;
+    if (response.status < 200 || response.status >= 300) throw failed('GET', response);
+    return { text: response.body, etag: response.headers.etag || null };
+  }
+
+  async function getEvent(id) {
+    const stored = await fetchEvent(id);
+    if (!stored) return null;
+    const vevent = ical.findComponents(ical.parse(stored.text), 'VEVENT').find(component => !ical.getProp(component, 'RECURRENCE-ID'));
+    return vevent ? Object.assign(fromVEvent(vevent, id), { id }) : null;
+  }
+
+  async function createEvent(event) {
+    const id = crypto.randomUUID();
+    const now = ical.formatUtc(new Date());
+    const body = ical.serialize([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//4everevents//Booking API//EN',
+      'CALSCALE:GREGORIAN',
+      'BEGIN:VEVENT',
+      `UID:${id}`,
+      `DTSTAMP:${now}`,
+      `LAST-MODIFIED:${now}`,
+      `DTSTART:${ical.formatUtc(event.start)}`,
+      `DTEND:${ical.formatUtc(event.end)}`,
+      `SUMMARY:${ical.escapeText(event.summary)}`,
+      event.description && `DESCRIPTION:${ical.escapeText(event.description)}`,
+      event.location && `LOCATION:${ical.escapeText(event.location)}`,
+      `STATUS:${String(event.status || 'confirmed').toUpperCase()}`,
+      'SEQUENCE:0',
+      event.bookingId && `X-4EVEREVENTS-BOOKING-ID:${ical.escapeText(event.bookingId)}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ]);
+    const response = await request('PUT', eventUrl(id), {
+      body,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+    });
+    if (response.status !== 201 && response.status !== 204) throw failed('PUT', response);
+    return { id };
+  }
+
+  async function updateEvent(id, { start, end, status, outcome } = {}) {
+    const stored = await fetchEvent(id);
+    if (!stored) throw new Error(`Calendar event ${id} not found`);
+    const vevent = ical.findComponents(ical.parse(stored.text), 'VEVENT')[0];
+    const sequence = Number((ical.getProp(vevent, 'SEQUENCE') || { value: 0 }).value) || 0;
+    const now = ical.formatUtc(new Date());
+
+    const props = {
+      SEQUENCE: `SEQUENCE:${sequence + 1}`,
+      DTSTAMP: `DTSTAMP:${now}`,
+      'LAST-MODIFIED': `LAST-MODIFIED:${now}`
+    };
+    if (start) props.DTSTART = `DTSTART:${ical.formatUtc(start)}`;
+    if (end) {
+      props.DTEND = `DTEND:${ical.formatUtc(end)}`;
+      props.DURATION = null;
+    }
+    if (status) props.STATUS = `STATUS:${status.toUpperCase()}`;
+    if (outcome) props.CATEGORIES = `CATEGORIES:${ical.escapeText(outcome.toUpperCase())}`;
+
+    const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+    if (stored.etag) headers['If-Match'] = stored.etag;
+    const response = await request('PUT', eventUrl(id), { body: ical.replaceEventProperties(stored.text, props), headers });
+    if (response.status === 412) throw new Error(`Calendar event ${id} changed on the server meanwhile`);
+    if (response.status < 200 || response.status >= 300) throw failed('PUT', response);
+  }
+
+  async function deleteEvent(id) {
+    const response = await request('DELETE', eventUrl(id));
+    if (response.status === 404 || response.status === 410) return;
+    if (response.status < 200 || response.status >= 300) throw failed('DELETE', response);
+  }
+
+  return { name: 'caldav', listBusy, getEvent, createEvent, updateEvent, deleteEvent };
+}
+
+module.exports = { createCalDavCalendar };
@@ -0,0 +1,144 @@
+/**
+ * Google Calendar provider (default). Works on GOOGLE_CALENDAR_ID (default
+ * the account's primary calendar) with the OAuth2 refresh token; needs the
+ * calendar scope. Changes are saved with sendUpdates 'none': clients hear
+ * about them through the booking emails and their iTIP part, not from Google.
+ */
+
+const { google } = require('googleapis');
+const timezone = require('../timezone');
+
+// Calendar colours marking sessions that are over (Google colorId values)
+const OUTCOME_COLORS = {
+  completed: '2',
+  no_show: '8'
+};
+
+function defaultAuth() {
+  const auth = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  auth.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+  return auth;
+}
+
+function zonedTime(instant) {
+  return { dateTime: timezone.toZonedIso(instant), timeZone: timezone.getBusinessTimeZone() };
+}
+
+function fromGoogleEvent(event) {
+  return {
+    id: event.id,
+    status: event.status,
+    start: new Date(event.start.dateTime || event.start.date),
+    end: new Date(event.end.dateTime || event.end.date),
+    allDay: !event.start.dateTime,
+    transparent: event.transparency === 'transparent',
+    updated: event.updated ? new Date(event.updated) : null
+  };
+}
+
+function isGone(error) {
+  const status = error.response && error.response.status;
+  return status === 404 || status === 410;
+}
+
+function createGoogleCalendar({ auth = defaultAuth(), calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary' } = {}) {
+  const calendar = google.calendar({ version: 'v3', auth });
+
+  async function listBusy(start, end) {
+    const events = [];
+    let pageToken;
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 2500,
+        pageToken
+      });
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return events
+      .map(fromGoogleEvent)
+      .filter(event => event.status !== 'cancelled' && !event.transparent)
+      .map(({ id, start: eventStart, end: eventEnd }) => ({ id, start: eventStart, end: eventEnd }));
+  }
+
+  async function getEvent(id) {
+    try {
+      const { data } = await calendar.events.get({ calendarId, eventId: id });
+      return fromGoogleEvent(data);
+    } catch (error) {
+      if (isGone(error)) return null;
+      throw error;
+    }
+  }
+
+  async function createEvent(event) {
+    const { data } = await calendar.events.insert({
+      calendarId,
+      resource: {
+        summary: event.summary,
+        description: event.description,
+        location: event.location,
+        status: event.status,
+        start: zonedTime(event.start),
+        end: zonedTime(event.end),
+        attendees: (event.attendees || []).map(attendee => ({ email: attendee.email, displayName: attendee.name || undefined })),
+        extendedProperties: { private: { bookingId: event.bookingId } },
+        reminders: {
+          useDefault: false,
+          overrides: [
+            { method: 'email', minutes: 24 * 60 },
+            { method: 'popup', minutes: 60 }
+          ]
+        }
+      }
+    });
+    return { id: data.id };
+  }
+
+  async function updateEvent(id, { start, end, status, outcome } = {}) {
+    const resource = {};
+    if (start) resource.start = zonedTime(start);
+    if (end) resource.end = zonedTime(end);
+    if (status) resource.status = status;
+    if (outcome) resource.colorId = OUTCOME_COLORS[outcome];
+    await calendar.events.patch({
+      calendarId,
+      eventId: id,
+      sendUpdates: 'none',
+      resource
+    });
+  }
+
+  async function deleteEvent(id) {
+    try {
+      await calendar.events.delete({ calendarId, eventId: id, sendUpdates: 'none' });
+    } catch (error) {
+      if (!isGone(error)) throw error;
+    }
+  }
+
+  async function watch({ id, token, address, ttlSeconds }) {
+    const { data } = await calendar.events.watch({
+      calendarId,
+      requestBody: { id, token, address, type: 'web_hook', params: { ttl: String(ttlSeconds) } }
+    });
+    return { resourceId: data.resourceId, expiration: data.expiration };
+  }
+
+  async function stopWatch({ id, resourceId }) {
+    await calendar.channels.stop({ requestBody: { id, resourceId } });
+  }
+
+  return { name: 'google', listBusy, getEvent, createEvent, updateEvent, deleteEvent, watch, stopWatch };
+}
+
+module.exports = { createGoogleCalendar };
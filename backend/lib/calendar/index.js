@@ -0,0 +1,68 @@
+/**
+ * Calendar provider selected by CALENDAR_PROVIDER:
+ *   google (default)  Google Calendar GOOGLE_CALENDAR_ID (default primary) with
+ *                     the Google OAuth2 refresh token
+ *   caldav            CALDAV_URL collection with CALDAV_USERNAME / CALDAV_PASSWORD
+ *                     (iCloud, Fastmail, Nextcloud...)
+ *   memory            Events kept in the API process, for development and tests
+ *
+ * Providers expose:
+ *   listBusy(start, end)       [{ id, start, end }] for events that block time
+ *   getEvent(id)               { id, status, start, end, allDay, updated }, or
+ *                              null once the event is deleted
+ *   createEvent(event)         { id }
+ *   updateEvent(id, changes)   changes: { start, end, status, outcome }
+ *   deleteEvent(id)
+ * and Google also watch(channel) / stopWatch(channel) for push notifications.
+ * `event` is { bookingId, summary, description, location, start, end,
+ * status: 'tentative' | 'confirmed', attendees: [{ email, name }] }; times
+ * are Dates.
+ */
+
+const PROVIDERS = ['google', 'caldav', 'memory'];
+
+function providerName(name) {
+  const normalized = String(name || 'google').trim().toLowerCase();
+  if (!PROVIDERS.includes(normalized)) {
+    throw new Error(`Unknown CALENDAR_PROVIDER "${normalized}" (expected: ${PROVIDERS.join(', ')})`);
+  }
+  return normalized;
+}
+
+function createCalendar(name = process.env.CALENDAR_PROVIDER, { googleAuth } = {}) {
+  switch (providerName(name)) {
+    case 'google': {
+      const { createGoogleCalendar } = require('./google');
+      return createGoogleCalendar(googleAuth ? { auth: googleAuth } : {});
+    }
+    case 'caldav': {
+      const { createCalDavCalendar } = require('./caldav');
+      return createCalDavCalendar({
+        url: process.env.CALDAV_URL,
+        username: process.env.CALDAV_USERNAME,
+        password: process.env.CALDAV_PASSWORD
+      });
+    }
+    default: {
+      const { createMemoryCalendar } = require('./memory');
+      return createMemoryCalendar();
+    }
+  }
+}
+
+/**
+ * Whether the provider has the credentials it needs; without them every
+ * call fails and bookings go ahead on local data alone
+ */
+function isConfigured(name = process.env.CALENDAR_PROVIDER) {
+  switch (providerName(name)) {
+    case 'google':
+      return Boolean(process.env.GOOGLE_REFRESH_TOKEN);
+    case 'caldav':
+      return Boolean(process.env.CALDAV_URL);
+    default:
+      return true;
+  }
+}
+
+module.exports = { createCalendar, isConfigured, PROVIDERS };
@@ -0,0 +1,69 @@
+/**
+ * In-memory calendar provider: events live in the API process and vanish on
+ * restart. Lets the whole booking flow - availability, event creation,
+ * status changes, reconciliation - run offline, in development and tests.
+ */
+
+const crypto = require('crypto');
+
+function createMemoryCalendar() {
+  const events = new Map();
+
+  function copy(event) {
+    return Object.assign({}, event, { attendees: (event.attendees || []).slice() });
+  }
+
+  function find(id) {
+    const event = events.get(id);
+    if (!event) throw new Error(`Calendar event ${id} not found`);
+    return event;
+  }
+
+  async function listBusy(start, end) {
+    return [...events.values()]
+      .filter(event => event.status !== 'cancelled' && !event.transparent && event.start < end && event.end > start)
+      .sort((a, b) => a.start - b.start)
+      .map(event => ({ id: event.id, start: event.start, end: event.end }));
+  }
+
+  async function getEvent(id) {
+    const event = events.get(id);
+    return event ? copy(event) : null;
+  }
+
+  async function createEvent(event) {
+    const id = `mem-${crypto.randomUUID()}`;
+    events.set(id, Object.assign(copy(event), {
+      id,
+      status: event.status || 'confirmed',
+      start: new Date(event.start),
+      end: new Date(event.end),
+      allDay: false,
+      transparent: Boolean(event.transparent),
+      updated: new Date()
+    }));
+    return { id };
+  }
+
+  async function updateEvent(id, { start, end, status, outcome } = {}) {
+    const event = find(id);
+    if (start) event.start = new Date(start);
+    if (end) event.end = new Date(end);
+    if (status) event.status = status;
+    if (outcome) event.outcome = outcome;
+    event.updated = new Date();
+  }
+
+  async function deleteEvent(id) {
+    events.delete(id);
+  }
+
+  // Every event, for tests and debugging
+  function list() {
+    return [...events.values()].map(copy);
+  }
+
+  return { name: 'memory', listBusy, getEvent, createEvent, updateEvent, deleteEvent, list };
+}
+
+module.exports = { createMemoryCalendar };
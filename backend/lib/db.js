@@ -0,0 +1,19 @@
+/**
+ * Shared database connection and promise helpers
+ * Used by server.js, the lib modules and the CLI scripts. The backend is
+ * chosen by DATABASE_URL (see lib/storage); the schema itself is managed by
+ * the migrations in backend/migrations (npm run migrate up).
+ */
+
+const { createStorage } = require('./storage');
+
+const storage = createStorage();
+
+module.exports = {
+  dialect: storage.dialect,
+  dbRun: storage.run,
+  dbGet: storage.get,
+  dbAll: storage.all,
+  withTransaction: storage.transaction,
+  closeDb: storage.close
+};
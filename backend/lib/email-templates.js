@@ -0,0 +1,191 @@
+/**
+ * Email templates stored as files under backend/templates/email:
+ *
+ *   templates.json            name -> { layout, subject, fromName?, sample }
+ *   <name>.html / <name>.txt  the message body in each format
+ *   layouts/<layout>.html/.txt  branding around the body ({{ content }})
+ *   partials/<partial>.html/.txt  included with {{> partial }}
+ *
+ * Syntax: {{ value }} (dotted paths allowed), {{#if value}}...{{else}}...{{/if}},
+ * {{> partial }}. Values are escaped for where they appear: HTML-escaped in
+ * .html files, with href/src values also limited to http(s), mailto and tel
+ * URLs; taken as-is in .txt files; newlines removed in subjects. There is
+ * deliberately no "raw" syntax - only the rendered body is passed to the
+ * layout unescaped.
+ *
+ * Text messages use the same syntax, one file per message in
+ * backend/templates/sms/<name>.txt (no layout or subject); see renderSms.
+ *
+ * Files are read on every render, so template edits show up without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+const SMS_TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'sms');
+const TAG_PATTERN = /\{\{\s*(#if|else|\/if|>)?\s*([\w.-]*)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+const URL_ATTRIBUTE = /\b(?:href|src)\s*=\s*["'][^"']*$/i;
+const SAFE_URL = /^(?:https?:|mailto:|tel:|\/|#)/i;
+
+// Marks already-rendered markup that must not be escaped again
+class SafeString {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPERS = {
+  html: value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;'),
+  text: value => String(value),
+  subject: value => String(value).replace(/[\r\n]+/g, ' ')
+};
+
+function readTemplateFile(relativePath, dir = TEMPLATES_DIR) {
+  return fs.readFileSync(path.join(dir, relativePath), 'utf8');
+}
+
+function loadManifest() {
+  return JSON.parse(readTemplateFile('templates.json'));
+}
+
+function findDefinition(name) {
+  const manifest = loadManifest();
+  return NAME_PATTERN.test(name) && Object.prototype.hasOwnProperty.call(manifest, name) ? manifest[name] : null;
+}
+
+function lookup(data, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Parse template source into a tree of text / value / if / partial nodes.
+ * Each value node remembers whether it sits inside a URL attribute.
+ */
+function parse(source) {
+  const root = [];
+  // Each open {{#if}} with the branch new nodes currently go into
+  const stack = [{ node: null, branch: root }];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [tag, keyword, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > cursor) current.branch.push({ type: 'text', value: source.slice(cursor, match.index) });
+    cursor = match.index + tag.length;
+
+    if (keyword === '#if') {
+      const node = { type: 'if', name, children: [], otherwise: [] };
+      current.branch.push(node);
+      stack.push({ node, branch: node.children });
+    } else if (keyword === 'else') {
+      if (!current.node || current.branch === current.node.otherwise) throw new Error('{{else}} without {{#if}}');
+      current.branch = current.node.otherwise;
+    } else if (keyword === '/if') {
+      if (!current.node) throw new Error('{{/if}} without {{#if}}');
+      stack.pop();
+    } else if (keyword === '>') {
+      current.branch.push({ type: 'partial', name });
+    } else {
+      current.branch.push({ type: 'value', name, url: URL_ATTRIBUTE.test(source.slice(0, match.index)) });
+    }
+  }
+  if (stack.length > 1) throw new Error('Unclosed {{#if}}');
+  if (cursor < source.length) root.push({ type: 'text', value: source.slice(cursor) });
+  return root;
+}
+
+function renderNodes(nodes, data, format) {
+  const escape = ESCAPERS[format];
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'if':
+        return renderNodes(isTruthy(lookup(data, node.name)) ? node.children : node.otherwise, data, format);
+      case 'partial':
+        return renderSource(readTemplateFile(path.join('partials', `${node.name}.${format === 'html' ? 'html' : 'txt'}`)), data, format);
+      default: {
+        const value = lookup(data, node.name);
+        if (value == null) return '';
+        if (value instanceof SafeString) return value.value;
+        if (node.url && format === 'html' && !SAFE_URL.test(String(value).trim())) return '#';
+        return escape(value);
+      }
+    }
+  }).join('');
+}
+
+function renderSource(source, data, format) {
+  return renderNodes(parse(source), data, format);
+}
+
+function listTemplates() {
+  const manifest = loadManifest();
+  return Object.keys(manifest).map(name => ({
+    name,
+    layout: manifest[name].layout,
+    subject: manifest[name].subject
+  }));
+}
+
+function getSampleData(name) {
+  const definition = findDefinition(name);
+  return definition ? Object.assign({}, definition.sample) : null;
+}
+
+/**
+ * Render a template to { subject, html, text, fromName }
+ */
+function renderEmail(name, data = {}) {
+  const definition = findDefinition(name);
+  if (!definition) throw new Error(`Unknown email template "${name}"`);
+
+  const format = (extension, escaping) => {
+    const body = renderSource(readTemplateFile(`${name}.${extension}`), data, escaping);
+    if (!definition.layout) return body;
+    const layout = readTemplateFile(path.join('layouts', `${definition.layout}.${extension}`));
+    return renderSource(layout, Object.assign({}, data, { content: new SafeString(body) }), escaping);
+  };
+
+  return {
+    subject: renderSource(definition.subject, data, 'subject').trim(),
+    html: format('html', 'html'),
+    text: format('txt', 'text').replace(/\n{3,}/g, '\n\n').trim() + '\n',
+    fromName: definition.fromName || null
+  };
+}
+
+/**
+ * Render templates/sms/<name>.txt to a single-line text message body
+ */
+function renderSms(name, data = {}) {
+  if (!NAME_PATTERN.test(name)) throw new Error(`Unknown SMS template "${name}"`);
+  const source = readTemplateFile(`${name}.txt`, SMS_TEMPLATES_DIR);
+  return renderSource(source, data, 'text').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  SMS_TEMPLATES_DIR,
+  listTemplates,
+  getSampleData,
+  renderEmail,
+  renderSms
+};
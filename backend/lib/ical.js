@@ -0,0 +1,184 @@
+/**
+ * Just enough iCalendar (RFC 5545) for bookings: writing events and reading
+ * the ones a CalDAV server hands back. Parsed components look like
+ * { name: 'VEVENT', props: [{ name, params, value }], components: [...] }.
+ */
+
+const timezone = require('./timezone');
+
+const CRLF = '\r\n';
+
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Content lines are at most 75 octets; longer ones continue after CRLF + space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    if (size + length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Content lines -> iCalendar text; empty entries are dropped
+ */
+function serialize(lines) {
+  return lines.filter(Boolean).map(foldLine).join(CRLF) + CRLF;
+}
+
+// 2026-12-29T18:00:00.000Z -> 20261229T180000Z
+function formatUtc(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function unfold(text) {
+  return String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.length);
+}
+
+function parseLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((all, param) => {
+      const at = param.indexOf('=');
+      if (at !== -1) all[param.slice(0, at).toUpperCase()] = param.slice(at + 1).replace(/^"|"$/g, '');
+      return all;
+    }, {}),
+    value: line.slice(colon + 1)
+  };
+}
+
+/**
+ * Top-level components of an iCalendar text (usually one VCALENDAR)
+ */
+function parse(text) {
+  const root = { name: null, props: [], components: [] };
+  const stack = [root];
+  unfold(text).forEach((line) => {
+    const prop = parseLine(line);
+    if (!prop) return;
+    const current = stack[stack.length - 1];
+    if (prop.name === 'BEGIN') {
+      const component = { name: prop.value.toUpperCase(), props: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (prop.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.props.push(prop);
+    }
+  });
+  return root.components;
+}
+
+/**
+ * Every component with this name, at any depth
+ */
+function findComponents(components, name) {
+  return components.reduce((found, component) => {
+    if (component.name === name) found.push(component);
+    return found.concat(findComponents(component.components, name));
+  }, []);
+}
+
+function getProp(component, name) {
+  return component.props.find(prop => prop.name === name) || null;
+}
+
+/**
+ * A DATE or DATE-TIME property as { instant, allDay }. TZID times use that
+ * zone (the business zone when it isn't an IANA name), floating times and
+ * all-day dates the business zone.
+ */
+function parseDateTime(prop) {
+  if (!prop) return null;
+  const match = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!hours) return { instant: timezone.zonedTimeToUtc(date, '00:00'), allDay: true };
+  if (utc) return { instant: new Date(`${date}T${hours}:${minutes}:${seconds}Z`), allDay: false };
+  const zone = prop.params.TZID && timezone.isValidTimeZone(prop.params.TZID) ? prop.params.TZID : timezone.getBusinessTimeZone();
+  const instant = timezone.zonedTimeToUtc(date, `${hours}:${minutes}`, zone);
+  return { instant: new Date(instant.getTime() + Number(seconds) * 1000), allDay: false };
+}
+
+// PT1H30M / P1D / -PT15M -> milliseconds
+function parseDuration(value) {
+  const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Replace properties of the first VEVENT in an iCalendar text, keeping the
+ * rest as it was. `props` maps a property name to its new content line(s);
+ * null removes it.
+ */
+function replaceEventProperties(text, props) {
+  const names = Object.keys(props).map(name => name.toUpperCase());
+  const lines = [];
+  let inEvent = false;
+  let done = false;
+  unfold(text).forEach((line) => {
+    const prop = parseLine(line);
+    if (prop && prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT' && !done) inEvent = true;
+    if (inEvent && prop && prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      Object.values(props).forEach((value) => {
+        if (value != null) lines.push(...[].concat(value));
+      });
+      inEvent = false;
+      done = true;
+    }
+    if (inEvent && prop && names.includes(prop.name)) return;
+    lines.push(line);
+  });
+  return serialize(lines);
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  foldLine,
+  serialize,
+  formatUtc,
+  parse,
+  findComponents,
+  getProp,
+  parseDateTime,
+  parseDuration,
+  replaceEventProperties
+};
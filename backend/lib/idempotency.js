@@ -0,0 +1,133 @@
+/**
+ * Idempotency-Key support for endpoints a client may retry after losing the
+ * response, like POST /api/bookings. The first request with a key claims it;
+ * a repeat with the same body gets the stored response again (with
+ * Idempotent-Replayed: true), a repeat with a different body 422, and one
+ * arriving while the first is still running 409.
+ *
+ *   claimed (in_progress) ──2xx──────> completed, replayed until expires_at
+ *          │
+ *          └──error or refusal──> released, so the client can fix the
+ *                                 request and send it again under the same key
+ *
+ * Requests without the header run as before.
+ */
+
+const crypto = require('crypto');
+const { dialect, dbRun, dbGet } = require('./db');
+const { SQL_DIALECTS } = require('./storage');
+const { isoFromNow } = require('./timezone');
+
+const KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+// A claim held this long belongs to a request that died; the next repeat takes over
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+// Printable ASCII, long enough to be random (a UUID fits)
+const KEY_PATTERN = /^[\x21-\x7e]{8,255}$/;
+
+const sql = SQL_DIALECTS[dialect];
+
+// The same JSON whatever order the client put the fields in
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestHash(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+}
+
+/**
+ * Claim a key for a request. Resolves to { claimed: id } when the request
+ * should run, { replay: { status, body } } for a repeat of one that
+ * succeeded, or { conflict: 'mismatch' | 'in_progress' }.
+ */
+async function claim(scope, key, hash) {
+  const now = isoFromNow();
+  await dbRun('DELETE FROM idempotency_keys WHERE expires_at <= ?', [now]);
+  await dbRun(
+    "DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND status = 'in_progress' AND locked_until <= ?",
+    [scope, key, now]
+  );
+
+  const result = await dbRun(
+    `${sql.insertIgnore} idempotency_keys (scope, idempotency_key, request_hash, locked_until, expires_at)
+     VALUES (?, ?, ?, ?, ?) ${sql.onConflictIgnore}`,
+    [scope, key, hash, isoFromNow(CLAIM_LEASE_MS), isoFromNow(KEY_TTL_MS)]
+  );
+  if (result.changes) return { claimed: result.lastID };
+
+  const existing = await dbGet('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  if (!existing) return { conflict: 'in_progress' };
+  if (existing.request_hash !== hash) return { conflict: 'mismatch' };
+  if (existing.status !== 'completed') return { conflict: 'in_progress' };
+  return { replay: { status: existing.response_status, body: JSON.parse(existing.response_body) } };
+}
+
+async function complete(id, status, body) {
+  await dbRun(
+    "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, JSON.stringify(body), id]
+  );
+}
+
+async function release(id) {
+  await dbRun("DELETE FROM idempotency_keys WHERE id = ? AND status = 'in_progress'", [id]);
+}
+
+/**
+ * Middleware honouring the Idempotency-Key header. `scope` keeps keys sent
+ * to different endpoints apart. Put it before any validator that rewrites
+ * req.body, so repeats are compared with what the client sent.
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ success: false, error: 'Idempotency-Key must be 8-255 printable ASCII characters' });
+    }
+
+    try {
+      const outcome = await claim(scope, key, requestHash(req.body));
+      if (outcome.replay) {
+        console.log(`🔁 [${res.locals.requestId}] Replaying ${scope} response for Idempotency-Key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(outcome.replay.status).json(outcome.replay.body);
+      }
+      if (outcome.conflict === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: 'idempotency_key_reused',
+          message: 'This Idempotency-Key was already used for a different request.'
+        });
+      }
+      if (outcome.conflict) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'request_in_progress',
+          message: 'A request with this Idempotency-Key is still being processed.'
+        });
+      }
+
+      // Save the outcome before answering, so a repeat sent right after the response finds it
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        (succeeded ? complete(outcome.claimed, res.statusCode, body) : release(outcome.claimed))
+          .catch(error => console.error(`⚠️ Could not save Idempotency-Key ${key}:`, error.message))
+          .then(() => send(body));
+        return res;
+      };
+      next();
+    } catch (error) {
+      console.error('Error checking idempotency key:', error);
+      res.status(500).json({ success: false, error: 'Failed to process request' });
+    }
+  };
+}
+
+module.exports = { idempotent, requestHash };
@@ -0,0 +1,30 @@
+/**
+ * The loop every background worker runs on: do the work now and then every
+ * intervalMs, skipping a tick while the previous run is still going. The
+ * timer doesn't keep the process alive.
+ */
+
+/**
+ * Call `work` on an interval; its errors are logged as "❌ <label> error".
+ * Returns a function that stops the worker.
+ */
+function startIntervalWorker(label, work, intervalMs) {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await work();
+    } catch (error) {
+      console.error(`❌ ${label} error:`, error.message);
+    } finally {
+      busy = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+module.exports = { startIntervalWorker };
@@ -0,0 +1,27 @@
+/**
+ * Maildir transport for development, staging and tests: every message is
+ * written to <dir>/new/ as a complete .eml file instead of being sent. Point
+ * a mail client at the directory, or read the files directly.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+function createFileTransport({ dir = './mail' } = {}) {
+  const root = path.resolve(dir);
+
+  async function send({ raw }) {
+    await Promise.all(['tmp', 'new', 'cur'].map(sub => fs.mkdir(path.join(root, sub), { recursive: true })));
+    // Maildir delivery: write under tmp/, then rename into new/ so readers never see a partial file
+    const name = `${Date.now()}.${process.pid}_${crypto.randomBytes(6).toString('hex')}.${os.hostname()}.eml`;
+    await fs.writeFile(path.join(root, 'tmp', name), raw, 'utf8');
+    await fs.rename(path.join(root, 'tmp', name), path.join(root, 'new', name));
+    return { id: name, path: path.join(root, 'new', name) };
+  }
+
+  return { name: 'file', send };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,34 @@
+/**
+ * Gmail API transport (default). Sends as the account behind the OAuth2
+ * refresh token; needs the gmail.send scope.
+ */
+
+const { google } = require('googleapis');
+
+function defaultAuth() {
+  const auth = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  auth.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+  return auth;
+}
+
+function createGmailTransport({ auth = defaultAuth() } = {}) {
+  const gmail = google.gmail({ version: 'v1', auth });
+
+  async function send({ raw }) {
+    const response = await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: Buffer.from(raw).toString('base64url')
+      }
+    });
+    return { id: response.data.id };
+  }
+
+  return { name: 'gmail', send };
+}
+
+module.exports = { createGmailTransport };
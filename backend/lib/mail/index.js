@@ -0,0 +1,58 @@
+/**
+ * Mail transport selected by MAIL_TRANSPORT:
+ *   gmail (default)   Gmail API with the Google OAuth2 refresh token
+ *   smtp              SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *   file              Maildir under MAIL_FILE_DIR (default ./mail), nothing is sent
+ *
+ * Transports expose { name, send({ envelope: { from, to }, raw }) } and
+ * resolve to { id }; the mailer builds the MIME message once for all of them.
+ */
+
+const { buildMimeMessage, formatAddress, addressOf } = require('./message');
+
+const TRANSPORTS = ['gmail', 'smtp', 'file'];
+
+function createTransport(name, { googleAuth } = {}) {
+  switch (name) {
+    case 'gmail': {
+      const { createGmailTransport } = require('./gmail');
+      return createGmailTransport(googleAuth ? { auth: googleAuth } : {});
+    }
+    case 'smtp': {
+      const { createSmtpTransport } = require('./smtp');
+      const secure = String(process.env.SMTP_SECURE || '').toLowerCase() === 'true';
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || (secure ? '465' : '587'), 10),
+        secure,
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null
+      });
+    }
+    case 'file': {
+      const { createFileTransport } = require('./file');
+      return createFileTransport({ dir: process.env.MAIL_FILE_DIR || './mail' });
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected: ${TRANSPORTS.join(', ')})`);
+  }
+}
+
+/**
+ * Mailer over the configured transport. send({ to, subject, html, text?, fromName?, calendar? })
+ * resolves to { id } from the transport; `calendar` is an iTIP object to
+ * attach (see buildMimeMessage).
+ */
+function createMailer(transportName = process.env.MAIL_TRANSPORT, options = {}) {
+  const transport = createTransport(String(transportName || 'gmail').trim().toLowerCase(), options);
+  const fromAddress = process.env.MAIL_FROM || process.env.GMAIL_USER || 'bookings@localhost';
+
+  async function send({ to, subject, html, text = null, fromName = null, calendar = null }) {
+    const raw = buildMimeMessage({ from: formatAddress(fromName, fromAddress), to, subject, html, text, calendar });
+    return transport.send({ envelope: { from: fromAddress, to: addressOf(to) }, raw });
+  }
+
+  return { transport: transport.name, fromAddress, send };
+}
+
+module.exports = { createMailer, TRANSPORTS };
@@ -0,0 +1,105 @@
+/**
+ * MIME message builder shared by the mail transports. Produces a complete
+ * RFC 5322 message with CRLF line endings; bodies are quoted-printable so the
+ * files written by the file transport stay readable.
+ */
+
+const crypto = require('crypto');
+
+// RFC 2047 encoded-word for header values that aren't plain ASCII
+function encodeHeader(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(name, address) {
+  if (!name) return address;
+  const display = /^[\x20-\x7e]*$/.test(name) ? `"${String(name).replace(/["\\]/g, '\\$&')}"` : encodeHeader(name);
+  return `${display} <${address}>`;
+}
+
+// Bare address from "Name <a@b.c>" or "a@b.c"
+function addressOf(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+function encodeQuotedPrintable(text) {
+  return String(text).split(/\r?\n/).map((line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    let output = '';
+    let current = '';
+    bytes.forEach((byte, i) => {
+      const last = i === bytes.length - 1;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !last);
+      const chunk = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      // Soft line break keeps encoded lines within 76 characters
+      if (current.length + chunk.length > 75) {
+        output += `${current}=\r\n`;
+        current = '';
+      }
+      current += chunk;
+    });
+    return output + current;
+  }).join('\r\n');
+}
+
+function textPart(contentType, body) {
+  return [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(body)
+  ].join('\r\n');
+}
+
+function base64Part(headers, body) {
+  const encoded = Buffer.from(String(body), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [...headers, 'Content-Transfer-Encoding: base64', '', encoded.trimEnd()].join('\r\n');
+}
+
+function multipart(subtype, parts) {
+  const boundary = `=_4ev_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.flatMap(part => [`--${boundary}`, part]),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * { from, to, subject, html, text?, calendar? } -> raw message. With `text`,
+ * the message is multipart/alternative carrying both versions. `calendar` is
+ * an iTIP iCalendar object (with a METHOD line): it becomes a text/calendar
+ * alternative, which Gmail and Outlook show as an invitation, plus an
+ * invite.ics attachment for mail apps that only look at attachments.
+ */
+function buildMimeMessage({ from, to, subject, html, text = null, calendar = null, date = new Date() }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  const alternatives = [text && textPart('text/plain', text), textPart('text/html', html)].filter(Boolean);
+  if (calendar) {
+    const method = (String(calendar).match(/^METHOD:(\w+)/m) || [null, 'PUBLISH'])[1];
+    alternatives.push(base64Part([`Content-Type: text/calendar; charset=utf-8; method=${method}`], calendar));
+  }
+  let body = alternatives.length > 1 ? multipart('alternative', alternatives) : alternatives[0];
+  if (calendar) {
+    body = multipart('mixed', [
+      body,
+      base64Part(['Content-Type: application/ics; name="invite.ics"', 'Content-Disposition: attachment; filename="invite.ics"'], calendar)
+    ]);
+  }
+  return [...headers, body].join('\r\n');
+}
+
+module.exports = { buildMimeMessage, formatAddress, addressOf, encodeHeader, encodeQuotedPrintable };
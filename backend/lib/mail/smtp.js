@@ -0,0 +1,147 @@
+/**
+ * Plain SMTP transport without extra dependencies: one connection per
+ * message, STARTTLS when the server offers it (or implicit TLS with
+ * secure: true, usually port 465), AUTH PLAIN when a user is configured.
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30 * 1000;
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => {
+      secured.removeListener('error', reject);
+      resolve(secured);
+    });
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Collects server replies (multi-line "250-..." continuations included) and
+ * hands them out in order. Re-attachable so STARTTLS can swap the socket.
+ */
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  }
+
+  function onError(error) {
+    failure = error;
+    waiting.splice(0).forEach(w => w.reject(error));
+  }
+
+  function onClose() {
+    onError(failure || new Error('SMTP connection closed unexpectedly'));
+  }
+
+  return {
+    attach(socket) {
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    },
+    detach(socket) {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+function createSmtpTransport({ host, port = 587, secure = false, user = null, pass = null }) {
+  if (!host) throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+
+  async function send({ envelope, raw }) {
+    let socket = await connect({ host, port, secure });
+    const reader = createReplyReader();
+    const watch = (s) => {
+      s.setTimeout(TIMEOUT_MS, () => s.destroy(new Error('SMTP connection timed out')));
+      reader.attach(s);
+    };
+    watch(socket);
+
+    // Error messages name the command only, never its arguments (AUTH carries the password)
+    async function command(line, expected) {
+      if (line) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const name = line ? line.split(' ')[0] : 'greeting';
+        throw new Error(`SMTP ${name} rejected: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+        await command('STARTTLS', [220]);
+        reader.detach(socket);
+        socket = await upgradeToTls(socket, host);
+        watch(socket);
+        ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${envelope.from}>`, [250]);
+      await command(`RCPT TO:<${envelope.to}>`, [250, 251]);
+      await command('DATA', [354]);
+      // Dot-stuffing: a line starting with "." gets a second one
+      const reply = await command(`${raw.replace(/^\./gm, '..')}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => {});
+
+      const queued = reply.lines.join(' ').match(/queued as (\S+)/i);
+      return { id: queued ? queued[1] : reply.lines.join(' ') };
+    } finally {
+      reader.detach(socket);
+      socket.destroy();
+    }
+  }
+
+  return { name: 'smtp', send };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,79 @@
+/**
+ * Signed, expiring links for clients: "manage your booking" links and the
+ * claim links sent with waitlist offers. Tokens are JWTs scoped to a single
+ * booking (or waitlist offer) and a purpose, so they can't be replayed as
+ * admin credentials or as each other.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PURPOSE = 'manage';
+const CLAIM_PURPOSE = 'waitlist_claim';
+
+let ephemeralSecret = null;
+
+function getSecret() {
+  const configured = process.env.MANAGE_LINK_SECRET || process.env.JWT_SECRET;
+  if (configured) return configured;
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ MANAGE_LINK_SECRET/JWT_SECRET not set - manage links will stop working after a restart');
+  }
+  return ephemeralSecret;
+}
+
+function createManageToken(bookingId) {
+  return jwt.sign({ bid: bookingId, purpose: PURPOSE }, getSecret(), {
+    expiresIn: process.env.MANAGE_LINK_EXPIRES_IN || '90d'
+  });
+}
+
+/**
+ * Returns the booking ID the token was issued for, or null when the token
+ * is malformed, expired or signed for a different purpose.
+ */
+function verifyManageToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), getSecret());
+    if (payload.purpose !== PURPOSE || !payload.bid) return null;
+    return payload.bid;
+  } catch (_) {
+    return null;
+  }
+}
+
+function publicBase() {
+  return (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+}
+
+function buildManageUrl(bookingId) {
+  return `${publicBase()}/manage/${createManageToken(bookingId)}`;
+}
+
+/**
+ * Claim link for one offer made to a waitlist entry; it stops working when
+ * the offer expires. `offer` is the entry's offer_count, so links from an
+ * earlier offer don't claim a later one.
+ */
+function buildClaimUrl(entryId, offer, expiresAt) {
+  const token = jwt.sign({ wid: entryId, offer, purpose: CLAIM_PURPOSE }, getSecret(), {
+    expiresIn: Math.max(1, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000))
+  });
+  return `${publicBase()}/waitlist/claim/${token}`;
+}
+
+/**
+ * { entryId, offer } for a valid claim token, or null
+ */
+function verifyClaimToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), getSecret());
+    if (payload.purpose !== CLAIM_PURPOSE || !payload.wid) return null;
+    return { entryId: payload.wid, offer: payload.offer };
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { createManageToken, verifyManageToken, buildManageUrl, buildClaimUrl, verifyClaimToken };
@@ -0,0 +1,122 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in backend/migrations named NNN_description.js exports
+ * { up(db), down(db) } where db is { run, get, all, dialect, sql }: the
+ * promise helpers plus the dialect's column types for portable DDL.
+ * Applied versions are recorded in schema_version; every migration runs in
+ * its own transaction together with its schema_version row.
+ *
+ * Shipped migrations never change, since databases that ran one must match
+ * fresh ones. A migration written before a dialect was supported gets a
+ * stand-in for that dialect in migrations/<dialect>/, under the same name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dialect, dbRun, dbGet, dbAll, withTransaction } = require('./db');
+const { SQL_DIALECTS } = require('./storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const helpers = { run: dbRun, get: dbGet, all: dbAll, dialect, sql: SQL_DIALECTS[dialect] };
+
+function readMigrations(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file: path.join(dir, file) }));
+}
+
+function listMigrations() {
+  const standIns = readMigrations(path.join(MIGRATIONS_DIR, dialect));
+  return readMigrations(MIGRATIONS_DIR)
+    .map(migration => standIns.find(standIn => standIn.version === migration.version) || migration)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureVersionTable() {
+  await dbRun(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${SQL_DIALECTS[dialect].timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions() {
+  await ensureVersionTable();
+  const rows = await dbAll('SELECT version FROM schema_version ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+/**
+ * { current, latest, applied: [...], pending: [...] } for the open database
+ */
+async function getStatus() {
+  const migrations = listMigrations();
+  const applied = await appliedVersions();
+  return {
+    current: applied.length ? applied[applied.length - 1] : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: migrations.filter(m => applied.includes(m.version)),
+    pending: migrations.filter(m => !applied.includes(m.version))
+  };
+}
+
+/**
+ * Apply pending migrations in order (all of them unless `steps` is given)
+ */
+async function migrateUp({ steps = Infinity } = {}) {
+  const { pending } = await getStatus();
+  const toApply = pending.slice(0, steps);
+  for (const migration of toApply) {
+    const { up } = require(migration.file);
+    await withTransaction(async () => {
+      await up(helpers);
+      await dbRun('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`⬆️  Applied ${migration.version} ${migration.name}`);
+  }
+  return toApply;
+}
+
+/**
+ * Revert the most recently applied migrations (one by default)
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  const { applied } = await getStatus();
+  const toRevert = applied.slice(-steps).reverse();
+  for (const migration of toRevert) {
+    const { down } = require(migration.file);
+    await withTransaction(async () => {
+      await down(helpers);
+      await dbRun('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+    });
+    console.log(`⬇️  Reverted ${migration.version} ${migration.name}`);
+  }
+  return toRevert;
+}
+
+/**
+ * Reject when migrations are pending, so nothing runs against an old schema
+ */
+async function assertSchemaCurrent() {
+  const { current, latest, pending } = await getStatus();
+  if (pending.length) {
+    throw new Error(
+      `Database schema is out of date (version ${current}, expected ${latest}; ${pending.length} pending). Run: npm run migrate up`
+    );
+  }
+}
+
+module.exports = {
+  listMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+};
@@ -0,0 +1,203 @@
+/**
+ * Notification outbox: emails, texts and Sheets ledger syncs are queued in
+ * notification_outbox (inside the caller's transaction when there is one)
+ * and delivered by a polling worker. Each message has a channel: 'email',
+ * 'sms' (carries only body_text) or 'sheet' (no body - the booking's
+ * current row is written when it's delivered).
+ *
+ *   pending ──deliver ok──> sent
+ *      │
+ *      └──deliver failed──> pending again after a backoff delay
+ *                           (dead once OUTBOX_MAX_ATTEMPTS is reached)
+ *
+ * Before delivering, the worker claims a message by pushing next_attempt_at
+ * out by a lease, so a second worker skips it and a crash mid-send only
+ * delays the retry.
+ */
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { isoFromNow } = require('./timezone');
+const { startIntervalWorker } = require('./interval-worker');
+
+const STATUSES = ['pending', 'sent', 'dead'];
+const CHANNELS = ['email', 'sms', 'sheet'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_SECONDS || '10', 10) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 10;
+
+// Wait before the next attempt: 1, 2, 4, ... minutes, capped at 6 hours
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Queue a message; resolves to the new message id. Texts (channel 'sms')
+ * pass only `text`, ledger syncs (channel 'sheet') only the booking. Emails
+ * may carry an iTIP `calendar` part.
+ */
+async function enqueue({ channel = 'email', kind, recipient, subject = null, html = null, text = null, calendar = null, fromName = null, bookingId = null }) {
+  const result = await dbRun(
+    `INSERT INTO notification_outbox (channel, kind, booking_id, recipient, subject, body_html, body_text, body_calendar, from_name, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [channel, kind, bookingId, recipient, subject, html, text, calendar, fromName, isoFromNow(0)]
+  );
+  return result.lastID;
+}
+
+/**
+ * Whether a calendar invitation was ever queued for this booking's client
+ */
+async function hasCalendarPart(bookingId) {
+  return Boolean(await dbGet(
+    "SELECT id FROM notification_outbox WHERE booking_id = ? AND channel = 'email' AND body_calendar IS NOT NULL LIMIT 1",
+    [bookingId]
+  ));
+}
+
+async function findById(id) {
+  return (await dbGet('SELECT * FROM notification_outbox WHERE id = ?', [id])) || null;
+}
+
+/**
+ * Messages newest first, optionally filtered by status, channel and booking
+ */
+async function list({ status = null, channel = null, bookingId = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (channel) {
+    where.push('channel = ?');
+    params.push(channel);
+  }
+  if (bookingId) {
+    where.push('booking_id = ?');
+    params.push(bookingId);
+  }
+  return dbAll(
+    `SELECT id, channel, kind, booking_id, recipient, subject, status, attempts, last_error, next_attempt_at, sent_at, created_at, updated_at
+     FROM notification_outbox ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+async function countByStatus() {
+  const rows = await dbAll('SELECT status, COUNT(*) AS count FROM notification_outbox GROUP BY status');
+  return STATUSES.reduce((counts, status) => {
+    const row = rows.find(r => r.status === status);
+    counts[status] = row ? Number(row.count) : 0;
+    return counts;
+  }, {});
+}
+
+/**
+ * Put a dead (or still-retrying) message back at the front of the queue with
+ * a fresh set of attempts. Resolves to false for sent or unknown messages.
+ */
+async function redrive(id) {
+  const result = await dbRun(
+    `UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status != 'sent'`,
+    [isoFromNow(0), id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Re-drive every dead message; resolves to how many were queued again
+ */
+async function redriveDead() {
+  const result = await dbRun(
+    `UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'dead'`,
+    [isoFromNow(0)]
+  );
+  return result.changes;
+}
+
+// attempts doubles as a version number, so only one worker wins the claim
+async function claim(message) {
+  const result = await dbRun(
+    `UPDATE notification_outbox SET attempts = attempts + 1, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending' AND attempts = ?`,
+    [isoFromNow(CLAIM_LEASE_MS), message.id, message.attempts]
+  );
+  return result.changes > 0;
+}
+
+async function markSent(message) {
+  await dbRun(
+    "UPDATE notification_outbox SET status = 'sent', last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [message.id]
+  );
+}
+
+async function markFailed(message, attempts, error) {
+  const dead = attempts >= MAX_ATTEMPTS;
+  await dbRun(
+    'UPDATE notification_outbox SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [dead ? 'dead' : 'pending', String(error.message || error).slice(0, 1000), isoFromNow(retryDelayMs(attempts)), message.id]
+  );
+  return dead;
+}
+
+/**
+ * Deliver the messages that are due. `deliver(message)` sends one outbox row
+ * and rejects on failure. Resolves to { sent, failed }.
+ */
+async function processDue(deliver, { limit = BATCH_SIZE } = {}) {
+  const due = await dbAll(
+    "SELECT * FROM notification_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?",
+    [isoFromNow(0), limit]
+  );
+  const outcome = { sent: 0, failed: 0 };
+  for (const message of due) {
+    if (!(await claim(message))) continue;
+    const attempts = message.attempts + 1;
+    try {
+      await deliver(message);
+      await markSent(message);
+      outcome.sent += 1;
+      console.log(`✅ Outbox #${message.id} (${message.channel} ${message.kind}) sent to ${message.recipient}`);
+    } catch (error) {
+      const dead = await markFailed(message, attempts, error);
+      outcome.failed += 1;
+      console.error(dead
+        ? `💀 Outbox #${message.id} (${message.kind}) gave up after ${attempts} attempts: ${error.message}`
+        : `⚠️ Outbox #${message.id} (${message.kind}) attempt ${attempts} failed, retrying in ${Math.round(retryDelayMs(attempts) / 60000)} min: ${error.message}`);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Poll for due messages every OUTBOX_POLL_SECONDS. Returns a function that
+ * stops the worker.
+ */
+function startWorker(deliver, { intervalMs = POLL_INTERVAL_MS } = {}) {
+  const stop = startIntervalWorker('Outbox worker', () => processDue(deliver), intervalMs);
+  console.log(`📬 Notification outbox worker polling every ${Math.round(intervalMs / 1000)}s`);
+  return stop;
+}
+
+module.exports = {
+  STATUSES,
+  CHANNELS,
+  MAX_ATTEMPTS,
+  retryDelayMs,
+  enqueue,
+  hasCalendarPart,
+  findById,
+  list,
+  countByStatus,
+  redrive,
+  redriveDead,
+  processDue,
+  startWorker
+};
@@ -0,0 +1,182 @@
+/**
+ * Deposits through Stripe Checkout.
+ *
+ * When Stripe is configured (STRIPE_SECRET_KEY) and a session type has a
+ * deposit_cents, a new booking is held as 'pending_payment' and the client is
+ * sent to a Checkout session. The signed webhook confirms the booking once
+ * the deposit is paid. Checkout sessions expire after PAYMENT_HOLD_MINUTES
+ * (30-1440, default 30); the hold sweeper closes any still open after that,
+ * so the slot is released even if the expiry webhook never arrives.
+ *
+ * Each Checkout session is one row in payments:
+ *   pending ─┬─> paid
+ *            ├─> expired   (not paid in time)
+ *            └─> failed    (delayed payment method declined)
+ */
+
+const { dbRun, dbGet, dbAll } = require('./db');
+const { createStripeClient } = require('./stripe');
+const { startIntervalWorker } = require('./interval-worker');
+
+const STATUSES = ['pending', 'paid', 'expired', 'failed'];
+
+// Stripe only accepts Checkout expiries between 30 minutes and 24 hours out
+const HOLD_MINUTES = Math.min(Math.max(parseInt(process.env.PAYMENT_HOLD_MINUTES || '30', 10) || 30, 30), 24 * 60);
+const CURRENCY = String(process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let stripeClient = null;
+
+function stripe() {
+  stripeClient = stripeClient || createStripeClient();
+  return stripeClient;
+}
+
+function isEnabled() {
+  return Boolean(process.env.STRIPE_SECRET_KEY);
+}
+
+/**
+ * Deposit in cents a new booking of this type must pay, or null for none
+ */
+function depositFor(sessionType) {
+  const cents = sessionType ? Number(sessionType.deposit_cents) : 0;
+  return isEnabled() && cents > 0 ? cents : null;
+}
+
+// Where Checkout sends the client back to: ?booking=<id>&payment=success|cancelled&session_id=<id>.
+// Stripe fills in {CHECKOUT_SESSION_ID}, so it has to stay unencoded.
+function returnUrl(bookingId, outcome) {
+  const url = new URL(process.env.PAYMENT_RETURN_URL || process.env.FRONTEND_URL || 'http://localhost:3000');
+  url.searchParams.set('booking', bookingId);
+  url.searchParams.set('payment', outcome);
+  return `${url.toString()}&session_id={CHECKOUT_SESSION_ID}`;
+}
+
+async function findBySession(checkoutSessionId) {
+  return (await dbGet('SELECT * FROM payments WHERE checkout_session_id = ?', [checkoutSessionId])) || null;
+}
+
+async function listForBooking(bookingId) {
+  return dbAll(
+    `SELECT id, provider, checkout_session_id, payment_intent_id, amount_cents, currency, status, expires_at, paid_at, created_at, updated_at
+     FROM payments WHERE booking_id = ? ORDER BY id`,
+    [bookingId]
+  );
+}
+
+/**
+ * Open a Checkout session for a booking's deposit and record it. Resolves to
+ * the payments row, whose checkout_url the client is redirected to.
+ */
+async function openCheckout(booking, sessionType) {
+  const amount = depositFor(sessionType);
+  if (!amount) throw new Error(`Session type ${sessionType && sessionType.key} takes no deposit`);
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+  const session = await stripe().createCheckoutSession({
+    mode: 'payment',
+    customer_email: booking.client_email,
+    client_reference_id: booking.booking_id,
+    metadata: { booking_id: booking.booking_id },
+    payment_intent_data: { metadata: { booking_id: booking.booking_id } },
+    line_items: [{
+      quantity: 1,
+      price_data: {
+        currency: CURRENCY,
+        unit_amount: amount,
+        product_data: {
+          name: `Deposit - ${sessionType.label}`,
+          description: `${booking.event_date} at ${booking.event_time} (${booking.booking_id})`
+        }
+      }
+    }],
+    success_url: returnUrl(booking.booking_id, 'success'),
+    cancel_url: returnUrl(booking.booking_id, 'cancelled'),
+    // A minute past the hold so request latency can't push it under Stripe's
+    // 30-minute minimum; the sweeper expires the session at the hold time
+    expires_at: Math.floor(expiresAt.getTime() / 1000) + 60
+  }, { idempotencyKey: `deposit-${booking.booking_id}` });
+
+  await dbRun(
+    `INSERT INTO payments (booking_id, checkout_session_id, amount_cents, currency, checkout_url, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [booking.booking_id, session.id, amount, CURRENCY, session.url, expiresAt.toISOString()]
+  );
+  return findBySession(session.id);
+}
+
+/**
+ * Record a paid Checkout session. Resolves to the payments row, or null when
+ * it was already recorded (webhooks can arrive more than once).
+ */
+async function markPaid(session) {
+  const result = await dbRun(
+    `UPDATE payments SET status = 'paid', payment_intent_id = ?, paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE checkout_session_id = ? AND status != 'paid'`,
+    [session.payment_intent || null, session.id]
+  );
+  return result.changes ? findBySession(session.id) : null;
+}
+
+/**
+ * Close a still-pending Checkout session as 'expired' or 'failed'. Resolves
+ * to the payments row, or null when it wasn't pending.
+ */
+async function markClosed(session, status) {
+  const result = await dbRun(
+    "UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE checkout_session_id = ? AND status = 'pending'",
+    [status, session.id]
+  );
+  return result.changes ? findBySession(session.id) : null;
+}
+
+/**
+ * Expire the Checkout sessions whose hold has run out and hand each to
+ * `settle(session, outcome)` - 'expired', or 'paid' for one paid at the last
+ * moment. Sessions still waiting on a delayed payment method are left for
+ * their webhook. Resolves to how many were settled.
+ */
+async function sweepExpiredHolds(settle, now = new Date()) {
+  const overdue = await dbAll(
+    "SELECT * FROM payments WHERE status = 'pending' AND expires_at <= ? ORDER BY id",
+    [now.toISOString()]
+  );
+  let settled = 0;
+  for (const payment of overdue) {
+    try {
+      let session = await stripe().retrieveCheckoutSession(payment.checkout_session_id);
+      if (session.status === 'open') session = await stripe().expireCheckoutSession(payment.checkout_session_id);
+      const outcome = session.payment_status === 'paid' ? 'paid' : (session.status === 'expired' ? 'expired' : null);
+      if (!outcome) continue;
+      await settle(session, outcome);
+      settled += 1;
+    } catch (error) {
+      console.error(`⚠️ Could not close Checkout session for ${payment.booking_id}:`, error.message);
+    }
+  }
+  return settled;
+}
+
+/**
+ * Sweep expired holds every minute. Returns a function that stops the sweeper.
+ */
+function startHoldSweeper(settle, { intervalMs = SWEEP_INTERVAL_MS } = {}) {
+  const stop = startIntervalWorker('Payment hold sweeper', () => sweepExpiredHolds(settle), intervalMs);
+  console.log(`💳 Deposit holds released after ${HOLD_MINUTES} min unpaid`);
+  return stop;
+}
+
+module.exports = {
+  STATUSES,
+  HOLD_MINUTES,
+  isEnabled,
+  depositFor,
+  findBySession,
+  listForBooking,
+  openCheckout,
+  markPaid,
+  markClosed,
+  sweepExpiredHolds,
+  startHoldSweeper
+};
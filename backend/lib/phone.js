@@ -0,0 +1,39 @@
+/**
+ * Phone number normalization to E.164 (+<country code><number>, at most 15
+ * digits), the format SMS providers expect. Numbers written without a
+ * country code get SMS_DEFAULT_COUNTRY_CODE (default 1, North America).
+ */
+
+const DEFAULT_COUNTRY_CODE = String(process.env.SMS_DEFAULT_COUNTRY_CODE || '1').replace(/\D/g, '') || '1';
+
+/**
+ * "+1 (415) 555-0134", "415.555.0134", "0044 20 7946 0958" -> E.164, or null
+ * when the input can't be a phone number
+ */
+function toE164(value, { defaultCountryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  if (value == null) return null;
+  const input = String(value).trim();
+  // Separators people type: spaces, dots, dashes, slashes and parentheses
+  if (!input || /[^\d\s().\-/+]/.test(input)) return null;
+
+  let digits = input.replace(/\D/g, '');
+  if (input.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    // 1-415-555-0134
+  } else {
+    digits = defaultCountryCode + digits.replace(/^0+/, '');
+  }
+
+  if (!/^[1-9]\d{7,14}$/.test(digits)) return null;
+  if (digits.startsWith('1') && digits.length !== 11) return null;
+  return `+${digits}`;
+}
+
+function isE164(value) {
+  return /^\+[1-9]\d{7,14}$/.test(String(value || ''));
+}
+
+module.exports = { toE164, isE164 };
@@ -0,0 +1,154 @@
+/**
+ * Reminder scheduler. Runs beside the API and, per session type, emails:
+ *
+ *   prep_guide   prep_guide_days_before days before a confirmed session
+ *   reminder     reminder_hours_before hours before a confirmed session
+ *   thank_you    thank_you_hours_after hours after a session marked completed
+ *
+ * Every reminder is recorded in scheduled_jobs under a key made of its kind,
+ * the booking and the session start, in the same transaction that queues the
+ * email. A restart therefore never sends one twice, reminders that came due
+ * while the server was down go out on the next run, and rescheduling a
+ * booking schedules fresh ones. Cancelled and unconfirmed bookings get none.
+ */
+
+const { dbRun, dbGet, dbAll, withTransaction } = require('./db');
+const bookings = require('./booking-repository');
+const sessionTypes = require('./session-types');
+const timezone = require('./timezone');
+const { startIntervalWorker } = require('./interval-worker');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_MINUTES || '5', 10) * 60 * 1000;
+// Completed sessions older than this no longer get a thank-you
+const THANK_YOU_WINDOW_DAYS = 14;
+
+const REMINDERS = {
+  prep_guide: {
+    status: 'confirmed',
+    offset: type => type.prep_guide_days_before,
+    runAt: ({ start }, days) => new Date(start.getTime() - days * DAY_MS)
+  },
+  reminder: {
+    status: 'confirmed',
+    offset: type => type.reminder_hours_before,
+    runAt: ({ start }, hours) => new Date(start.getTime() - hours * HOUR_MS)
+  },
+  thank_you: {
+    status: 'completed',
+    offset: type => type.thank_you_hours_after,
+    runAt: ({ end }, hours) => new Date(end.getTime() + hours * HOUR_MS)
+  }
+};
+
+function sessionWindow(booking) {
+  const start = timezone.zonedTimeToUtc(String(booking.event_date).slice(0, 10), booking.event_time);
+  return { start, end: new Date(start.getTime() + Number(booking.duration || 120) * 60000) };
+}
+
+function jobKey(kind, booking, start) {
+  return `${kind}:${booking.booking_id}:${start.toISOString()}`;
+}
+
+/**
+ * Reminders due at `now` that aren't in scheduled_jobs yet:
+ * [{ key, kind, booking, runAt, skip }] where skip names why the email
+ * shouldn't go out after all.
+ */
+async function findDue(now = new Date()) {
+  const types = await sessionTypes.getSessionTypeMap();
+  const maxPrepDays = Math.max(0, ...Object.values(types).map(type => type.prep_guide_days_before || 0));
+  const today = timezone.todayInZone();
+  const candidates = [
+    ...(await bookings.list({ status: 'confirmed', from: timezone.addDays(today, -1), to: timezone.addDays(today, maxPrepDays + 1) })),
+    ...(await bookings.list({ status: 'completed', from: timezone.addDays(today, -THANK_YOU_WINDOW_DAYS), to: today }))
+  ];
+
+  const due = [];
+  for (const booking of candidates) {
+    const type = types[booking.event_type];
+    if (!type) continue;
+    const window = sessionWindow(booking);
+
+    for (const [kind, reminder] of Object.entries(REMINDERS)) {
+      const offset = reminder.offset(type);
+      if (reminder.status !== booking.status || offset == null) continue;
+      const runAt = reminder.runAt(window, offset);
+      if (runAt > now) continue;
+
+      let skip = null;
+      if (kind === 'thank_you') {
+        if (now - runAt > THANK_YOU_WINDOW_DAYS * DAY_MS) skip = 'too_late';
+      } else if (window.start <= now) {
+        skip = 'session_started';
+      } else if (timezone.parseTimestamp(booking.created_at) > runAt) {
+        // Booked inside the reminder window - the confirmation covers it
+        skip = 'booked_after_due';
+      }
+      due.push({ key: jobKey(kind, booking, window.start), kind, booking, runAt, skip });
+    }
+  }
+
+  if (!due.length) return [];
+  const done = new Set((await dbAll(
+    `SELECT job_key FROM scheduled_jobs WHERE job_key IN (${due.map(() => '?').join(', ')})`,
+    due.map(job => job.key)
+  )).map(row => row.job_key));
+  return due.filter(job => !done.has(job.key));
+}
+
+/**
+ * Record each due reminder and hand it to `send(kind, booking)`, which should
+ * queue the email, in one transaction. Resolves to { sent, skipped }.
+ */
+async function processDue(send, now = new Date()) {
+  const outcome = { sent: 0, skipped: 0 };
+  for (const job of await findDue(now)) {
+    const status = await withTransaction(async () => {
+      if (await dbGet('SELECT id FROM scheduled_jobs WHERE job_key = ?', [job.key])) return null;
+      // The booking may have been cancelled or moved since findDue read it
+      const current = await bookings.findById(job.booking.booking_id);
+      const unchanged = current && current.status === job.booking.status &&
+        jobKey(job.kind, current, sessionWindow(current).start) === job.key;
+      const skip = unchanged ? job.skip : 'booking_changed';
+
+      await dbRun(
+        'INSERT INTO scheduled_jobs (job_key, kind, booking_id, run_at, status, note) VALUES (?, ?, ?, ?, ?, ?)',
+        [job.key, job.kind, job.booking.booking_id, job.runAt.toISOString(), skip ? 'skipped' : 'sent', skip]
+      );
+      if (!skip) await send(job.kind, current);
+      return skip ? 'skipped' : 'sent';
+    });
+    if (!status) continue;
+    outcome[status] += 1;
+    console.log(`${status === 'sent' ? '⏰' : '⏭️ '} ${job.kind} for ${job.booking.booking_id} ${status}${job.skip ? ` (${job.skip})` : ''}`);
+  }
+  return outcome;
+}
+
+async function listForBooking(bookingId) {
+  return dbAll(
+    'SELECT kind, run_at, status, note, created_at FROM scheduled_jobs WHERE booking_id = ? ORDER BY id',
+    [bookingId]
+  );
+}
+
+/**
+ * Check for due reminders every REMINDER_POLL_MINUTES. Returns a function
+ * that stops the scheduler.
+ */
+function startScheduler(send, { intervalMs = POLL_INTERVAL_MS } = {}) {
+  const stop = startIntervalWorker('Reminder scheduler', () => processDue(send), intervalMs);
+  console.log(`⏰ Reminder scheduler checking every ${Math.round(intervalMs / 60000)} min`);
+  return stop;
+}
+
+module.exports = {
+  REMINDERS,
+  findDue,
+  processDue,
+  listForBooking,
+  startScheduler
+};
@@ -0,0 +1,129 @@
+/**
+ * Business hours: recurring weekly hours, date-specific overrides (the
+ * availability table) and blackout ranges.
+ *
+ * For a given date:
+ *   1. A blackout covering the date closes it entirely.
+ *   2. Open (is_available = 1) overrides replace the weekly hours for that date.
+ *   3. Closed (is_available = 0) overrides are carved out of whatever is open.
+ */
+
+const { dbAll } = require('./db');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Remove a closed [start, end) block (minutes) from a list of open intervals
+ */
+function subtractInterval(intervals, block) {
+  const result = [];
+  intervals.forEach(({ start, end }) => {
+    if (block.end <= start || block.start >= end) {
+      result.push({ start, end });
+      return;
+    }
+    if (block.start > start) result.push({ start, end: block.start });
+    if (block.end < end) result.push({ start: block.end, end });
+  });
+  return result;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.slice().sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+    return merged;
+  }, []);
+}
+
+async function findBlackout(dateStr) {
+  const rows = await dbAll(
+    'SELECT * FROM blackout_dates WHERE start_date <= ? AND end_date >= ? ORDER BY start_date LIMIT 1',
+    [dateStr, dateStr]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Open intervals for a date as [{ start: 'HH:MM', end: 'HH:MM' }], plus the
+ * blackout that closed it (if any) so callers can explain an empty day.
+ */
+async function getOpenHours(dateStr) {
+  const blackout = await findBlackout(dateStr);
+  if (blackout) return { intervals: [], blackout };
+
+  const overrides = await dbAll(
+    'SELECT * FROM availability WHERE date = ? ORDER BY start_time',
+    [dateStr]
+  );
+  const openOverrides = overrides.filter(row => Number(row.is_available) === 1);
+  const closedOverrides = overrides.filter(row => Number(row.is_available) !== 1);
+
+  let base = openOverrides;
+  if (!openOverrides.length) {
+    base = await dbAll(
+      'SELECT * FROM weekly_schedule WHERE weekday = ? ORDER BY start_time',
+      [weekdayOf(dateStr)]
+    );
+  }
+
+  let intervals = mergeIntervals(base.map(row => ({ start: toMinutes(row.start_time), end: toMinutes(row.end_time) })));
+  closedOverrides.forEach(row => {
+    intervals = subtractInterval(intervals, { start: toMinutes(row.start_time), end: toMinutes(row.end_time) });
+  });
+
+  return {
+    intervals: intervals.map(({ start, end }) => ({ start: fromMinutes(start), end: fromMinutes(end) })),
+    blackout: null
+  };
+}
+
+/**
+ * True when [startTime, startTime + duration) fits inside one open interval
+ */
+function fitsOpenHours(intervals, startTime, duration) {
+  const start = toMinutes(startTime);
+  const end = start + Number(duration);
+  return intervals.some(interval => start >= toMinutes(interval.start) && end <= toMinutes(interval.end));
+}
+
+/**
+ * Candidate start times ('HH:MM') every `step` minutes that fit within the open intervals
+ */
+function candidateStartTimes(intervals, duration, step = 30) {
+  const times = [];
+  intervals.forEach(interval => {
+    const open = toMinutes(interval.start);
+    const close = toMinutes(interval.end);
+    for (let start = open; start + Number(duration) <= close; start += step) {
+      times.push(fromMinutes(start));
+    }
+  });
+  return times;
+}
+
+module.exports = {
+  WEEKDAYS,
+  toMinutes,
+  getOpenHours,
+  fitsOpenHours,
+  candidateStartTimes
+};
@@ -0,0 +1,122 @@
+/**
+ * Session-type catalog: the one place that defines what can be booked,
+ * how long it runs, what it costs and the scheduling rules that apply.
+ *
+ * Rules:
+ *   - buffer_before/after_minutes pad the session when checking overlaps
+ *   - min_lead_hours hides slots starting sooner than that from now
+ *   - max_per_day caps active bookings of the type on one date
+ *   - requires_approval books as 'pending_approval' instead of 'confirmed'
+ *   - deposit_cents is paid through Stripe Checkout before the booking is
+ *     held for good (lib/payments.js); NULL means no deposit
+ *   - prep_guide_days_before / reminder_hours_before / thank_you_hours_after
+ *     schedule the reminder emails (lib/reminders.js); NULL turns one off
+ */
+
+const { dbRun, dbGet, dbAll } = require('./db');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_-]{1,39}$/;
+
+// Editable columns and how to coerce incoming values
+const FIELDS = {
+  label: value => String(value).trim(),
+  description: value => (value == null ? null : String(value).trim()),
+  calendar_title: value => (value == null ? null : String(value).trim()),
+  duration_minutes: value => parseInt(value, 10),
+  price_cents: value => (value == null ? null : parseInt(value, 10)),
+  deposit_cents: value => (value == null ? null : parseInt(value, 10)),
+  buffer_before_minutes: value => parseInt(value, 10),
+  buffer_after_minutes: value => parseInt(value, 10),
+  min_lead_hours: value => parseInt(value, 10),
+  max_per_day: value => (value == null ? null : parseInt(value, 10)),
+  requires_approval: value => (value ? 1 : 0),
+  is_active: value => (value ? 1 : 0),
+  sort_order: value => parseInt(value, 10),
+  prep_guide_days_before: value => (value == null ? null : parseInt(value, 10)),
+  reminder_hours_before: value => (value == null ? null : parseInt(value, 10)),
+  thank_you_hours_after: value => (value == null ? null : parseInt(value, 10))
+};
+
+function formatPrice(priceCents) {
+  if (priceCents == null) return 'Custom';
+  if (Number(priceCents) === 0) return 'Free';
+  const dollars = Number(priceCents) / 100;
+  return `$${Number.isInteger(dollars) ? dollars : dollars.toFixed(2)}`;
+}
+
+/**
+ * Shape returned to the booking form and client library
+ */
+function toPublic(row) {
+  return {
+    key: row.key,
+    label: row.label,
+    description: row.description,
+    duration_minutes: row.duration_minutes,
+    price_cents: row.price_cents,
+    price_label: formatPrice(row.price_cents),
+    buffer_before_minutes: row.buffer_before_minutes,
+    buffer_after_minutes: row.buffer_after_minutes,
+    min_lead_hours: row.min_lead_hours,
+    max_per_day: row.max_per_day,
+    requires_approval: Boolean(row.requires_approval)
+  };
+}
+
+async function listSessionTypes({ includeInactive = false } = {}) {
+  return dbAll(
+    `SELECT * FROM session_types ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY sort_order, label`
+  );
+}
+
+async function getSessionType(key) {
+  return (await dbGet('SELECT * FROM session_types WHERE key = ?', [String(key)])) || null;
+}
+
+/**
+ * All types keyed by key (inactive included, so existing bookings still resolve)
+ */
+async function getSessionTypeMap() {
+  const rows = await listSessionTypes({ includeInactive: true });
+  return rows.reduce((map, row) => {
+    map[row.key] = row;
+    return map;
+  }, {});
+}
+
+/**
+ * Create or update a type; only known fields are written
+ */
+async function saveSessionType(key, fields) {
+  const values = {};
+  Object.keys(FIELDS).forEach(name => {
+    if (fields[name] !== undefined) values[name] = FIELDS[name](fields[name]);
+  });
+
+  const existing = await getSessionType(key);
+  if (!existing) {
+    const columns = ['key', ...Object.keys(values)];
+    await dbRun(
+      `INSERT INTO session_types (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [key, ...Object.values(values)]
+    );
+  } else if (Object.keys(values).length) {
+    const assignments = Object.keys(values).map(name => `${name} = ?`).join(', ');
+    await dbRun(
+      `UPDATE session_types SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE key = ?`,
+      [...Object.values(values), key]
+    );
+  }
+  return { created: !existing, sessionType: await getSessionType(key) };
+}
+
+module.exports = {
+  KEY_PATTERN,
+  FIELDS,
+  formatPrice,
+  toPublic,
+  listSessionTypes,
+  getSessionType,
+  getSessionTypeMap,
+  saveSessionType
+};
@@ -0,0 +1,202 @@
+/**
+ * Google Sheets booking ledger: one row per booking in the GOOGLE_SHEETS_ID
+ * spreadsheet, on the GOOGLE_SHEETS_TAB tab (default "Bookings", created if
+ * missing). Rows are found by booking_id and overwritten with the booking's
+ * current values, so syncing the same booking twice is harmless.
+ *
+ * SHEETS_COLUMNS chooses the columns and their headers as comma-separated
+ * "Header=field" pairs, e.g. "Booking ID=booking_id,Client=client_name,Date=event_date".
+ * It must include booking_id. Values are written as plain text (RAW), so
+ * nothing a client typed is ever evaluated as a formula.
+ */
+
+const { google } = require('googleapis');
+
+// Booking columns a sheet column may show
+const FIELDS = [
+  'booking_id', 'status', 'client_name', 'client_email', 'client_phone', 'event_type',
+  'event_date', 'event_time', 'duration', 'location', 'message', 'guest_count',
+  'referral_source', 'sms_opt_in', 'calendar_event_id', 'created_at', 'updated_at'
+];
+
+const DEFAULT_COLUMNS = [
+  ['Booking ID', 'booking_id'],
+  ['Status', 'status'],
+  ['Client', 'client_name'],
+  ['Email', 'client_email'],
+  ['Phone', 'client_phone'],
+  ['Session', 'event_type'],
+  ['Date', 'event_date'],
+  ['Time', 'event_time'],
+  ['Duration (min)', 'duration'],
+  ['Location', 'location'],
+  ['Guests', 'guest_count'],
+  ['Source', 'referral_source'],
+  ['Created', 'created_at'],
+  ['Updated', 'updated_at']
+];
+
+function isEnabled() {
+  return Boolean(process.env.GOOGLE_SHEETS_ID);
+}
+
+/**
+ * "Header=field,..." -> [{ header, field }]; throws on unknown fields or a
+ * mapping without booking_id
+ */
+function parseColumns(spec) {
+  const pairs = spec
+    ? String(spec).split(',').map(pair => pair.trim()).filter(Boolean).map((pair) => {
+      const at = pair.lastIndexOf('=');
+      return at === -1 ? [pair, pair] : [pair.slice(0, at).trim(), pair.slice(at + 1).trim()];
+    })
+    : DEFAULT_COLUMNS;
+
+  const columns = pairs.map(([header, field]) => {
+    if (!FIELDS.includes(field)) throw new Error(`SHEETS_COLUMNS: unknown field "${field}" (expected one of: ${FIELDS.join(', ')})`);
+    return { header: header || field, field };
+  });
+  if (!columns.some(column => column.field === 'booking_id')) throw new Error('SHEETS_COLUMNS must include booking_id');
+  return columns;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function cellValue(booking, field) {
+  const value = booking[field];
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  // Legacy rows store event_date as a UTC-midnight millisecond timestamp
+  if (field === 'event_date' && /^\d{10,}$/.test(String(value))) return new Date(Number(value)).toISOString().slice(0, 10);
+  if (field === 'sms_opt_in') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+function defaultAuth() {
+  const auth = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  auth.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+  return auth;
+}
+
+function createSheetsLedger({
+  auth = defaultAuth(),
+  spreadsheetId = process.env.GOOGLE_SHEETS_ID,
+  tab = process.env.GOOGLE_SHEETS_TAB || 'Bookings',
+  columns = parseColumns(process.env.SHEETS_COLUMNS)
+} = {}) {
+  if (!spreadsheetId) throw new Error('GOOGLE_SHEETS_ID is not set');
+  const sheets = google.sheets({ version: 'v4', auth });
+  const sheetName = `'${tab.replace(/'/g, "''")}'`;
+  const keyColumn = columnLetter(columns.findIndex(column => column.field === 'booking_id'));
+  const lastColumn = columnLetter(columns.length - 1);
+  let prepared = null;
+
+  // Create the tab if needed and keep its header row in line with the mapping
+  async function prepare() {
+    const { data } = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+    if (!data.sheets.some(sheet => sheet.properties.title === tab)) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: tab, gridProperties: { frozenRowCount: 1 } } } }] }
+      });
+      console.log(`📊 Created "${tab}" tab in the bookings sheet`);
+    }
+    const headers = columns.map(column => column.header);
+    const current = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A1:${lastColumn}1` });
+    const existing = (current.data.values && current.data.values[0]) || [];
+    if (existing.join('\u0000') !== headers.join('\u0000')) {
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${sheetName}!A1:${lastColumn}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [headers] }
+      });
+    }
+  }
+
+  function ensurePrepared() {
+    prepared = prepared || prepare().catch((error) => {
+      prepared = null;
+      throw error;
+    });
+    return prepared;
+  }
+
+  // booking_id -> 1-based sheet row
+  async function readRowNumbers() {
+    const { data } = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!${keyColumn}2:${keyColumn}` });
+    const rows = new Map();
+    (data.values || []).forEach(([bookingId], index) => {
+      if (bookingId && !rows.has(bookingId)) rows.set(bookingId, index + 2);
+    });
+    return rows;
+  }
+
+  function toRow(booking) {
+    return columns.map(column => cellValue(booking, column.field));
+  }
+
+  /**
+   * Write the bookings' current values: rows already in the sheet are
+   * overwritten, the rest appended. Resolves to { updated, appended }.
+   */
+  async function upsertMany(bookings) {
+    await ensurePrepared();
+    const rowNumbers = await readRowNumbers();
+    const updates = [];
+    const appends = [];
+    bookings.forEach((booking) => {
+      const row = rowNumbers.get(booking.booking_id);
+      if (row) {
+        updates.push({ range: `${sheetName}!A${row}:${lastColumn}${row}`, values: [toRow(booking)] });
+      } else {
+        appends.push(toRow(booking));
+      }
+    });
+
+    if (updates.length) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: { valueInputOption: 'RAW', data: updates }
+      });
+    }
+    if (appends.length) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${sheetName}!A1:${lastColumn}1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: appends }
+      });
+    }
+    return { updated: updates.length, appended: appends.length };
+  }
+
+  return {
+    spreadsheetId,
+    tab,
+    columns,
+    upsert: booking => upsertMany([booking]),
+    upsertMany
+  };
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_COLUMNS,
+  isEnabled,
+  parseColumns,
+  columnLetter,
+  createSheetsLedger
+};
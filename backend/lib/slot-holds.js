@@ -0,0 +1,118 @@
+/**
+ * Temporary holds on a time slot while a client finishes the booking form.
+ * Picking a time creates a hold that counts as busy in everyone else's
+ * availability for SLOT_HOLD_MINUTES (default 10); the booking that follows
+ * takes its place, and leaving the form releases it. Holds nobody releases
+ * simply run out, and a sweeper clears them from the table every minute.
+ * A client (by IP address) has at most SLOT_HOLD_MAX_PER_CLIENT (default 2)
+ * unexpired holds at a time.
+ *
+ * Held rows look like bookings (event_date, event_time, duration,
+ * event_type), so the availability code can treat them the same way.
+ */
+
+const crypto = require('crypto');
+const { dbRun, dbGet, dbAll } = require('./db');
+const { isoFromNow } = require('./timezone');
+const { startIntervalWorker } = require('./interval-worker');
+
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES || '10', 10);
+const MAX_PER_CLIENT = parseInt(process.env.SLOT_HOLD_MAX_PER_CLIENT || '2', 10);
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Key a client's holds are counted under; the IP address itself isn't stored
+ */
+function clientKey(ip) {
+  return crypto.createHash('sha256').update(String(ip || '')).digest('hex');
+}
+
+/**
+ * Hold a slot for the client with `clientKey`. Check it's free, and that
+ * the client is under MAX_PER_CLIENT, in the same transaction. Resolves to
+ * the hold ({ hold_id, expires_at, ... }).
+ */
+async function create({ eventDate, eventTime, eventType, duration, clientKey: key }) {
+  const holdId = `hold_${crypto.randomBytes(18).toString('base64url')}`;
+  const expiresAt = isoFromNow(HOLD_MINUTES * 60 * 1000);
+  await dbRun(
+    'INSERT INTO slot_holds (hold_id, event_date, event_time, event_type, duration, expires_at, client_key) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [holdId, eventDate, eventTime, eventType, duration, expiresAt, key]
+  );
+  return findActive(holdId);
+}
+
+/**
+ * Number of unexpired holds a client has
+ */
+async function countActiveForClient(key) {
+  const { count } = await dbGet('SELECT COUNT(*) AS count FROM slot_holds WHERE client_key = ? AND expires_at > ?', [key, isoFromNow()]);
+  return Number(count);
+}
+
+async function findActive(holdId) {
+  return (await dbGet('SELECT * FROM slot_holds WHERE hold_id = ? AND expires_at > ?', [holdId, isoFromNow()])) || null;
+}
+
+/**
+ * Drop a hold, because the client moved on or booked it. Resolves to true
+ * when a hold was still there.
+ */
+async function release(holdId) {
+  const result = await dbRun('DELETE FROM slot_holds WHERE hold_id = ?', [holdId]);
+  return result.changes > 0;
+}
+
+/**
+ * Unexpired holds on any of the dates, except `excludeHoldId` (the asking
+ * client's own)
+ */
+async function listActiveOnDates(dates, { excludeHoldId = null } = {}) {
+  const rows = await dbAll(
+    `SELECT * FROM slot_holds WHERE expires_at > ? AND event_date IN (${dates.map(() => '?').join(', ')})`,
+    [isoFromNow(), ...dates]
+  );
+  return rows.filter(row => row.hold_id !== excludeHoldId);
+}
+
+/**
+ * Unexpired holds from one date to another, inclusive
+ */
+async function listActiveBetween(from, to, { excludeHoldId = null } = {}) {
+  const rows = await dbAll(
+    'SELECT * FROM slot_holds WHERE expires_at > ? AND event_date >= ? AND event_date <= ?',
+    [isoFromNow(), from, to]
+  );
+  return rows.filter(row => row.hold_id !== excludeHoldId);
+}
+
+/**
+ * Delete holds that have run out. Resolves to how many there were.
+ */
+async function sweepExpired() {
+  const result = await dbRun('DELETE FROM slot_holds WHERE expires_at <= ?', [isoFromNow()]);
+  return result.changes;
+}
+
+/**
+ * Clear expired holds every minute. Returns a function that stops the sweeper.
+ */
+function startSweeper({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+  const stop = startIntervalWorker('Slot hold sweeper', sweepExpired, intervalMs);
+  console.log(`⏳ Slot holds last ${HOLD_MINUTES} min, at most ${MAX_PER_CLIENT} per client`);
+  return stop;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  MAX_PER_CLIENT,
+  clientKey,
+  create,
+  countActiveForClient,
+  findActive,
+  release,
+  listActiveOnDates,
+  listActiveBetween,
+  sweepExpired,
+  startSweeper
+};
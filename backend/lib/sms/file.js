@@ -0,0 +1,24 @@
+/**
+ * Local stand-in for development, staging and tests: every text is appended
+ * to <dir>/messages.jsonl (one JSON object per line) instead of being sent.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileProvider({ dir = './sms' } = {}) {
+  const root = path.resolve(dir);
+  const file = path.join(root, 'messages.jsonl');
+
+  async function send({ from, to, body }) {
+    const id = `${Date.now()}.${crypto.randomBytes(6).toString('hex')}`;
+    await fs.mkdir(root, { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ id, from, to, body, sent_at: new Date().toISOString() })}\n`, 'utf8');
+    return { id, path: file };
+  }
+
+  return { name: 'file', send };
+}
+
+module.exports = { createFileProvider };
@@ -0,0 +1,57 @@
+/**
+ * SMS provider selected by SMS_PROVIDER:
+ *   twilio (default)  TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_PHONE_NUMBER
+ *   file              Appends to SMS_FILE_DIR/messages.jsonl (default ./sms), nothing is sent
+ *
+ * Providers expose { name, send({ from, to, body }) } and resolve to { id }.
+ * Recipients must already be E.164 (see lib/phone.js).
+ */
+
+const { isE164 } = require('../phone');
+
+const PROVIDERS = ['twilio', 'file'];
+
+function createProvider(name) {
+  switch (name) {
+    case 'twilio': {
+      const { createTwilioProvider } = require('./twilio');
+      return createTwilioProvider({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_PHONE_NUMBER
+      });
+    }
+    case 'file': {
+      const { createFileProvider } = require('./file');
+      return createFileProvider({ dir: process.env.SMS_FILE_DIR || './sms' });
+    }
+    default:
+      throw new Error(`Unknown SMS_PROVIDER "${name}" (expected: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+// SMS_NOTIFICATIONS_ENABLED=true turns the channel on (setup.js writes it)
+function isEnabled() {
+  return String(process.env.SMS_NOTIFICATIONS_ENABLED || '').toLowerCase() === 'true';
+}
+
+/**
+ * Sender over the configured provider. send({ to, body }) resolves to { id }.
+ * The provider is created on first use, so a server with SMS switched off
+ * doesn't need Twilio credentials.
+ */
+function createSmsSender(providerName = process.env.SMS_PROVIDER) {
+  const name = String(providerName || 'twilio').trim().toLowerCase();
+  if (!PROVIDERS.includes(name)) throw new Error(`Unknown SMS_PROVIDER "${name}" (expected: ${PROVIDERS.join(', ')})`);
+  let provider = null;
+
+  async function send({ to, body }) {
+    if (!isE164(to)) throw new Error(`Not an E.164 phone number: ${to}`);
+    provider = provider || createProvider(name);
+    return provider.send({ from: process.env.TWILIO_PHONE_NUMBER || null, to, body });
+  }
+
+  return { provider: name, send };
+}
+
+module.exports = { createSmsSender, isEnabled, PROVIDERS };
@@ -0,0 +1,55 @@
+/**
+ * Twilio Programmable Messaging provider. Sends from TWILIO_PHONE_NUMBER
+ * through the REST API with the account SID and auth token.
+ */
+
+const https = require('https');
+
+const API_HOST = 'api.twilio.com';
+
+function createTwilioProvider({ accountSid, authToken, from }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio SMS needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+  }
+
+  function send({ to, body }) {
+    const form = new URLSearchParams({ To: to, From: from, Body: body }).toString();
+    return new Promise((resolve, reject) => {
+      const request = https.request({
+        host: API_HOST,
+        method: 'POST',
+        path: `/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+        auth: `${accountSid}:${authToken}`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(form)
+        },
+        timeout: 30000
+      }, (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { raw += chunk; });
+        response.on('end', () => {
+          let data = {};
+          try {
+            data = JSON.parse(raw);
+          } catch (error) {
+            // Non-JSON error pages fall through to the status check
+          }
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve({ id: data.sid });
+          } else {
+            reject(new Error(`Twilio ${response.statusCode}${data.code ? ` (${data.code})` : ''}: ${data.message || raw.slice(0, 200)}`));
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error('Twilio request timed out')));
+      request.on('error', reject);
+      request.end(form);
+    });
+  }
+
+  return { name: 'twilio', send };
+}
+
+module.exports = { createTwilioProvider };
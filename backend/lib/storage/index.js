@@ -0,0 +1,48 @@
+/**
+ * Storage adapter selected by DATABASE_URL:
+ *   postgres://... or postgresql://...   Postgres (lib/storage/postgres.js)
+ *   sqlite:./file.db, a file path, or unset   SQLite (default ./bookings.db)
+ *
+ * Every adapter exposes { dialect, run, get, all, transaction, close } with
+ * ? placeholders; run resolves to { lastID, changes }.
+ */
+
+const { createSqliteStorage } = require('./sqlite');
+
+const DEFAULT_SQLITE_FILE = './bookings.db';
+
+// Column types and statements that differ between dialects, for migrations
+const SQL_DIALECTS = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    timestamp: 'DATETIME',
+    date: 'DATE',
+    time: 'TIME',
+    insertIgnore: 'INSERT OR IGNORE INTO',
+    onConflictIgnore: ''
+  },
+  postgres: {
+    id: 'SERIAL PRIMARY KEY',
+    timestamp: 'TIMESTAMPTZ',
+    // Dates/times are compared as 'YYYY-MM-DD' / 'HH:MM' strings, as in SQLite
+    date: 'TEXT',
+    time: 'TEXT',
+    insertIgnore: 'INSERT INTO',
+    onConflictIgnore: 'ON CONFLICT DO NOTHING'
+  }
+};
+
+function createStorage(databaseUrl = process.env.DATABASE_URL) {
+  const url = String(databaseUrl || '').trim();
+
+  if (/^postgres(ql)?:\/\//i.test(url)) {
+    // Only load pg when it is actually used
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage(url);
+  }
+
+  const filename = url.replace(/^sqlite:(\/\/)?/i, '') || DEFAULT_SQLITE_FILE;
+  return createSqliteStorage(filename);
+}
+
+module.exports = { createStorage, SQL_DIALECTS };
@@ -0,0 +1,90 @@
+/**
+ * Postgres adapter, used when DATABASE_URL is a postgres:// URL.
+ *
+ * Callers write SQLite-style SQL with ? placeholders; they are rewritten to
+ * $1, $2 ... here, so SQL must not contain a literal "?". Transactions run
+ * on a dedicated pool client (found via AsyncLocalStorage by queries inside
+ * the callback) and take an advisory lock, so check-then-insert sections are
+ * serialized across API processes the way SQLite's single writer does.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool, types } = require('pg');
+
+// Return BIGINT (e.g. COUNT(*)) as a number, as SQLite does
+types.setTypeParser(20, value => parseInt(value, 10));
+
+const TRANSACTION_LOCK_KEY = 4_202_020;
+
+// Rewrite ? placeholders as $1, $2, ... leaving quoted literals alone
+function toPositional(sql) {
+  let index = 0;
+  return sql.replace(/'(?:[^']|'')*'|\?/g, match => (match === '?' ? `$${++index}` : match));
+}
+
+function createPostgresStorage(connectionString) {
+  const pool = new Pool({ connectionString });
+  const activeClient = new AsyncLocalStorage();
+
+  pool.on('error', (error) => {
+    console.error('⚠️ Postgres pool error:', error.message);
+  });
+
+  // Work started inside a transaction may outlive it; only an open one counts
+  function openClient() {
+    const current = activeClient.getStore();
+    return current && current.open ? current.client : null;
+  }
+
+  function query(sql, params = []) {
+    const executor = openClient() || pool;
+    return executor.query(toPositional(sql), params);
+  }
+
+  async function run(sql, params = []) {
+    // INSERTs report the new row's id like sqlite3's this.lastID
+    const returning = /^\s*insert\b/i.test(sql) && !/\breturning\b/i.test(sql);
+    const result = await query(returning ? `${sql} RETURNING *` : sql, params);
+    const first = result.rows && result.rows[0];
+    return { lastID: first && first.id !== undefined ? first.id : null, changes: result.rowCount || 0 };
+  }
+
+  async function get(sql, params = []) {
+    const result = await query(sql, params);
+    return result.rows[0];
+  }
+
+  async function all(sql, params = []) {
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  async function transaction(fn) {
+    // Already inside a transaction: join it
+    if (openClient()) return fn();
+
+    const client = await pool.connect();
+    const current = { client, open: true };
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [TRANSACTION_LOCK_KEY]);
+      const result = await activeClient.run(current, fn);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      current.open = false;
+      client.release();
+    }
+  }
+
+  function close() {
+    return pool.end();
+  }
+
+  return { dialect: 'postgres', run, get, all, transaction, close };
+}
+
+module.exports = { createPostgresStorage, toPositional };
@@ -0,0 +1,123 @@
+/**
+ * SQLite adapter (default). Everything shares one connection, so whatever
+ * runs on it while a transaction is open becomes part of that transaction.
+ * Transactions are therefore queued in-process, and statements from outside
+ * the running one wait until it has committed or rolled back; a ROLLBACK
+ * only ever undoes the transaction's own writes. Queries inside the callback
+ * are recognised through AsyncLocalStorage, and a nested transaction() joins
+ * the outer one, as on Postgres.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+
+function createSqliteStorage(filename) {
+  const db = new sqlite3.Database(filename);
+  const activeTransaction = new AsyncLocalStorage();
+
+  let transactionQueue = Promise.resolve();
+  // Settles when the transaction holding the connection ends
+  let openTransaction = null;
+  // Statements from outside a transaction still running, and who waits for them
+  let statementsInFlight = 0;
+  let onStatementsDone = null;
+
+  // Work started inside a transaction may outlive it; only an open one counts
+  function inTransaction() {
+    const current = activeTransaction.getStore();
+    return Boolean(current && current.open);
+  }
+
+  async function outsideTransaction(execute) {
+    while (openTransaction) await openTransaction;
+    statementsInFlight += 1;
+    try {
+      return await execute();
+    } finally {
+      statementsInFlight -= 1;
+      if (!statementsInFlight && onStatementsDone) onStatementsDone();
+    }
+  }
+
+  function statement(execute) {
+    return inTransaction() ? execute() : outsideTransaction(execute);
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  function exec(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  function run(sql, params = []) {
+    return statement(() => exec(sql, params));
+  }
+
+  function get(sql, params = []) {
+    return statement(() => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }));
+  }
+
+  function all(sql, params = []) {
+    return statement(() => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    }));
+  }
+
+  /**
+   * Run fn inside BEGIN IMMEDIATE ... COMMIT, or as part of the transaction
+   * it's called from
+   */
+  function transaction(fn) {
+    if (inTransaction()) return fn();
+
+    const execute = async () => {
+      let finish;
+      openTransaction = new Promise((resolve) => { finish = resolve; });
+      const current = { open: true };
+      try {
+        if (statementsInFlight) await new Promise((resolve) => { onStatementsDone = resolve; });
+        onStatementsDone = null;
+        return await activeTransaction.run(current, async () => {
+          await exec('BEGIN IMMEDIATE');
+          try {
+            const result = await fn();
+            await exec('COMMIT');
+            return result;
+          } catch (error) {
+            await exec('ROLLBACK').catch(() => {});
+            throw error;
+          }
+        });
+      } finally {
+        current.open = false;
+        openTransaction = null;
+        finish();
+      }
+    };
+    const result = transactionQueue.then(execute, execute);
+    transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  function close() {
+    return new Promise((resolve, reject) => {
+      db.close(err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  return { dialect: 'sqlite', run, get, all, transaction, close };
+}
+
+module.exports = { createSqliteStorage };
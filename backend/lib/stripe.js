@@ -0,0 +1,114 @@
+/**
+ * Minimal Stripe REST client: the Checkout Session calls the deposit flow
+ * uses, plus webhook signature verification.
+ *
+ * STRIPE_API_BASE points the client somewhere other than api.stripe.com -
+ * stripe-mock or any stub server speaking the same form-encoded API.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_API_BASE = 'https://api.stripe.com';
+// How old a webhook's signed timestamp may be, as in Stripe's own libraries
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Stripe's bracket encoding: { line_items: [{ quantity: 1 }] } ->
+ * line_items[0][quantity]=1
+ */
+function encodeForm(params, prefix = null, pairs = []) {
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, pairs);
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  });
+  return pairs.join('&');
+}
+
+function createStripeClient({ secretKey = process.env.STRIPE_SECRET_KEY, apiBase = process.env.STRIPE_API_BASE || DEFAULT_API_BASE } = {}) {
+  if (!secretKey) throw new Error('STRIPE_SECRET_KEY is not set');
+  const base = new URL(apiBase);
+  const transport = base.protocol === 'http:' ? http : https;
+
+  function request(method, path, params = null, { idempotencyKey = null } = {}) {
+    const form = params ? encodeForm(params) : '';
+    const headers = {
+      Authorization: `Bearer ${secretKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(form)
+    };
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port || undefined,
+        method,
+        path: `${base.pathname.replace(/\/$/, '')}${path}`,
+        headers,
+        timeout: 30000
+      }, (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { raw += chunk; });
+        response.on('end', () => {
+          let data = null;
+          try {
+            data = JSON.parse(raw);
+          } catch (error) {
+            return reject(new Error(`Stripe returned ${response.statusCode} with a non-JSON body`));
+          }
+          if (response.statusCode >= 200 && response.statusCode < 300) return resolve(data);
+          const detail = data.error || {};
+          return reject(new Error(`Stripe ${response.statusCode}${detail.code ? ` (${detail.code})` : ''}: ${detail.message || 'request failed'}`));
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('Stripe request timed out')));
+      req.on('error', reject);
+      req.end(form);
+    });
+  }
+
+  return {
+    createCheckoutSession: (params, options) => request('POST', '/v1/checkout/sessions', params, options),
+    retrieveCheckoutSession: id => request('GET', `/v1/checkout/sessions/${encodeURIComponent(id)}`),
+    expireCheckoutSession: id => request('POST', `/v1/checkout/sessions/${encodeURIComponent(id)}/expire`)
+  };
+}
+
+/**
+ * Check a Stripe-Signature header ("t=<unix>,v1=<hex>[,v1=...]") against the
+ * raw request body and return the parsed event. Throws when the signature
+ * doesn't match or is older than the tolerance.
+ */
+function verifyWebhookEvent(payload, signatureHeader, secret, { tolerance = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  const parts = String(signatureHeader || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || !signatures.length) throw new Error('Malformed Stripe-Signature header');
+
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'));
+  const matches = signatures.some((signature) => {
+    const candidate = Buffer.from(signature);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+  if (!matches) throw new Error('Stripe signature does not match');
+  if (Math.abs(now / 1000 - timestamp) > tolerance) throw new Error('Stripe signature timestamp is outside the tolerance');
+
+  return JSON.parse(body);
+}
+
+module.exports = {
+  encodeForm,
+  createStripeClient,
+  verifyWebhookEvent
+};
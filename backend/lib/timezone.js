@@ -0,0 +1,173 @@
+/**
+ * Business timezone helpers (Intl-based, no date library).
+ * Dates ('YYYY-MM-DD') and times ('HH:MM') stored on bookings are wall-clock
+ * values in BUSINESS_TIMEZONE; these helpers convert them to and from UTC
+ * instants so results don't depend on the server's own timezone.
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+
+const formatters = new Map();
+let warnedInvalidZone = false;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function getBusinessTimeZone() {
+  const configured = process.env.BUSINESS_TIMEZONE;
+  if (!configured) return DEFAULT_TIME_ZONE;
+  if (isValidTimeZone(configured)) return configured;
+  if (!warnedInvalidZone) {
+    warnedInvalidZone = true;
+    console.warn(`⚠️ Invalid BUSINESS_TIMEZONE "${configured}" - falling back to ${DEFAULT_TIME_ZONE}`);
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function zonedParts(instant, timeZone) {
+  const parts = {};
+  partsFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+}
+
+/**
+ * Offset of timeZone from UTC at the given instant, in minutes (e.g. -420 for PDT)
+ */
+function offsetMinutes(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant for a wall-clock date/time in timeZone. Nonexistent times
+ * (spring-forward gap) resolve forward; ambiguous ones take the first.
+ */
+function zonedTimeToUtc(dateStr, timeStr, timeZone = getBusinessTimeZone()) {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  const [hours, minutes] = String(timeStr || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  const firstGuess = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+  const secondOffset = offsetMinutes(new Date(firstGuess), timeZone);
+  const candidate = new Date(wallClock - secondOffset * 60000);
+
+  // Inside a DST gap the candidate lands on a different wall-clock time
+  const zoned = utcToZoned(candidate, timeZone);
+  const requested = `${String(hours).padStart(2, '0')}:${String(minutes || 0).padStart(2, '0')}`;
+  return zoned.time === requested ? candidate : new Date(firstGuess);
+}
+
+/**
+ * Wall-clock { date, time } in timeZone for a UTC instant
+ */
+function utcToZoned(instant, timeZone = getBusinessTimeZone()) {
+  const p = zonedParts(new Date(instant), timeZone);
+  return { date: `${p.year}-${p.month}-${p.day}`, time: `${p.hour}:${p.minute}` };
+}
+
+function formatOffset(totalMinutes) {
+  const sign = totalMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(totalMinutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * ISO 8601 string in timeZone with its UTC offset, e.g. 2025-06-14T10:00:00-07:00
+ */
+function toZonedIso(instant, timeZone = getBusinessTimeZone()) {
+  const date = new Date(instant);
+  const { date: day, time } = utcToZoned(date, timeZone);
+  return `${day}T${time}:00${formatOffset(offsetMinutes(date, timeZone))}`;
+}
+
+function todayInZone(timeZone = getBusinessTimeZone()) {
+  return utcToZoned(new Date(), timeZone).date;
+}
+
+/**
+ * The calendar date `days` after a 'YYYY-MM-DD' (negative for before)
+ */
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * UTC ISO timestamp `ms` from now, as stored in expiry and retry columns
+ */
+function isoFromNow(ms = 0) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+/**
+ * A stored timestamp as a Date. SQLite keeps CURRENT_TIMESTAMP as UTC
+ * "YYYY-MM-DD HH:MM:SS" without a zone; Postgres hands back Dates already.
+ */
+function parseTimestamp(value) {
+  if (value instanceof Date) return value;
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+}
+
+/**
+ * "Saturday, June 14, 2025" for a stored YYYY-MM-DD (calendar date, no shifting)
+ */
+function formatLongDate(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * "10:00 AM PDT" for a stored date/time in the business timezone
+ */
+function formatZonedTime(dateStr, timeStr, timeZone = getBusinessTimeZone()) {
+  return zonedTimeToUtc(dateStr, timeStr, timeZone).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short'
+  });
+}
+
+module.exports = {
+  getBusinessTimeZone,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZoned,
+  toZonedIso,
+  todayInZone,
+  addDays,
+  isoFromNow,
+  parseTimestamp,
+  formatLongDate,
+  formatZonedTime
+};
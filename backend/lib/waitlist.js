@@ -0,0 +1,266 @@
+/**
+ * Waitlist for full dates. Clients join for a date and session type; when
+ * that date has room again - usually because a booking was cancelled - the
+ * entry that has waited longest is offered it, with a claim link valid for
+ * WAITLIST_OFFER_HOURS (default 24). One offer per date and session type is
+ * open at a time; when it runs out unclaimed, the next entry gets one.
+ *
+ *   waiting ──offer──> offered ──claimed──> booked
+ *      ^                  │
+ *      │                  └──not claimed in time──> expired
+ *      └──requeue (admin)── offered / expired / removed
+ *   waiting / offered ──admin──> removed
+ *
+ * Requeued entries keep their original place in line. Entries for dates
+ * that have passed expire. Whether a date has room and how an offer reaches
+ * the client are up to the caller (see processDue).
+ */
+
+const { dbRun, dbGet, dbAll, withTransaction } = require('./db');
+const timezone = require('./timezone');
+const { startIntervalWorker } = require('./interval-worker');
+
+const STATUSES = ['waiting', 'offered', 'booked', 'expired', 'removed'];
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS || '24', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.WAITLIST_POLL_MINUTES || '5', 10) * 60 * 1000;
+
+const ACTIVE_SQL = `status IN (${ACTIVE_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+async function findById(id) {
+  return (await dbGet('SELECT * FROM waitlist_entries WHERE id = ?', [id])) || null;
+}
+
+/**
+ * Add a client to the waitlist for a date and session type. A client
+ * already waiting there keeps their entry. Resolves to { entry, created }.
+ */
+async function join({ eventDate, eventType, clientName, clientEmail, clientPhone, preferredTime = null, message = null }) {
+  const existing = await dbGet(
+    `SELECT * FROM waitlist_entries
+     WHERE event_date = ? AND event_type = ? AND LOWER(client_email) = LOWER(?) AND ${ACTIVE_SQL}`,
+    [eventDate, eventType, clientEmail]
+  );
+  if (existing) return { entry: existing, created: false };
+
+  const result = await dbRun(
+    `INSERT INTO waitlist_entries (event_date, event_type, client_name, client_email, client_phone, preferred_time, message)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [eventDate, eventType, clientName, clientEmail, clientPhone, preferredTime, message]
+  );
+  return { entry: await findById(result.lastID), created: true };
+}
+
+/**
+ * 1-based place in line of an active entry for its date and session type
+ */
+async function position(entry) {
+  const { ahead } = await dbGet(
+    `SELECT COUNT(*) AS ahead FROM waitlist_entries
+     WHERE event_date = ? AND event_type = ? AND ${ACTIVE_SQL} AND id < ?`,
+    [entry.event_date, entry.event_type, entry.id]
+  );
+  return Number(ahead) + 1;
+}
+
+/**
+ * Entries by date, session type and place in line, filtered by any of
+ * status, eventType and an inclusive from/to date range. Active entries
+ * carry their `position`.
+ */
+async function list({ status = null, eventType = null, from = null, to = null, limit = 200 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (eventType) {
+    where.push('event_type = ?');
+    params.push(eventType);
+  }
+  if (from) {
+    where.push('event_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('event_date <= ?');
+    params.push(to);
+  }
+  const rows = await dbAll(
+    `SELECT * FROM waitlist_entries ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY event_date, event_type, id LIMIT ?`,
+    [...params, limit]
+  );
+
+  // Places count every active entry on those dates, not just the filtered ones
+  const dates = [...new Set(rows.map(row => row.event_date))];
+  const active = dates.length ? await dbAll(
+    `SELECT id, event_date, event_type FROM waitlist_entries
+     WHERE ${ACTIVE_SQL} AND event_date IN (${dates.map(() => '?').join(', ')})
+     ORDER BY id`,
+    dates
+  ) : [];
+  const lines = {};
+  const positions = {};
+  active.forEach((row) => {
+    const line = `${row.event_date}|${row.event_type}`;
+    lines[line] = (lines[line] || 0) + 1;
+    positions[row.id] = lines[line];
+  });
+  return rows.map(row => Object.assign({}, row, { position: positions[row.id] || null }));
+}
+
+/**
+ * Close offers nobody claimed in time, and entries whose date has passed
+ */
+async function expireStale(now = new Date()) {
+  const offers = await dbRun(
+    "UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE status = 'offered' AND offer_expires_at <= ?",
+    [now.toISOString()]
+  );
+  const past = await dbRun(
+    `UPDATE waitlist_entries SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE ${ACTIVE_SQL} AND event_date < ?`,
+    [timezone.todayInZone()]
+  );
+  return offers.changes + past.changes;
+}
+
+// Inside a transaction: open a new offer on an active entry and hand it to sendOffer
+async function openOffer(entry, sendOffer) {
+  const changed = await dbRun(
+    `UPDATE waitlist_entries
+     SET status = 'offered', offer_count = offer_count + 1, offered_at = CURRENT_TIMESTAMP, offer_expires_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND ${ACTIVE_SQL}`,
+    [timezone.isoFromNow(OFFER_HOURS * 60 * 60 * 1000), entry.id]
+  );
+  if (!changed.changes) return null;
+  const offered = await findById(entry.id);
+  await sendOffer(offered);
+  return offered;
+}
+
+/**
+ * Offer a date and session type to the next entry in line, unless an offer
+ * for it is already open. `sendOffer(entry)` queues the message and runs in
+ * the same transaction. Resolves to the offered entry or null.
+ */
+async function offerNext(eventDate, eventType, sendOffer) {
+  return withTransaction(async () => {
+    const open = await dbGet(
+      "SELECT id FROM waitlist_entries WHERE event_date = ? AND event_type = ? AND status = 'offered'",
+      [eventDate, eventType]
+    );
+    if (open) return null;
+    const next = await dbGet(
+      "SELECT * FROM waitlist_entries WHERE event_date = ? AND event_type = ? AND status = 'waiting' ORDER BY id LIMIT 1",
+      [eventDate, eventType]
+    );
+    return next ? openOffer(next, sendOffer) : null;
+  });
+}
+
+/**
+ * Offer one entry now, out of turn (admin). A new offer replaces an open one,
+ * so the earlier claim link stops working.
+ */
+async function offer(entryId, sendOffer) {
+  return withTransaction(async () => {
+    const entry = await findById(entryId);
+    if (!entry || !ACTIVE_STATUSES.includes(entry.status)) return null;
+    return openOffer(entry, sendOffer);
+  });
+}
+
+/**
+ * Record that an entry's offer was taken up. Only the entry's current, open
+ * offer can be claimed; resolves to false otherwise.
+ */
+async function markBooked(entryId, offerCount, bookingId) {
+  const result = await dbRun(
+    `UPDATE waitlist_entries SET status = 'booked', booking_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'offered' AND offer_count = ? AND offer_expires_at > ?`,
+    [bookingId, entryId, offerCount, timezone.isoFromNow()]
+  );
+  return result.changes > 0;
+}
+
+async function remove(entryId) {
+  const result = await dbRun(
+    `UPDATE waitlist_entries SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND ${ACTIVE_SQL}`,
+    [entryId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Put an offered, expired or removed entry back in line at its original place
+ */
+async function requeue(entryId) {
+  const result = await dbRun(
+    `UPDATE waitlist_entries SET status = 'waiting', offer_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN ('offered', 'expired', 'removed') AND event_date >= ?`,
+    [entryId, timezone.todayInZone()]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Offer every date and session type that has room to its next entry in line.
+ * `hasRoom(eventDate, eventType)` says whether a date can take another
+ * session of the type; pass `eventDate` to look at that date only. Resolves
+ * to the entries offered.
+ */
+async function processDue({ hasRoom, sendOffer }, { eventDate = null } = {}) {
+  await expireStale();
+  const lines = await dbAll(
+    `SELECT DISTINCT event_date, event_type FROM waitlist_entries
+     WHERE status = 'waiting' AND ${eventDate ? 'event_date = ?' : 'event_date >= ?'}
+     ORDER BY event_date, event_type`,
+    [eventDate || timezone.todayInZone()]
+  );
+
+  const offered = [];
+  for (const line of lines) {
+    if (await dbGet(
+      "SELECT id FROM waitlist_entries WHERE event_date = ? AND event_type = ? AND status = 'offered'",
+      [line.event_date, line.event_type]
+    )) continue;
+    if (!(await hasRoom(line.event_date, line.event_type))) continue;
+    const entry = await offerNext(line.event_date, line.event_type, sendOffer);
+    if (entry) {
+      console.log(`📋 Waitlist offer for ${line.event_type} on ${line.event_date} sent to entry #${entry.id}`);
+      offered.push(entry);
+    }
+  }
+  return offered;
+}
+
+/**
+ * Expire offers and look for room every WAITLIST_POLL_MINUTES. Returns a
+ * function that stops the worker.
+ */
+function startWorker(handlers, { intervalMs = POLL_INTERVAL_MS } = {}) {
+  const stop = startIntervalWorker('Waitlist worker', () => processDue(handlers), intervalMs);
+  console.log(`📋 Waitlist checking every ${Math.round(intervalMs / 60000)} min`);
+  return stop;
+}
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  OFFER_HOURS,
+  findById,
+  join,
+  position,
+  list,
+  expireStale,
+  offerNext,
+  offer,
+  markBooked,
+  remove,
+  requeue,
+  processDue,
+  startWorker
+};
@@ -0,0 +1,16 @@
+/**
+ * Keep the guest count and "how did you hear about us" answer from the
+ * booking form, which were previously dropped.
+ */
+
+async function up({ run }) {
+  await run('ALTER TABLE bookings ADD COLUMN guest_count INTEGER');
+  await run('ALTER TABLE bookings ADD COLUMN referral_source TEXT');
+}
+
+async function down({ run }) {
+  await run('ALTER TABLE bookings DROP COLUMN referral_source');
+  await run('ALTER TABLE bookings DROP COLUMN guest_count');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * Outbox for outgoing emails. Messages are written alongside the change that
+ * caused them and delivered by the background worker in
+ * lib/notification-outbox.js, so a mail outage delays them instead of
+ * losing them.
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE notification_outbox (
+      id ${t.id},
+      kind TEXT NOT NULL,
+      booking_id TEXT,
+      recipient TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body_html TEXT NOT NULL,
+      from_name TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at ${t.timestamp} NOT NULL,
+      sent_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_notification_outbox_due ON notification_outbox (status, next_attempt_at)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE notification_outbox');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+/**
+ * Plain-text version of each queued email, sent alongside the HTML as
+ * multipart/alternative.
+ */
+
+async function up({ run }) {
+  await run('ALTER TABLE notification_outbox ADD COLUMN body_text TEXT');
+}
+
+async function down({ run }) {
+  await run('ALTER TABLE notification_outbox DROP COLUMN body_text');
+}
+
+module.exports = { up, down };
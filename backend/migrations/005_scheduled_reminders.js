@@ -0,0 +1,40 @@
+/**
+ * Reminder emails per session type (prep guide, day-before reminder,
+ * thank-you after the session) and the scheduled_jobs ledger the reminder
+ * scheduler records each one in, so a restart neither repeats nor skips them.
+ * A NULL offset turns that reminder off for the type.
+ */
+
+async function up({ run, sql: t }) {
+  await run('ALTER TABLE session_types ADD COLUMN prep_guide_days_before INTEGER DEFAULT 7');
+  await run('ALTER TABLE session_types ADD COLUMN reminder_hours_before INTEGER DEFAULT 24');
+  await run('ALTER TABLE session_types ADD COLUMN thank_you_hours_after INTEGER DEFAULT 24');
+  // Meetings don't need a prep guide or a review request
+  await run(`
+    UPDATE session_types SET prep_guide_days_before = NULL, thank_you_hours_after = NULL
+    WHERE key IN ('consultation', 'followup')
+  `);
+
+  await run(`
+    CREATE TABLE scheduled_jobs (
+      id ${t.id},
+      job_key TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL,
+      booking_id TEXT,
+      run_at ${t.timestamp} NOT NULL,
+      status TEXT NOT NULL,
+      note TEXT,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_scheduled_jobs_booking ON scheduled_jobs (booking_id)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE scheduled_jobs');
+  await run('ALTER TABLE session_types DROP COLUMN thank_you_hours_after');
+  await run('ALTER TABLE session_types DROP COLUMN reminder_hours_before');
+  await run('ALTER TABLE session_types DROP COLUMN prep_guide_days_before');
+}
+
+module.exports = { up, down };
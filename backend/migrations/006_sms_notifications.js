@@ -0,0 +1,67 @@
+/**
+ * Text messages on the notification outbox: a channel column ('email' or
+ * 'sms'), and subject / body_html become optional since a text has only
+ * body_text. Bookings record whether the client opted in to texts.
+ *
+ * SQLite can't drop a NOT NULL constraint, so there the outbox table is
+ * rebuilt.
+ */
+
+const OUTBOX_COLUMNS = [
+  'id', 'kind', 'booking_id', 'recipient', 'subject', 'body_html', 'body_text', 'from_name',
+  'status', 'attempts', 'last_error', 'next_attempt_at', 'sent_at', 'created_at', 'updated_at'
+];
+
+async function rebuildSqliteOutbox(run, t, { messageRequired }) {
+  const notNull = messageRequired ? ' NOT NULL' : '';
+  const columns = messageRequired ? OUTBOX_COLUMNS : [...OUTBOX_COLUMNS, 'channel'];
+  await run(`
+    CREATE TABLE notification_outbox_new (
+      id ${t.id},
+      kind TEXT NOT NULL,
+      booking_id TEXT,
+      recipient TEXT NOT NULL,
+      subject TEXT${notNull},
+      body_html TEXT${notNull},
+      body_text TEXT,
+      from_name TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at ${t.timestamp} NOT NULL,
+      sent_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP${messageRequired ? '' : `,
+      channel TEXT NOT NULL DEFAULT 'email'`}
+    )
+  `);
+  await run(`INSERT INTO notification_outbox_new (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM notification_outbox`);
+  await run('DROP TABLE notification_outbox');
+  await run('ALTER TABLE notification_outbox_new RENAME TO notification_outbox');
+  await run('CREATE INDEX idx_notification_outbox_due ON notification_outbox (status, next_attempt_at)');
+}
+
+async function up({ run, dialect, sql: t }) {
+  await run("ALTER TABLE notification_outbox ADD COLUMN channel TEXT NOT NULL DEFAULT 'email'");
+  if (dialect === 'sqlite') {
+    await rebuildSqliteOutbox(run, t, { messageRequired: false });
+  } else {
+    await run('ALTER TABLE notification_outbox ALTER COLUMN subject DROP NOT NULL');
+    await run('ALTER TABLE notification_outbox ALTER COLUMN body_html DROP NOT NULL');
+  }
+  await run('ALTER TABLE bookings ADD COLUMN sms_opt_in INTEGER NOT NULL DEFAULT 0');
+}
+
+async function down({ run, dialect, sql: t }) {
+  await run('ALTER TABLE bookings DROP COLUMN sms_opt_in');
+  await run("DELETE FROM notification_outbox WHERE channel = 'sms'");
+  if (dialect === 'sqlite') {
+    await rebuildSqliteOutbox(run, t, { messageRequired: true });
+  } else {
+    await run('ALTER TABLE notification_outbox ALTER COLUMN body_html SET NOT NULL');
+    await run('ALTER TABLE notification_outbox ALTER COLUMN subject SET NOT NULL');
+    await run('ALTER TABLE notification_outbox DROP COLUMN channel');
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * Deposits: session_types.deposit_cents (NULL = no deposit) and a payments
+ * table with one row per Stripe Checkout session opened for a booking.
+ */
+
+async function up({ run, sql: t }) {
+  await run('ALTER TABLE session_types ADD COLUMN deposit_cents INTEGER');
+
+  await run(`
+    CREATE TABLE payments (
+      id ${t.id},
+      booking_id TEXT NOT NULL,
+      provider TEXT NOT NULL DEFAULT 'stripe',
+      checkout_session_id TEXT UNIQUE,
+      payment_intent_id TEXT,
+      amount_cents INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      checkout_url TEXT,
+      expires_at ${t.timestamp},
+      paid_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_payments_booking ON payments (booking_id)');
+  await run('CREATE INDEX idx_payments_status ON payments (status, expires_at)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE payments');
+  await run('ALTER TABLE session_types DROP COLUMN deposit_cents');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+/**
+ * Calendar reconciliation: calendar_drift records each difference found
+ * between a booking and its Google Calendar event (moved, deleted, missing)
+ * and how it was settled; calendar_watch_channels holds the push-notification
+ * channels registered with Google, so webhook calls can be verified and the
+ * channel renewed before it expires.
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE calendar_drift (
+      id ${t.id},
+      booking_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      calendar_event_id TEXT,
+      details TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      resolution TEXT,
+      detected_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      resolved_at ${t.timestamp}
+    )
+  `);
+  await run('CREATE INDEX idx_calendar_drift_status ON calendar_drift (status, booking_id)');
+
+  await run(`
+    CREATE TABLE calendar_watch_channels (
+      id ${t.id},
+      channel_id TEXT UNIQUE NOT NULL,
+      resource_id TEXT,
+      token TEXT NOT NULL,
+      address TEXT NOT NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      stopped_at ${t.timestamp},
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function down({ run }) {
+  await run('DROP TABLE calendar_watch_channels');
+  await run('DROP TABLE calendar_drift');
+}
+
+module.exports = { up, down };
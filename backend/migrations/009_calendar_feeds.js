@@ -0,0 +1,29 @@
+/**
+ * iCalendar feeds: calendar_feeds holds one row per subscription link handed
+ * out (its token only as a SHA-256 hash), and bookings.ical_sequence counts
+ * the changes to a booking's date, time, length, place or status - the
+ * SEQUENCE calendar apps use to tell a newer copy of an event from an older one.
+ */
+
+async function up({ run, sql: t }) {
+  await run('ALTER TABLE bookings ADD COLUMN ical_sequence INTEGER NOT NULL DEFAULT 0');
+
+  await run(`
+    CREATE TABLE calendar_feeds (
+      id ${t.id},
+      label TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by TEXT,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_accessed_at ${t.timestamp},
+      revoked_at ${t.timestamp}
+    )
+  `);
+}
+
+async function down({ run }) {
+  await run('DROP TABLE calendar_feeds');
+  await run('ALTER TABLE bookings DROP COLUMN ical_sequence');
+}
+
+module.exports = { up, down };
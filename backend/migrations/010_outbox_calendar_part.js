@@ -0,0 +1,14 @@
+/**
+ * iTIP calendar part (METHOD:REQUEST / CANCEL) of a queued client email,
+ * snapshotted when the email is queued so it carries that change's SEQUENCE.
+ */
+
+async function up({ run }) {
+  await run('ALTER TABLE notification_outbox ADD COLUMN body_calendar TEXT');
+}
+
+async function down({ run }) {
+  await run('ALTER TABLE notification_outbox DROP COLUMN body_calendar');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * Idempotency keys: one row per Idempotency-Key a client sent to a
+ * non-repeatable endpoint, with a hash of the request it came with and, once
+ * it succeeded, the response to replay for repeats.
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE idempotency_keys (
+      id ${t.id},
+      scope TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress',
+      response_status INTEGER,
+      response_body TEXT,
+      locked_until ${t.timestamp} NOT NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      completed_at ${t.timestamp},
+      UNIQUE (scope, idempotency_key)
+    )
+  `);
+  await run('CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys (expires_at)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE idempotency_keys');
+}
+
+module.exports = { up, down };
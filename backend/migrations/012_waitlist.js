@@ -0,0 +1,34 @@
+/**
+ * Waitlist: clients waiting for a date and session type that was full.
+ * Entries are offered a freed slot one at a time per date and session type,
+ * in the order they joined (see lib/waitlist.js).
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE waitlist_entries (
+      id ${t.id},
+      event_date ${t.date} NOT NULL,
+      event_type TEXT NOT NULL,
+      client_name TEXT NOT NULL,
+      client_email TEXT NOT NULL,
+      client_phone TEXT NOT NULL,
+      preferred_time ${t.time},
+      message TEXT,
+      status TEXT NOT NULL DEFAULT 'waiting',
+      offer_count INTEGER NOT NULL DEFAULT 0,
+      offered_at ${t.timestamp},
+      offer_expires_at ${t.timestamp},
+      booking_id TEXT,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_waitlist_entries_date ON waitlist_entries (event_date, event_type, status)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE waitlist_entries');
+}
+
+module.exports = { up, down };
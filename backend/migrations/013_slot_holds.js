@@ -0,0 +1,28 @@
+/**
+ * Slot holds: a time a client has picked on the booking form, kept from
+ * everyone else's availability for a few minutes while they finish the
+ * form (see lib/slot-holds.js). A hold is deleted when it's released or
+ * turned into a booking; expired ones are swept on the next hold.
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE slot_holds (
+      id ${t.id},
+      hold_id TEXT NOT NULL UNIQUE,
+      event_date ${t.date} NOT NULL,
+      event_time ${t.time} NOT NULL,
+      event_type TEXT NOT NULL,
+      duration INTEGER NOT NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_slot_holds_date ON slot_holds (event_date, expires_at)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE slot_holds');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Booking notes: free-text notes the studio keeps on a booking from the
+ * admin dashboard. Never shown to the client.
+ */
+
+async function up({ run, sql: t }) {
+  await run(`
+    CREATE TABLE booking_notes (
+      id ${t.id},
+      booking_id TEXT NOT NULL,
+      author_id INTEGER,
+      author_email TEXT,
+      body TEXT NOT NULL,
+      created_at ${t.timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX idx_booking_notes_booking ON booking_notes (booking_id)');
+}
+
+async function down({ run }) {
+  await run('DROP TABLE booking_notes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * availability.is_available becomes INTEGER DEFAULT 1 on every dialect.
+ * 001_initial_schema gave SQLite databases BOOLEAN DEFAULT true; Postgres
+ * databases already have the INTEGER column from their baseline.
+ *
+ * SQLite can't change a column's type, so there the table is rebuilt.
+ */
+
+const AVAILABILITY_COLUMNS = ['id', 'date', 'start_time', 'end_time', 'is_available', 'created_at'];
+
+async function rebuildSqliteAvailability(run, isAvailable) {
+  await run(`
+    CREATE TABLE availability_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date DATE NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      is_available ${isAvailable},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`INSERT INTO availability_new (${AVAILABILITY_COLUMNS.join(', ')}) SELECT ${AVAILABILITY_COLUMNS.join(', ')} FROM availability`);
+  await run('DROP TABLE availability');
+  await run('ALTER TABLE availability_new RENAME TO availability');
+}
+
+async function up({ run, dialect }) {
+  if (dialect === 'sqlite') await rebuildSqliteAvailability(run, 'INTEGER DEFAULT 1');
+}
+
+async function down({ run, dialect }) {
+  if (dialect === 'sqlite') await rebuildSqliteAvailability(run, 'BOOLEAN DEFAULT true');
+}
+
+module.exports = { up, down };
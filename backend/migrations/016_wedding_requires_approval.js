@@ -0,0 +1,14 @@
+/**
+ * Wedding inquiries are custom-priced, so the studio approves each one
+ * instead of it confirming itself: the seeded wedding type requires approval.
+ */
+
+async function up({ run }) {
+  await run("UPDATE session_types SET requires_approval = 1, updated_at = CURRENT_TIMESTAMP WHERE key = 'wedding'");
+}
+
+async function down({ run }) {
+  await run("UPDATE session_types SET requires_approval = 0, updated_at = CURRENT_TIMESTAMP WHERE key = 'wedding'");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Record who placed each slot hold (a hash of their IP address), so one
+ * client can only hold a couple of slots at a time.
+ */
+
+async function up({ run }) {
+  await run('ALTER TABLE slot_holds ADD COLUMN client_key TEXT');
+  await run('CREATE INDEX idx_slot_holds_client ON slot_holds (client_key, expires_at)');
+}
+
+async function down({ run }) {
+  await run('DROP INDEX idx_slot_holds_client');
+  await run('ALTER TABLE slot_holds DROP COLUMN client_key');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations for 4everevents Booking System
+ *
+ *   npm run migrate up [steps]     Apply pending migrations (all by default)
+ *   npm run migrate down [steps]   Revert the latest migration(s) (one by default)
+ *   npm run migrate status         Show applied and pending migrations
+ *
+ * Run from backend/ so it opens the same database (DATABASE_URL) as the server.
+ */
+
+require('dotenv').config();
+
+const { closeDb } = require('../lib/db');
+const migrations = require('../lib/migrations');
+
+function parseSteps(value, fallback) {
+  if (value === undefined) return fallback;
+  const steps = parseInt(value, 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Invalid step count "${value}"`);
+  }
+  return steps;
+}
+
+async function up() {
+  const applied = await migrations.migrateUp({ steps: parseSteps(process.argv[3], Infinity) });
+  console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is already up to date');
+}
+
+async function down() {
+  const reverted = await migrations.migrateDown({ steps: parseSteps(process.argv[3], 1) });
+  console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'ℹ️  Nothing to revert');
+}
+
+async function status() {
+  const { current, latest, applied, pending } = await migrations.getStatus();
+  console.log(`\n📦 Schema version ${current} (latest ${latest})\n`);
+  applied.forEach(m => console.log(`  ✅ ${m.version} ${m.name}`));
+  pending.forEach(m => console.log(`  ⏳ ${m.version} ${m.name}`));
+  if (pending.length) console.log('\nRun: npm run migrate up');
+}
+
+// Handle command line arguments
+const command = process.argv[2] || 'status';
+const actions = { up, down, status };
+
+if (!actions[command]) {
+  console.error(`❌ Unknown command "${command}" (expected: up, down, status)`);
+  process.exit(1);
+}
+
+actions[command]()
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDb();
+  });
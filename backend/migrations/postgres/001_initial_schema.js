@@ -0,0 +1,162 @@
+/**
+ * Baseline schema for Postgres: migrations/001_initial_schema.js written in
+ * Postgres SQL, since the shipped one is SQLite-only and can't change.
+ * Dates and times are TEXT as on SQLite, and is_available is the INTEGER
+ * that 015_availability_flag_integer gives SQLite databases.
+ */
+
+async function up({ run }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS bookings (
+      id SERIAL PRIMARY KEY,
+      booking_id TEXT UNIQUE NOT NULL,
+      client_name TEXT NOT NULL,
+      client_email TEXT NOT NULL,
+      client_phone TEXT NOT NULL,
+      event_date TEXT NOT NULL,
+      event_time TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      location TEXT NOT NULL,
+      message TEXT,
+      duration INTEGER DEFAULT 120,
+      status TEXT DEFAULT 'confirmed',
+      calendar_event_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Date-specific overrides: open rows replace the weekly hours for that date,
+  // closed rows (is_available = 0) block time out of it
+  await run(`
+    CREATE TABLE IF NOT EXISTS availability (
+      id SERIAL PRIMARY KEY,
+      date TEXT NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      is_available INTEGER DEFAULT 1,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Recurring business hours per weekday (0 = Sunday); several rows per day allowed
+  await run(`
+    CREATE TABLE IF NOT EXISTS weekly_schedule (
+      id SERIAL PRIMARY KEY,
+      weekday INTEGER NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Seed the previous fixed hours (every day 9:00-18:00) when nothing is configured
+  await run(`
+    INSERT INTO weekly_schedule (weekday, start_time, end_time)
+    SELECT weekday, '09:00', '18:00' FROM (
+      SELECT 0 AS weekday UNION ALL SELECT 1 UNION ALL SELECT 2 UNION ALL SELECT 3
+      UNION ALL SELECT 4 UNION ALL SELECT 5 UNION ALL SELECT 6
+    ) AS days
+    WHERE NOT EXISTS (SELECT 1 FROM weekly_schedule)
+  `);
+
+  // Closed date ranges (vacations, conventions, holidays), inclusive
+  await run(`
+    CREATE TABLE IF NOT EXISTS blackout_dates (
+      id SERIAL PRIMARY KEY,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Session-type catalog (served by GET /api/session-types, edited by admins).
+  // price_cents NULL means "custom quote"; max_per_day NULL means no limit.
+  await run(`
+    CREATE TABLE IF NOT EXISTS session_types (
+      key TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      description TEXT,
+      calendar_title TEXT,
+      duration_minutes INTEGER NOT NULL,
+      price_cents INTEGER,
+      buffer_before_minutes INTEGER NOT NULL DEFAULT 0,
+      buffer_after_minutes INTEGER NOT NULL DEFAULT 0,
+      min_lead_hours INTEGER NOT NULL DEFAULT 24,
+      max_per_day INTEGER,
+      requires_approval INTEGER NOT NULL DEFAULT 0,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Seed the types that were previously hard-coded in the server and form
+  await run(`
+    INSERT INTO session_types (key, label, description, calendar_title, duration_minutes, price_cents, sort_order)
+    VALUES
+      ('consultation', 'Initial Consultation', 'Get to know each other and discuss your vision', '4everevents - Initial Consultation', 60, 0, 1),
+      ('engagement', 'Engagement Session', 'Romantic engagement photography session', '4everevents - Engagement Session', 180, 49500, 2),
+      ('wedding', 'Wedding Photography', 'Full wedding day coverage', '4everevents - Wedding Photography', 600, NULL, 3),
+      ('followup', 'Follow-up Meeting', 'Post-session planning and review', '4everevents - Follow-up Call', 30, 0, 4)
+    ON CONFLICT DO NOTHING
+  `);
+
+  // Audit logs table for booking attempts and validation failures
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id SERIAL PRIMARY KEY,
+      request_id TEXT,
+      event TEXT,
+      details TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Admin accounts for the bookings/audit-log endpoints
+  await run(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'admin',
+      token_version INTEGER NOT NULL DEFAULT 0,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      last_login_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Refresh tokens are stored hashed; rotating or revoking one sets revoked_at
+  await run(`
+    CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES admin_users(id)
+    )
+  `);
+}
+
+async function down({ run }) {
+  const tables = [
+    'admin_refresh_tokens',
+    'admin_users',
+    'audit_logs',
+    'session_types',
+    'blackout_dates',
+    'weekly_schedule',
+    'availability',
+    'bookings'
+  ];
+  for (const table of tables) {
+    await run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
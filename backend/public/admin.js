@@ -0,0 +1,454 @@
+/**
+ * 4everevents - Studio bookings dashboard
+ * Signs in through /api/admin/login and keeps the token pair in sessionStorage,
+ * so closing the tab signs out.
+ */
+
+(function () {
+  const TOKEN_KEY = '4everevents.adminTokens';
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const statusEl = document.getElementById('status');
+  const loginEl = document.getElementById('login');
+  const dashboardEl = document.getElementById('dashboard');
+  const typeFilter = document.getElementById('filter-type');
+  const fromFilter = document.getElementById('filter-from');
+  const toFilter = document.getElementById('filter-to');
+  const cancelledFilter = document.getElementById('filter-cancelled');
+  const listViewEl = document.getElementById('list-view');
+  const calendarViewEl = document.getElementById('calendar-view');
+  const rowsEl = document.getElementById('booking-rows');
+  const calendarEl = document.getElementById('calendar');
+  const detailEl = document.getElementById('detail');
+  const transitionsEl = document.getElementById('transitions');
+  const dateInput = document.getElementById('new-date');
+  const slotsEl = document.getElementById('slots');
+  const rescheduleBtn = document.getElementById('reschedule');
+  const noteInput = document.getElementById('note-body');
+
+  let tokens = JSON.parse(sessionStorage.getItem(TOKEN_KEY) || 'null');
+  let view = 'list';
+  let month = startOfMonth(new Date());
+  let sessionLabels = {};
+  let booking = null;
+  let selectedTime = null;
+
+  function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = kind || 'muted';
+    statusEl.hidden = !text;
+  }
+
+  function pad(number) {
+    return String(number).padStart(2, '0');
+  }
+
+  function isoDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function startOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+
+  // Postgres hands dates back as timestamps
+  function dateOf(row) {
+    return String(row.event_date).slice(0, 10);
+  }
+
+  function formatDate(dateString) {
+    return new Date(`${dateString}T12:00:00`).toLocaleDateString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  // SQLite's CURRENT_TIMESTAMP is UTC without a zone
+  function formatInstant(value) {
+    if (!value) return '';
+    const text = String(value);
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`).toLocaleString();
+  }
+
+  function humanize(value) {
+    return String(value || '').replace(/_/g, ' ');
+  }
+
+  function statusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `status status-${status}`;
+    badge.textContent = humanize(status);
+    return badge;
+  }
+
+  function errorMessage(result, fallback) {
+    return Array.isArray(result.errors) && result.errors.length ? result.errors[0].msg : (result.error || fallback);
+  }
+
+  function saveTokens(next) {
+    tokens = next ? { access_token: next.access_token, refresh_token: next.refresh_token } : null;
+    if (tokens) sessionStorage.setItem(TOKEN_KEY, JSON.stringify(tokens));
+    else sessionStorage.removeItem(TOKEN_KEY);
+  }
+
+  async function request(url, method, data) {
+    const options = { method, headers: { 'Content-Type': 'application/json' } };
+    if (tokens) options.headers.Authorization = `Bearer ${tokens.access_token}`;
+    if (data) options.body = JSON.stringify(data);
+    const response = await fetch(url, options);
+    const result = await response.json().catch(() => ({}));
+    return Object.assign({ success: response.ok, httpStatus: response.status }, result);
+  }
+
+  async function refreshTokens() {
+    if (!tokens) return false;
+    const result = await request('/api/admin/refresh', 'POST', { refresh_token: tokens.refresh_token });
+    saveTokens(result.success ? result : null);
+    return result.success;
+  }
+
+  // Access tokens are short-lived: on a 401 swap the refresh token once and retry
+  async function callAPI(url, method = 'GET', data = null) {
+    try {
+      const signedIn = Boolean(tokens);
+      let result = await request(url, method, data);
+      if (result.httpStatus === 401 && signedIn) {
+        if (await refreshTokens()) result = await request(url, method, data);
+        if (result.httpStatus === 401) {
+          saveTokens(null);
+          showLogin('Your session has ended. Please sign in again.');
+        }
+      }
+      return result;
+    } catch (_) {
+      return { success: false, error: 'Network error - please try again' };
+    }
+  }
+
+  function showLogin(message) {
+    dashboardEl.hidden = true;
+    loginEl.hidden = false;
+    setStatus(message || '', message ? 'error' : 'muted');
+  }
+
+  async function login(event) {
+    event.preventDefault();
+    const result = await callAPI('/api/admin/login', 'POST', {
+      email: document.getElementById('login-email').value,
+      password: document.getElementById('login-password').value
+    });
+    if (!result.success) {
+      setStatus(result.error || 'Could not sign in.', 'error');
+      return;
+    }
+    saveTokens(result);
+    document.getElementById('login-password').value = '';
+    await start();
+  }
+
+  async function logout() {
+    if (tokens) await callAPI('/api/admin/logout', 'POST', { refresh_token: tokens.refresh_token });
+    saveTokens(null);
+    detailEl.hidden = true;
+    showLogin();
+  }
+
+  async function loadSessionTypes() {
+    const result = await callAPI('/api/admin/session-types');
+    if (!result.success) return;
+    typeFilter.length = 1;
+    sessionLabels = {};
+    result.session_types.forEach((type) => {
+      sessionLabels[type.key] = type.label;
+      typeFilter.add(new Option(type.label, type.key));
+    });
+  }
+
+  function sessionLabel(key) {
+    return sessionLabels[key] || humanize(key);
+  }
+
+  async function fetchBookings(from, to) {
+    const params = new URLSearchParams();
+    if (typeFilter.value) params.set('event_type', typeFilter.value);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (!cancelledFilter.checked) params.set('active', 'true');
+    const result = await callAPI(`/api/bookings?${params}`);
+    if (!result.success) {
+      if (result.httpStatus !== 401) setStatus(errorMessage(result, 'Could not load bookings.'), 'error');
+      return null;
+    }
+    // Soonest first
+    return result.bookings.sort((a, b) => `${dateOf(a)} ${a.event_time}`.localeCompare(`${dateOf(b)} ${b.event_time}`));
+  }
+
+  async function renderList() {
+    const rows = await fetchBookings(fromFilter.value, toFilter.value);
+    if (!rows) return;
+    rowsEl.textContent = '';
+    rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      tr.dataset.bookingId = row.booking_id;
+      tr.classList.toggle('selected', Boolean(booking && booking.booking_id === row.booking_id));
+      [formatDate(dateOf(row)), row.event_time, sessionLabel(row.event_type), row.client_name].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const statusCell = document.createElement('td');
+      statusCell.appendChild(statusBadge(row.status));
+      tr.appendChild(statusCell);
+      tr.addEventListener('click', () => openBooking(row.booking_id));
+      rowsEl.appendChild(tr);
+    });
+    document.getElementById('empty').hidden = rows.length > 0;
+  }
+
+  // Whole weeks covering the month, Sunday first
+  async function renderCalendar() {
+    const first = new Date(month.getFullYear(), month.getMonth(), 1 - month.getDay());
+    const lastOfMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+    const last = new Date(lastOfMonth.getFullYear(), lastOfMonth.getMonth(), lastOfMonth.getDate() + (6 - lastOfMonth.getDay()));
+    const rows = await fetchBookings(isoDate(first), isoDate(last));
+    if (!rows) return;
+
+    document.getElementById('month-label').textContent = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    const byDate = {};
+    rows.forEach((row) => {
+      (byDate[dateOf(row)] = byDate[dateOf(row)] || []).push(row);
+    });
+
+    calendarEl.textContent = '';
+    WEEKDAYS.forEach((name) => {
+      const cell = document.createElement('div');
+      cell.className = 'weekday';
+      cell.textContent = name;
+      calendarEl.appendChild(cell);
+    });
+    const today = isoDate(new Date());
+    for (let day = new Date(first); day <= last; day.setDate(day.getDate() + 1)) {
+      const key = isoDate(day);
+      const cell = document.createElement('div');
+      cell.className = 'day';
+      cell.classList.toggle('outside', day.getMonth() !== month.getMonth());
+      cell.classList.toggle('today', key === today);
+      cell.appendChild(document.createTextNode(day.getDate()));
+      (byDate[key] || []).forEach((row) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `event status-${row.status}`;
+        btn.textContent = `${row.event_time} ${row.client_name}`;
+        btn.title = `${sessionLabel(row.event_type)} - ${humanize(row.status)}`;
+        btn.addEventListener('click', () => openBooking(row.booking_id));
+        cell.appendChild(btn);
+      });
+      calendarEl.appendChild(cell);
+    }
+  }
+
+  function refreshView() {
+    return view === 'list' ? renderList() : renderCalendar();
+  }
+
+  function setView(next) {
+    view = next;
+    listViewEl.hidden = view !== 'list';
+    calendarViewEl.hidden = view !== 'calendar';
+    document.getElementById('view-list').classList.toggle('selected', view === 'list');
+    document.getElementById('view-calendar').classList.toggle('selected', view === 'calendar');
+    refreshView();
+  }
+
+  function fillTimeline(listEl, items, emptyText) {
+    listEl.textContent = '';
+    if (!items.length) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = emptyText;
+      listEl.appendChild(li);
+      return;
+    }
+    items.forEach(({ text, meta, className }) => {
+      const li = document.createElement('li');
+      const body = document.createElement('span');
+      body.className = className || '';
+      body.textContent = text;
+      const small = document.createElement('small');
+      small.textContent = meta;
+      li.appendChild(body);
+      li.appendChild(small);
+      listEl.appendChild(li);
+    });
+  }
+
+  function renderDetail(result) {
+    booking = result.booking;
+    detailEl.querySelectorAll('[data-field]').forEach((el) => {
+      const key = el.getAttribute('data-field');
+      const value = booking[key];
+      if (key === 'event_date') el.textContent = formatDate(dateOf(booking));
+      else if (key === 'event_type') el.textContent = sessionLabel(value);
+      else if (key === 'status') el.replaceChildren(statusBadge(value));
+      else el.textContent = value === null || value === undefined || value === '' ? '—' : value;
+    });
+
+    transitionsEl.textContent = '';
+    result.allowed_transitions.forEach((status) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = status === 'cancelled' || status === 'no_show' ? 'danger' : '';
+      btn.textContent = `Mark ${humanize(status)}`;
+      btn.addEventListener('click', () => changeStatus(status));
+      transitionsEl.appendChild(btn);
+    });
+    if (!result.allowed_transitions.length) transitionsEl.textContent = 'This booking is closed.';
+    document.getElementById('reschedule-panel').hidden = !result.allowed_transitions.includes('cancelled');
+
+    fillTimeline(document.getElementById('notes'), (result.notes || []).map(note => ({
+      text: note.body,
+      className: 'note',
+      meta: `${note.author_email || 'Unknown'} · ${formatInstant(note.created_at)}`
+    })), 'No notes yet.');
+    fillTimeline(document.getElementById('history'), (result.status_history || []).map(change => ({
+      text: `${humanize(change.from)} → ${humanize(change.to)}${change.reason ? ` (${change.reason})` : ''}`,
+      meta: `${change.by || 'system'} · ${formatInstant(change.at)}`
+    })), 'No status changes yet.');
+    fillTimeline(document.getElementById('audit'), (result.audit_log || []).map(entry => ({
+      text: humanize(entry.event),
+      meta: `${entry.details.by || 'system'} · ${formatInstant(entry.created_at)}`
+    })), 'Nothing recorded.');
+
+    dateInput.value = '';
+    slotsEl.textContent = '';
+    rescheduleBtn.disabled = true;
+    selectedTime = null;
+    detailEl.hidden = false;
+    rowsEl.querySelectorAll('tr').forEach(tr => tr.classList.toggle('selected', tr.dataset.bookingId === booking.booking_id));
+  }
+
+  async function openBooking(bookingId) {
+    const result = await callAPI(`/api/admin/bookings/${encodeURIComponent(bookingId)}`);
+    if (!result.success) {
+      if (result.httpStatus !== 401) setStatus(errorMessage(result, 'Could not load this booking.'), 'error');
+      return;
+    }
+    setStatus('');
+    renderDetail(result);
+    detailEl.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  async function reloadBooking(message) {
+    await Promise.all([openBooking(booking.booking_id), refreshView()]);
+    setStatus(message, 'success');
+  }
+
+  async function changeStatus(status) {
+    if ((status === 'cancelled' || status === 'no_show') && !window.confirm(`Mark this booking ${humanize(status)}? This cannot be undone.`)) return;
+    const reasonInput = document.getElementById('status-reason');
+    const result = await callAPI(`/api/admin/bookings/${encodeURIComponent(booking.booking_id)}/status`, 'POST', {
+      status,
+      reason: reasonInput.value || undefined,
+      notify: document.getElementById('status-notify').checked
+    });
+    if (!result.success) {
+      if (result.httpStatus !== 401) setStatus(errorMessage(result, 'Could not change the status.'), 'error');
+      return;
+    }
+    reasonInput.value = '';
+    await reloadBooking(`Booking marked ${humanize(status)}.`);
+  }
+
+  async function loadSlots() {
+    selectedTime = null;
+    rescheduleBtn.disabled = true;
+    slotsEl.textContent = '';
+    if (!dateInput.value) return;
+
+    // The booking's own type and slot are taken into account, as when it's moved
+    const result = await callAPI(`/api/admin/bookings/${encodeURIComponent(booking.booking_id)}/availability/${dateInput.value}`);
+    const slots = result.success ? result.available_slots : [];
+    if (!slots.length) {
+      slotsEl.textContent = 'No open times on this date.';
+      return;
+    }
+    slots.forEach((slot) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = slot.time;
+      btn.addEventListener('click', () => {
+        slotsEl.querySelectorAll('button').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        selectedTime = slot.time;
+        rescheduleBtn.disabled = false;
+      });
+      slotsEl.appendChild(btn);
+    });
+  }
+
+  async function reschedule() {
+    if (!selectedTime) return;
+    rescheduleBtn.disabled = true;
+    const result = await callAPI(`/api/admin/bookings/${encodeURIComponent(booking.booking_id)}/reschedule`, 'POST', {
+      eventDate: dateInput.value,
+      eventTime: selectedTime,
+      notify: document.getElementById('reschedule-notify').checked
+    });
+    if (!result.success) {
+      if (result.httpStatus !== 401) setStatus(errorMessage(result, 'Could not reschedule.'), 'error');
+      rescheduleBtn.disabled = false;
+      return;
+    }
+    await reloadBooking(`Booking moved to ${formatDate(dateOf(result.booking))} at ${result.booking.event_time}.`);
+  }
+
+  async function addNote() {
+    const text = noteInput.value.trim();
+    if (!text) return;
+    const result = await callAPI(`/api/admin/bookings/${encodeURIComponent(booking.booking_id)}/notes`, 'POST', { body: text });
+    if (!result.success) {
+      if (result.httpStatus !== 401) setStatus(errorMessage(result, 'Could not save the note.'), 'error');
+      return;
+    }
+    noteInput.value = '';
+    await reloadBooking('Note added.');
+  }
+
+  async function start() {
+    const me = await callAPI('/api/admin/me');
+    if (!me.success) {
+      showLogin();
+      return;
+    }
+    setStatus('');
+    loginEl.hidden = true;
+    dashboardEl.hidden = false;
+    document.getElementById('who').textContent = `Signed in as ${me.user.email} (${me.user.role})`;
+    await loadSessionTypes();
+    await refreshView();
+  }
+
+  fromFilter.value = isoDate(new Date());
+  document.getElementById('login-form').addEventListener('submit', login);
+  document.getElementById('logout').addEventListener('click', logout);
+  document.getElementById('view-list').addEventListener('click', () => setView('list'));
+  document.getElementById('view-calendar').addEventListener('click', () => setView('calendar'));
+  document.getElementById('prev-month').addEventListener('click', () => {
+    month = new Date(month.getFullYear(), month.getMonth() - 1, 1);
+    renderCalendar();
+  });
+  document.getElementById('next-month').addEventListener('click', () => {
+    month = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    renderCalendar();
+  });
+  [typeFilter, fromFilter, toFilter, cancelledFilter].forEach(el => el.addEventListener('change', refreshView));
+  dateInput.min = isoDate(new Date());
+  dateInput.addEventListener('change', loadSlots);
+  rescheduleBtn.addEventListener('click', reschedule);
+  document.getElementById('add-note').addEventListener('click', addNote);
+
+  if (tokens) start();
+  else showLogin();
+})();
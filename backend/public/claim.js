@@ -0,0 +1,117 @@
+/**
+ * 4everevents - Waitlist claim page
+ * Token comes from the /waitlist/claim/:token URL in the waitlist offer email.
+ */
+
+(function () {
+  const token = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+  const apiBase = `/api/waitlist/claim/${encodeURIComponent(token)}`;
+
+  const statusEl = document.getElementById('status');
+  const offerEl = document.getElementById('offer');
+  const slotsEl = document.getElementById('slots');
+  const locationInput = document.getElementById('location');
+  const claimBtn = document.getElementById('claim');
+
+  let selectedTime = null;
+
+  function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = kind || 'muted';
+    statusEl.hidden = !text;
+  }
+
+  function formatDate(dateString) {
+    return new Date(`${dateString}T12:00:00`).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  async function callAPI(url, method = 'GET', data = null) {
+    const options = { method, headers: { 'Content-Type': 'application/json' } };
+    if (data) options.body = JSON.stringify(data);
+    try {
+      const response = await fetch(url, options);
+      const result = await response.json().catch(() => ({}));
+      return Object.assign({ success: response.ok }, result);
+    } catch (_) {
+      return { success: false, error: 'Network error - please try again' };
+    }
+  }
+
+  function updateClaimButton() {
+    claimBtn.disabled = !selectedTime || locationInput.value.trim().length < 3;
+  }
+
+  function render(result) {
+    const fields = Object.assign({ session_label: result.session_label }, result.entry);
+    document.querySelectorAll('[data-field]').forEach((el) => {
+      const key = el.getAttribute('data-field');
+      if (key === 'event_date') el.textContent = formatDate(fields[key]);
+      else if (key === 'offer_expires_at') el.textContent = new Date(fields[key]).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' });
+      else el.textContent = fields[key];
+    });
+
+    slotsEl.textContent = '';
+    result.available_slots.forEach((slot) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = slot.time;
+      btn.addEventListener('click', () => {
+        slotsEl.querySelectorAll('button').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        selectedTime = slot.time;
+        updateClaimButton();
+      });
+      slotsEl.appendChild(btn);
+    });
+    offerEl.hidden = false;
+  }
+
+  async function load() {
+    const result = await callAPI(apiBase);
+    if (!result.success) {
+      offerEl.hidden = true;
+      setStatus(result.error || 'We could not load this offer.', 'error');
+      return;
+    }
+    setStatus(`Times are shown in ${result.entry.time_zone}.`);
+    render(result);
+  }
+
+  async function claim() {
+    if (!selectedTime) return;
+    claimBtn.disabled = true;
+    const result = await callAPI(apiBase, 'POST', {
+      eventTime: selectedTime,
+      location: locationInput.value.trim(),
+      message: document.getElementById('message').value.trim()
+    });
+    if (!result.success) {
+      const message = Array.isArray(result.errors) && result.errors.length ? result.errors[0].msg : (result.message || result.error);
+      if (result.error === 'slot_unavailable') {
+        // Show what's left; load() explains if nothing is
+        selectedTime = null;
+        await load();
+        if (offerEl.hidden) return;
+      }
+      setStatus(message || 'Could not book this session. Please try again.', 'error');
+      updateClaimButton();
+      return;
+    }
+    if (result.payment && result.payment.checkout_url) {
+      window.location.href = result.payment.checkout_url;
+      return;
+    }
+    offerEl.hidden = true;
+    setStatus(`${result.message} Your booking ID is ${result.booking_id} - the details are on their way to your inbox.`, 'success');
+  }
+
+  locationInput.addEventListener('input', updateClaimButton);
+  claimBtn.addEventListener('click', claim);
+
+  load();
+})();
@@ -0,0 +1,144 @@
+/**
+ * 4everevents - Client self-service page (cancel / reschedule)
+ * Token comes from the /manage/:token URL in the confirmation email.
+ */
+
+(function () {
+  const token = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+  const apiBase = `/api/manage/${encodeURIComponent(token)}`;
+
+  const statusEl = document.getElementById('status');
+  const detailsEl = document.getElementById('details');
+  const actionsEl = document.getElementById('actions');
+  const lockedEl = document.getElementById('locked');
+  const dateInput = document.getElementById('new-date');
+  const slotsEl = document.getElementById('slots');
+  const rescheduleBtn = document.getElementById('reschedule');
+  const cancelBtn = document.getElementById('cancel');
+
+  let booking = null;
+  let selectedTime = null;
+
+  function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = kind || 'muted';
+    statusEl.hidden = !text;
+  }
+
+  function formatDate(dateString) {
+    return new Date(`${dateString}T12:00:00`).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  async function callAPI(url, method = 'GET', data = null) {
+    const options = { method, headers: { 'Content-Type': 'application/json' } };
+    if (data) options.body = JSON.stringify(data);
+    try {
+      const response = await fetch(url, options);
+      const result = await response.json().catch(() => ({}));
+      return Object.assign({ success: response.ok }, result);
+    } catch (_) {
+      return { success: false, error: 'Network error - please try again' };
+    }
+  }
+
+  function render(result) {
+    booking = result.booking;
+    document.querySelectorAll('[data-field]').forEach((el) => {
+      const key = el.getAttribute('data-field');
+      if (key === 'event_date') el.textContent = formatDate(booking[key]);
+      else if (key === 'status') el.textContent = String(booking[key]).replace(/_/g, ' ');
+      else if (key === 'event_time' && booking.time_zone) el.textContent = `${booking[key]} (${booking.time_zone})`;
+      else el.textContent = booking[key];
+    });
+    detailsEl.hidden = false;
+    actionsEl.hidden = !result.can_modify;
+    lockedEl.hidden = result.can_modify;
+    if (!result.can_modify) {
+      const closedMessages = {
+        cancelled: 'This booking has been cancelled.',
+        completed: 'This session has already taken place.',
+        no_show: 'This session has already taken place.'
+      };
+      lockedEl.textContent = closedMessages[booking.status]
+        || `Online changes close ${result.cutoff_hours} hours before your session. Please reply to your confirmation email or call us.`;
+    }
+  }
+
+  async function load() {
+    const result = await callAPI(apiBase);
+    if (!result.success) {
+      setStatus(result.error || 'We could not load this booking.', 'error');
+      return;
+    }
+    setStatus('');
+    render(result);
+  }
+
+  async function loadSlots() {
+    selectedTime = null;
+    rescheduleBtn.disabled = true;
+    slotsEl.textContent = '';
+    if (!dateInput.value) return;
+
+    const result = await callAPI(`/api/availability/${dateInput.value}?duration=${booking.duration}`);
+    const slots = result.success ? result.available_slots : [];
+    if (!slots.length) {
+      slotsEl.textContent = 'No open times on this date.';
+      return;
+    }
+    slots.forEach((slot) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = slot.time;
+      btn.addEventListener('click', () => {
+        slotsEl.querySelectorAll('button').forEach(b => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        selectedTime = slot.time;
+        rescheduleBtn.disabled = false;
+      });
+      slotsEl.appendChild(btn);
+    });
+  }
+
+  async function reschedule() {
+    if (!selectedTime) return;
+    rescheduleBtn.disabled = true;
+    const result = await callAPI(`${apiBase}/reschedule`, 'POST', { eventDate: dateInput.value, eventTime: selectedTime });
+    if (!result.success) {
+      const message = Array.isArray(result.errors) && result.errors.length ? result.errors[0].msg : result.error;
+      setStatus(message || 'Could not reschedule. Please try again.', 'error');
+      rescheduleBtn.disabled = false;
+      return;
+    }
+    await load();
+    setStatus('Your booking has been moved. A confirmation email is on its way.', 'success');
+    dateInput.value = '';
+    slotsEl.textContent = '';
+  }
+
+  async function cancel() {
+    if (!window.confirm('Cancel this booking? This cannot be undone.')) return;
+    cancelBtn.disabled = true;
+    const result = await callAPI(`${apiBase}/cancel`, 'POST', { reason: document.getElementById('reason').value });
+    if (!result.success) {
+      setStatus(result.error || 'Could not cancel. Please try again.', 'error');
+      cancelBtn.disabled = false;
+      return;
+    }
+    render({ booking: result.booking, can_modify: false });
+    setStatus('Your booking has been cancelled. We\'ve emailed you a confirmation.', 'success');
+  }
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  dateInput.min = tomorrow.toISOString().split('T')[0];
+  dateInput.addEventListener('change', loadSlots);
+  rescheduleBtn.addEventListener('click', reschedule);
+  cancelBtn.addEventListener('click', cancel);
+
+  load();
+})();
@@ -9,14 +9,38 @@ const crypto = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { google } = require('googleapis');
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
 require('dotenv').config();
 
+const { dbRun, dbAll, withTransaction } = require('./lib/db');
+const bookings = require('./lib/booking-repository');
+const { buildManageUrl, verifyManageToken, buildClaimUrl, verifyClaimToken } = require('./lib/manage-links');
+const adminAuth = require('./lib/admin-auth');
+const schedule = require('./lib/schedule');
+const timezone = require('./lib/timezone');
+const sessionTypes = require('./lib/session-types');
+const bookingStatus = require('./lib/booking-status');
+const migrations = require('./lib/migrations');
+const outbox = require('./lib/notification-outbox');
+const mail = require('./lib/mail');
+const emailTemplates = require('./lib/email-templates');
+const reminders = require('./lib/reminders');
+const waitlist = require('./lib/waitlist');
+const slotHolds = require('./lib/slot-holds');
+const sms = require('./lib/sms');
+const payments = require('./lib/payments');
+const sheetsLedger = require('./lib/sheets-ledger');
+const calendars = require('./lib/calendar');
+const calendarSync = require('./lib/calendar-sync');
+const calendarFeed = require('./lib/calendar-feed');
+const { idempotent } = require('./lib/idempotency');
+const { verifyWebhookEvent } = require('./lib/stripe');
+const { toE164, isE164 } = require('./lib/phone');
+
 /**
  * Lightweight structured logger (JSON lines). Avoids new deps; can be replaced with winston/pino.
  */
@@ -35,6 +59,10 @@ function structuredLog(level, message, meta = {}) {
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Stripe signs the raw request body, so this route keeps it (see express.json below)
+const STRIPE_WEBHOOK_PATH = '/api/payments/stripe/webhook';
+// Google Calendar push notifications (CALENDAR_WEBHOOK_URL points here)
+const CALENDAR_WEBHOOK_PATH = '/api/calendar/google/webhook';
 
 // Security middleware
 app.use(helmet());
@@ -95,441 +123,2532 @@ app.use((req, res, next) => {
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Stripe and Google retry webhooks they can't deliver; don't turn them away
+  skip: req => [STRIPE_WEBHOOK_PATH, CALENDAR_WEBHOOK_PATH].includes(req.originalUrl)
 });
 app.use('/api', limiter);
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static('public'));
-
-// Database setup
-const db = new sqlite3.Database('./bookings.db');
-
-// Initialize database tables
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS bookings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      booking_id TEXT UNIQUE NOT NULL,
-      client_name TEXT NOT NULL,
-      client_email TEXT NOT NULL,
-      client_phone TEXT NOT NULL,
-      event_date DATE NOT NULL,
-      event_time TIME NOT NULL,
-      event_type TEXT NOT NULL,
-      location TEXT NOT NULL,
-      message TEXT,
-      duration INTEGER DEFAULT 120,
-      status TEXT DEFAULT 'confirmed',
-      calendar_event_id TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  db.run(`
-    CREATE TABLE IF NOT EXISTS availability (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      date DATE NOT NULL,
-      start_time TIME NOT NULL,
-      end_time TIME NOT NULL,
-      is_available BOOLEAN DEFAULT true,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Audit logs table for booking attempts and validation failures
-  db.run(`
-    CREATE TABLE IF NOT EXISTS audit_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      request_id TEXT,
-      event TEXT,
-      details TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+// Stricter limit for credential endpoints
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10
+});
+
+// Picking times on the booking form; enough for a client trying a few slots
+const holdLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20
+});
+
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl === STRIPE_WEBHOOK_PATH) req.rawBody = buf;
+  }
+}));
+app.use(express.static(path.join(__dirname, 'public')));
+
+/**
+ * Write an audit log entry without failing the calling request.
+ */
+async function writeAuditLog(requestId, event, details) {
+  try {
+    await bookings.audit(requestId, event, details);
+  } catch (e) {
+    console.error(`Failed to write audit log (${event}):`, e.message || e);
+  }
+}
+
+// Google APIs setup
+const oauth2Client = new google.auth.OAuth2(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  process.env.GOOGLE_REDIRECT_URI
+);
+
+oauth2Client.setCredentials({
+  refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+});
+
+// Availability and session events go through the provider chosen by CALENDAR_PROVIDER (lib/calendar)
+const calendar = calendars.createCalendar(process.env.CALENDAR_PROVIDER, { googleAuth: oauth2Client });
+
+// All outgoing mail goes through the transport chosen by MAIL_TRANSPORT (lib/mail)
+const mailer = mail.createMailer(process.env.MAIL_TRANSPORT, { googleAuth: oauth2Client });
+
+async function sendEmail(to, subject, htmlBody, { text = null, calendar = null, fromName = '4everevents Photography' } = {}) {
+  try {
+    const result = await mailer.send({ to, subject, html: htmlBody, text, calendar, fromName });
+    console.log(`✅ Email sent via ${mailer.transport}:`, result.id);
+    return result;
+  } catch (error) {
+    console.error(`❌ ${mailer.transport} mail error:`, error.message || error);
+    throw error;
+  }
+}
+
+/**
+ * Queue an email on the notification outbox; the worker started below
+ * delivers it with retries. Call inside the transaction that makes the
+ * change the email is about, so the two are saved together.
+ */
+async function queueEmail(to, subject, htmlBody, { text = null, calendar = null, kind, bookingId = null, fromName = '4everevents Photography' }) {
+  if (!to) {
+    console.warn(`⚠️ Not queueing ${kind} email: no recipient configured`);
+    return null;
+  }
+  return outbox.enqueue({ kind, recipient: to, subject, html: htmlBody, text, calendar, fromName, bookingId });
+}
+
+// Texts go through the provider chosen by SMS_PROVIDER (lib/sms)
+const smsSender = sms.createSmsSender(process.env.SMS_PROVIDER);
+
+async function sendSms(to, body) {
+  try {
+    const result = await smsSender.send({ to, body });
+    console.log(`✅ SMS sent via ${smsSender.provider}:`, result.id);
+    return result;
+  } catch (error) {
+    console.error(`❌ ${smsSender.provider} SMS error:`, error.message || error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a text for a booking's client, if SMS is switched on and they opted
+ * in when booking. Like queueEmail, call inside the change's transaction.
+ */
+async function queueSms(booking, body, { kind }) {
+  if (!sms.isEnabled() || !booking.sms_opt_in) return null;
+  if (!isE164(booking.client_phone)) {
+    console.warn(`⚠️ Not queueing ${kind} SMS for ${booking.booking_id}: phone number isn't E.164`);
+    return null;
+  }
+  return outbox.enqueue({ channel: 'sms', kind, recipient: booking.client_phone, text: body, bookingId: booking.booking_id });
+}
+
+// Booking rows mirrored to the GOOGLE_SHEETS_ID spreadsheet (lib/sheets-ledger)
+const ledger = sheetsLedger.isEnabled() ? sheetsLedger.createSheetsLedger({ auth: oauth2Client }) : null;
+
+/**
+ * Queue a sync of the booking's row in the Sheets ledger. The worker writes
+ * whatever the booking looks like when it runs, so call after the change,
+ * inside its transaction.
+ */
+async function queueSheetSync(booking) {
+  if (!ledger) return null;
+  return outbox.enqueue({ channel: 'sheet', kind: 'booking_sync', recipient: ledger.spreadsheetId, bookingId: booking.booking_id });
+}
+
+async function syncSheetRow(bookingId) {
+  if (!ledger) throw new Error('GOOGLE_SHEETS_ID is not set');
+  const booking = await bookings.findById(bookingId);
+  if (!booking) return null;
+  const result = await ledger.upsert(booking);
+  console.log(`📊 Sheet row ${result.appended ? 'added' : 'updated'} for ${bookingId}`);
+  return result;
+}
+
+function deliverOutboxMessage(message) {
+  if (message.channel === 'sheet') return syncSheetRow(message.booking_id);
+  if (message.channel === 'sms') return sendSms(message.recipient, message.body_text);
+  return sendEmail(message.recipient, message.subject, message.body_html, {
+    text: message.body_text,
+    calendar: message.body_calendar,
+    fromName: message.from_name || undefined
+  });
+}
+
+// Utility functions
+function generateBookingId() {
+  const prefix = '4EV';
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+function formatDate(date) {
+  return timezone.formatLongDate(normalizeEventDate(date));
+}
+
+// Stored times are business-local; show them with the zone abbreviation
+function formatTime(date, time) {
+  return timezone.formatZonedTime(normalizeEventDate(date), time);
+}
+
+/**
+ * Bookings created before dates were stored as strings hold a millisecond
+ * timestamp in event_date; normalize either form to YYYY-MM-DD.
+ */
+function normalizeEventDate(value) {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return new Date(Number(value)).toISOString().split('T')[0];
+  }
+  return String(value).slice(0, 10);
+}
+
+// "9:30" -> "09:30" so stored times compare and sort consistently
+function normalizeTime(value) {
+  const [hours, minutes] = String(value).split(':');
+  return `${hours.padStart(2, '0')}:${minutes}`;
+}
+
+/**
+ * UTC start/end instants for a booking's business-local date and time
+ */
+function getEventWindow(eventDate, eventTime, duration) {
+  const start = timezone.zonedTimeToUtc(normalizeEventDate(eventDate), eventTime);
+  const end = new Date(start.getTime() + Number(duration || 120) * 60000);
+  return { start, end };
+}
+
+/**
+ * Active (non-cancelled) local bookings that could overlap the given date:
+ * the date itself plus its neighbours, for sessions running past midnight.
+ * Other clients' slot holds come along as booking-shaped rows with a hold_id.
+ */
+async function listActiveBookingsNear(dateStr, { excludeBookingId = null, excludeHoldId = null } = {}) {
+  const dates = [timezone.addDays(dateStr, -1), dateStr, timezone.addDays(dateStr, 1)];
+  const rows = await bookings.listActiveOnDates(dates);
+  const holds = await slotHolds.listActiveOnDates(dates, { excludeHoldId });
+  return rows.filter(row => row.booking_id !== excludeBookingId).concat(holds);
+}
+
+/**
+ * Extend a window by a session type's before/after buffers
+ */
+function padWindow(window, sessionType) {
+  if (!sessionType) return window;
+  return {
+    start: new Date(window.start.getTime() - sessionType.buffer_before_minutes * 60000),
+    end: new Date(window.end.getTime() + sessionType.buffer_after_minutes * 60000)
+  };
+}
+
+/**
+ * Busy window for a stored booking, including its type's buffers
+ */
+function bookingWindow(row, types = {}) {
+  return padWindow(getEventWindow(row.event_date, row.event_time, row.duration), types[row.event_type]);
+}
+
+function reachedDailyLimit(rows, dateStr, sessionType) {
+  if (!sessionType || sessionType.max_per_day == null) return false;
+  const count = rows.filter(row => row.event_type === sessionType.key && normalizeEventDate(row.event_date) === dateStr).length;
+  return count >= sessionType.max_per_day;
+}
+
+function leadTimeCutoff(sessionType) {
+  return new Date(Date.now() + (sessionType ? sessionType.min_lead_hours : 0) * 60 * 60 * 1000);
+}
+
+/**
+ * Why a session of this type can't occupy [start, end), or null when it can.
+ * Call inside withTransaction so the answer still holds at insert/update time.
+ */
+async function findSlotConflict(start, end, sessionType, { excludeBookingId = null, excludeHoldId = null, excludeEventIds = [] } = {}) {
+  if (start < leadTimeCutoff(sessionType)) {
+    return { source: 'lead_time' };
+  }
+
+  const dateStr = timezone.utcToZoned(start).date;
+  const rows = await listActiveBookingsNear(dateStr, { excludeBookingId, excludeHoldId });
+  if (reachedDailyLimit(rows, dateStr, sessionType)) {
+    return { source: 'daily_limit' };
+  }
+
+  const types = await sessionTypes.getSessionTypeMap();
+  const padded = padWindow({ start, end }, sessionType);
+  const bookingConflicts = rows.filter(row => {
+    const window = bookingWindow(row, types);
+    return padded.start < window.end && padded.end > window.start;
+  });
+  if (bookingConflicts.length) {
+    return { source: bookingConflicts.every(row => row.hold_id) ? 'hold' : 'bookings', count: bookingConflicts.length };
+  }
+
+  const calendarConflicts = await findCalendarConflicts(padded.start, padded.end, { excludeEventIds });
+  if (calendarConflicts && calendarConflicts.length) {
+    return { source: 'calendar', count: calendarConflicts.length };
+  }
+  return null;
+}
+
+/**
+ * Busy calendar events ({ id, start, end }) between timeMin and timeMax, or
+ * null when the calendar is unreachable
+ */
+async function fetchCalendarEvents(timeMin, timeMax) {
+  try {
+    return await calendar.listBusy(timeMin, timeMax);
+  } catch (calendarError) {
+    console.error('⚠️ Calendar lookup failed:', calendarError.message);
+    return null;
+  }
+}
+
+/**
+ * Calendar events overlapping [start, end), or null when Calendar is unreachable
+ */
+async function findCalendarConflicts(start, end, { excludeEventIds = [] } = {}) {
+  const events = await fetchCalendarEvents(start, end);
+  if (!events) return null;
+  return events.filter(event => !excludeEventIds.includes(event.id) && start < event.end && end > event.start);
+}
+
+function busyCalendarWindows(events, excludeEventIds = []) {
+  return events
+    .filter(event => !excludeEventIds.includes(event.id))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * What a booking's calendar event shows: { summary, description, location, start, end }
+ */
+async function calendarEventDetails(booking) {
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  const label = sessionType ? sessionType.label : booking.event_type;
+  const { start, end } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  return {
+    summary: `${(sessionType && sessionType.calendar_title) || `4everevents - ${label}`} - ${booking.client_name}`,
+    description: `${(sessionType && sessionType.description) || label}\n\nClient: ${booking.client_name}\nEmail: ${booking.client_email}\nPhone: ${booking.client_phone}\nLocation: ${booking.location}\n\nMessage: ${booking.message || ''}\n\nBooking ID: ${booking.booking_id}`,
+    location: booking.location,
+    start,
+    end
+  };
+}
+
+/**
+ * What a calendar feed shows of a booking: the client's name, the session
+ * type and the booking reference. Feed URLs get handed around, so contact
+ * details, the location and the client's message stay out of it.
+ */
+async function feedEventDetails(booking) {
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  const label = sessionType ? sessionType.label : booking.event_type;
+  const { start, end } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  return {
+    summary: `${label} - ${booking.client_name}`,
+    description: `Booking ID: ${booking.booking_id}`,
+    start,
+    end
+  };
+}
+
+/**
+ * Create the Calendar event for a booking and save its id on the booking.
+ * Resolves to the event id; throws when Calendar refuses it. The client isn't
+ * an attendee: their calendar entry comes from the iTIP part of our emails,
+ * and a Google invitation on top would add a second copy of the session.
+ */
+async function insertCalendarEvent(booking) {
+  const { id } = await calendar.createEvent(Object.assign(await calendarEventDetails(booking), {
+    bookingId: booking.booking_id,
+    status: CALENDAR_EVENT_STATUS[booking.status],
+    attendees: [{ email: process.env.BUSINESS_EMAIL }]
+  }));
+  await bookings.update(booking.booking_id, { calendar_event_id: id });
+  console.log('✅ Calendar event created:', id);
+  return id;
+}
+
+/**
+ * Move a booking's Calendar event to the booking's date and time
+ */
+async function moveCalendarEvent(booking) {
+  const { start, end } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  await calendar.updateEvent(booking.calendar_event_id, { start, end });
+  console.log('✅ Calendar event moved:', booking.calendar_event_id);
+}
+
+/**
+ * Open slots for one date: candidate start times within the open hours that
+ * respect the session type's lead time and don't overlap any busy window
+ * (buffers included)
+ */
+function buildDaySlots(date, duration, intervals, busy, sessionType = null) {
+  const earliest = leadTimeCutoff(sessionType);
+  const availableSlots = [];
+  schedule.candidateStartTimes(intervals, duration).forEach(time => {
+    const slot = getEventWindow(date, time, duration);
+    const { start: slotStart } = slot;
+    const padded = padWindow(slot, sessionType);
+
+    // Check if slot conflicts with existing bookings/events
+    const hasConflict = busy.some(window => padded.start < window.end && padded.end > window.start);
+
+    if (!hasConflict && slotStart > earliest) {
+      availableSlots.push({
+        time,
+        available: true,
+        datetime: slotStart.toISOString(),
+        local_datetime: timezone.toZonedIso(slotStart)
+      });
+    }
+  });
+  return availableSlots;
+}
+
+/**
+ * Calculate open slots for a date (30-minute intervals within the configured
+ * business hours). Busy time comes from local bookings plus Google Calendar
+ * when reachable. sessionType (a catalog row) applies that type's buffers,
+ * lead time and daily limit. excludeEventIds/excludeBookingId let a booking
+ * being rescheduled ignore itself, and excludeHoldId a client their own hold.
+ */
+async function calculateAvailableSlots(date, duration, { excludeEventIds = [], excludeBookingId = null, excludeHoldId = null, sessionType = null } = {}) {
+  const { intervals, blackout } = await schedule.getOpenHours(date);
+  if (!schedule.candidateStartTimes(intervals, duration).length) {
+    return { slots: [], calendarChecked: false, openHours: intervals, blackout };
+  }
+
+  // Business-local midnight to midnight (23 or 25 hours on DST changes)
+  const dayStart = timezone.zonedTimeToUtc(date, '00:00');
+  const dayEnd = timezone.zonedTimeToUtc(timezone.addDays(date, 1), '00:00');
+
+  const localBookings = await listActiveBookingsNear(date, { excludeBookingId, excludeHoldId });
+  if (reachedDailyLimit(localBookings, date, sessionType)) {
+    return { slots: [], calendarChecked: false, openHours: intervals, blackout };
+  }
+  const types = await sessionTypes.getSessionTypeMap();
+  const busy = localBookings.map(row => bookingWindow(row, types));
+
+  // Widen the lookup so events just outside the day still count against buffers
+  const lookup = padWindow({ start: dayStart, end: dayEnd }, sessionType);
+  const calendarEvents = await fetchCalendarEvents(lookup.start, lookup.end);
+  if (calendarEvents) {
+    busy.push(...busyCalendarWindows(calendarEvents, excludeEventIds));
+    console.log(`✅ Found ${calendarEvents.length} existing events for ${date}`);
+  } else {
+    console.log(`📝 Calendar unavailable - using ${localBookings.length} local bookings only`);
+  }
+
+  const slots = buildDaySlots(date, duration, intervals, busy, sessionType);
+  return { slots, calendarChecked: Boolean(calendarEvents), openHours: intervals, blackout };
+}
+
+// A day with at most this share of its slots left is reported as "limited"
+const LIMITED_AVAILABILITY_RATIO = 0.25;
+
+/**
+ * Availability for every date in [from, to] with one Calendar lookup and one
+ * bookings query for the whole range
+ */
+async function calculateAvailabilityRange(from, to, duration, sessionType = null) {
+  const rangeStart = timezone.zonedTimeToUtc(from, '00:00');
+  const rangeEnd = timezone.zonedTimeToUtc(timezone.addDays(to, 1), '00:00');
+
+  // Pad by a day either side for sessions that cross midnight
+  const localBookings = (await bookings.listActiveBetween(timezone.addDays(from, -1), timezone.addDays(to, 1)))
+    .concat(await slotHolds.listActiveBetween(timezone.addDays(from, -1), timezone.addDays(to, 1)));
+  const types = await sessionTypes.getSessionTypeMap();
+  const busy = localBookings.map(row => bookingWindow(row, types));
+
+  const padded = padWindow({ start: rangeStart, end: rangeEnd }, sessionType);
+  const calendarEvents = await fetchCalendarEvents(padded.start, padded.end);
+  if (calendarEvents) {
+    busy.push(...busyCalendarWindows(calendarEvents));
+  }
+
+  const days = [];
+  for (let date = from; date <= to; date = timezone.addDays(date, 1)) {
+    const { intervals, blackout } = await schedule.getOpenHours(date);
+    const totalCount = schedule.candidateStartTimes(intervals, duration).length;
+    const slots = totalCount && !reachedDailyLimit(localBookings, date, sessionType)
+      ? buildDaySlots(date, duration, intervals, busy, sessionType)
+      : [];
+
+    let status = 'open';
+    if (!totalCount) status = 'closed';
+    else if (!slots.length) status = 'full';
+    else if (slots.length <= Math.max(1, Math.floor(totalCount * LIMITED_AVAILABILITY_RATIO))) status = 'limited';
+
+    days.push({
+      date,
+      status,
+      available_count: slots.length,
+      total_count: totalCount,
+      closed_reason: blackout ? (blackout.reason || 'Unavailable') : null,
+      available_slots: slots
+    });
+  }
+
+  return { days, calendarChecked: Boolean(calendarEvents) };
+}
+
+/**
+ * Open slots to offer after a conflict: the same day first, then the following week
+ */
+async function suggestAlternativeSlots(dateStr, duration, { limit = 6, excludeBookingId = null, sessionType = null } = {}) {
+  const alternatives = [];
+  for (let offset = 0; offset <= 7 && alternatives.length < limit; offset++) {
+    const date = timezone.addDays(dateStr, offset);
+    const { slots } = await calculateAvailableSlots(date, duration, { excludeBookingId, sessionType });
+    slots
+      .slice(0, limit - alternatives.length)
+      .forEach(slot => alternatives.push({ date, time: slot.time, datetime: slot.datetime, local_datetime: slot.local_datetime }));
+  }
+  return alternatives;
+}
+
+// eventType must name an active entry in the session-type catalog
+async function isActiveSessionType(key) {
+  const sessionType = await sessionTypes.getSessionType(key);
+  if (!sessionType || !sessionType.is_active) throw new Error('Unknown session type');
+  return true;
+}
+
+// Validation middleware
+const validateBooking = [
+  body('clientName').trim().isLength({ min: 2 }),
+  body('clientEmail').isEmail().normalizeEmail(),
+  body('clientPhone').trim().customSanitizer(phone => toE164(phone) || phone).custom(isE164).withMessage('Enter a valid phone number'),
+  body('eventDate').isISO8601().toDate(),
+  body('eventTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).customSanitizer(normalizeTime),
+  body('eventType').custom(isActiveSessionType),
+  body('location').trim().isLength({ min: 3 }),
+  body('message').optional().trim(),
+  body('guests').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000 }).toInt(),
+  body('referralSource').optional({ values: 'falsy' }).isIn(['google', 'instagram', 'referral', 'website', 'other']),
+  body('smsOptIn').optional().isBoolean().toBoolean(),
+  body('holdId').optional({ values: 'falsy' }).isLength({ max: 100 })
+];
+
+const validateAvailabilityQuery = [
+  query('duration').optional().isInt({ min: 30, max: 720 }),
+  query('eventType').optional().custom(isActiveSessionType),
+  query('holdId').optional().isLength({ max: 100 })
+];
+
+// A real calendar date in the path: 'YYYY-MM-DD' only, and no 2026-02-30
+const validateDateParam = param('date').matches(/^\d{4}-\d{2}-\d{2}$/).bail().isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD');
+
+const validateDayAvailabilityQuery = [validateDateParam, ...validateAvailabilityQuery];
+
+/**
+ * Session type and duration for an availability request: a named type brings
+ * its own duration and rules, otherwise ?duration= (default 120) applies alone
+ */
+async function resolveAvailabilityRequest(req) {
+  const sessionType = req.query.eventType ? await sessionTypes.getSessionType(req.query.eventType) : null;
+  const duration = sessionType ? sessionType.duration_minutes : parseInt(req.query.duration || 120, 10);
+  return { sessionType, duration };
+}
+
+const MAX_AVAILABILITY_RANGE_DAYS = 62;
+
+const validateAvailabilityRange = [
+  query('from').matches(/^\d{4}-\d{2}-\d{2}$/).bail().isISO8601().withMessage('from must be YYYY-MM-DD'),
+  query('to').matches(/^\d{4}-\d{2}-\d{2}$/).bail().isISO8601().withMessage('to must be YYYY-MM-DD')
+    .custom((to, { req }) => {
+      if (to < req.query.from) throw new Error('to must not be before from');
+      const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${req.query.from}T00:00:00Z`)) / 86400000 + 1;
+      if (days > MAX_AVAILABILITY_RANGE_DAYS) throw new Error(`Range is limited to ${MAX_AVAILABILITY_RANGE_DAYS} days`);
+      return true;
+    }),
+  ...validateAvailabilityQuery
+];
+
+// API Routes
+
+/**
+ * GET /api/session-types
+ * Bookable session types with durations, prices and scheduling rules
+ */
+app.get('/api/session-types', async (req, res) => {
+  try {
+    const rows = await sessionTypes.listSessionTypes();
+    res.json({
+      success: true,
+      session_types: rows.map(row => Object.assign(sessionTypes.toPublic(row), { deposit_cents: payments.depositFor(row) })),
+      time_zone: timezone.getBusinessTimeZone()
+    });
+  } catch (error) {
+    console.error('Error getting session types:', error);
+    res.status(500).json({ success: false, error: 'Failed to get session types' });
+  }
+});
+
+/**
+ * GET /api/availability?from=&to=&duration=&eventType=
+ * Per-day open slots and an open/limited/full/closed summary for a date range
+ */
+app.get('/api/availability', validateAvailabilityRange, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  try {
+    const { from, to } = req.query;
+    const { sessionType, duration } = await resolveAvailabilityRequest(req);
+
+    const { days, calendarChecked } = await calculateAvailabilityRange(from, to, duration, sessionType);
+
+    const summary = { open: 0, limited: 0, full: 0, closed: 0 };
+    days.forEach(day => { summary[day.status] += 1; });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      duration_minutes: duration,
+      event_type: sessionType ? sessionType.key : null,
+      time_zone: timezone.getBusinessTimeZone(),
+      calendar_checked: calendarChecked,
+      summary,
+      days
+    });
+
+  } catch (error) {
+    console.error('Error getting availability range:', error);
+    res.status(500).json({ success: false, error: 'Failed to get availability' });
+  }
+});
+
+/**
+ * GET /api/availability/:date
+ * Get available time slots for a specific date (?holdId= shows the caller's held slot as open)
+ */
+app.get('/api/availability/:date', validateDayAvailabilityQuery, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  try {
+    const { date } = req.params;
+    const { sessionType, duration } = await resolveAvailabilityRequest(req);
+
+    const { slots, calendarChecked, openHours, blackout } = await calculateAvailableSlots(date, duration, {
+      sessionType,
+      excludeHoldId: req.query.holdId || null
+    });
+
+    res.json({
+      success: true,
+      date: date,
+      available_slots: slots,
+      duration_minutes: duration,
+      event_type: sessionType ? sessionType.key : null,
+      time_zone: timezone.getBusinessTimeZone(),
+      open_hours: openHours,
+      closed_reason: blackout ? (blackout.reason || 'Unavailable') : null,
+      calendar_checked: calendarChecked
+    });
+
+  } catch (error) {
+    console.error('Error getting availability:', error);
+    res.status(500).json({ success: false, error: 'Failed to get availability' });
+  }
 });
 
-// Google APIs setup
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
+/**
+ * Book a session from validated booking details: re-check the slot, save the
+ * booking and queue its emails, open the deposit checkout and add the
+ * calendar event. Resolves to the HTTP { status, body } to answer with.
+ * A `holdId` in the details is the client's slot hold, which the booking
+ * takes over. `onCreate(booking)` runs inside the saving transaction;
+ * throwing from it undoes the booking.
+ */
+async function placeBooking(details, { requestId = null, onCreate = null } = {}) {
+  const {
+    clientName,
+    clientEmail,
+    clientPhone,
+    eventDate,
+    eventTime,
+    eventType,
+    location,
+    message,
+    guests = null,
+    referralSource = null,
+    smsOptIn = false,
+    holdId = null
+  } = details;
+
+  // The catalog decides duration, buffers and approval - not the client
+  const sessionType = await sessionTypes.getSessionType(eventType);
+  const duration = sessionType.duration_minutes;
+  // A type with a deposit is held until it's paid through Stripe Checkout
+  const deposit = payments.depositFor(sessionType);
+  const status = deposit ? 'pending_payment' : bookingStatus.initialStatus(sessionType);
+
+  const bookingId = generateBookingId();
+
+  // Create calendar event
+  console.log('Creating event for:', { eventDate, eventTime, duration });
+  const dateStr = eventDate instanceof Date ? eventDate.toISOString().split('T')[0] : eventDate;
+  const eventStart = getEventWindow(dateStr, eventTime, 0).start;
+  console.log('Event start:', eventStart);
+
+  if (isNaN(eventStart.getTime())) {
+    return { status: 400, body: { success: false, error: 'Invalid date/time format' } };
+  }
+
+  const eventEnd = new Date(eventStart.getTime() + duration * 60000);
+
+  const { intervals: openHours } = await schedule.getOpenHours(dateStr);
+  const outsideHours = !schedule.fitsOpenHours(openHours, eventTime, duration);
+
+  // Re-check the slot and save atomically so two clients racing for it can't both win.
+  // The client and business emails are queued in the same transaction.
+  const conflict = outsideHours ? { source: 'schedule' } : await withTransaction(async () => {
+    // The client's own hold doesn't count against them; the booking replaces it
+    const slotConflict = await findSlotConflict(eventStart, eventEnd, sessionType, { excludeHoldId: holdId });
+    if (slotConflict) return slotConflict;
+    if (holdId) await slotHolds.release(holdId);
+
+    const created = await bookings.create({
+      booking_id: bookingId,
+      client_name: clientName,
+      client_email: clientEmail,
+      client_phone: clientPhone,
+      event_date: dateStr,
+      event_time: eventTime,
+      event_type: eventType,
+      location,
+      message: message || null,
+      duration,
+      status: 'requested',
+      guest_count: guests || null,
+      referral_source: referralSource || null,
+      sms_opt_in: smsOptIn ? 1 : 0
+    });
+    await writeAuditLog(requestId, 'booking_created', { bookingId, clientEmail, eventType });
+    if (onCreate) await onCreate(created);
+
+    // requested -> confirmed / pending_approval / pending_payment, queueing the matching client email
+    await recordTransition(created, status, { by: 'system', requestId });
+    // Held bookings are announced to the business once the deposit is paid
+    if (status === 'pending_payment') return null;
+    await sendBusinessNotification({
+      clientName,
+      clientEmail,
+      clientPhone,
+      eventDate,
+      eventTime,
+      eventType,
+      location,
+      message,
+      bookingId,
+      status
+    });
+    return null;
+  });
+
+  if (conflict) {
+    const alternatives = await suggestAlternativeSlots(dateStr, duration, { sessionType });
+    await writeAuditLog(requestId, 'booking_conflict', Object.assign({ eventDate: dateStr, eventTime, clientEmail }, conflict));
+    structuredLog('warn', 'booking_conflict', { requestId, eventDate: dateStr, eventTime, source: conflict.source });
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'slot_unavailable',
+        message: 'That time is no longer available. Please choose another slot.',
+        requested: { date: dateStr, time: eventTime, duration_minutes: Number(duration) },
+        alternatives
+      }
+    };
+  }
+
+  let payment = null;
+  if (deposit) {
+    try {
+      payment = await payments.openCheckout(await bookings.findById(bookingId), sessionType);
+    } catch (paymentError) {
+      console.error('❌ Could not open Stripe Checkout:', paymentError.message);
+      await transitionBooking(await bookings.findById(bookingId), 'cancelled', {
+        by: 'system',
+        reason: 'Deposit checkout unavailable',
+        requestId,
+        notify: false
+      });
+      return {
+        status: 502,
+        body: {
+          success: false,
+          error: 'payment_unavailable',
+          message: 'We couldn\'t start the deposit payment. Please try again in a few minutes.'
+        }
+      };
+    }
+  }
+
+  let calendarEventId = null;
+  try {
+    calendarEventId = await insertCalendarEvent(await bookings.findById(bookingId));
+  } catch (calendarError) {
+    console.error('⚠️ Calendar integration failed:', calendarError.message);
+    console.log('📝 Booking will proceed without calendar integration - reconciliation retries it');
+  }
+
+  structuredLog('info', 'booking_created', { requestId, bookingId });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      booking_id: bookingId,
+      status,
+      calendar_event_id: calendarEventId,
+      event_start: {
+        local: timezone.toZonedIso(eventStart),
+        utc: eventStart.toISOString(),
+        time_zone: timezone.getBusinessTimeZone()
+      },
+      payment: payment && {
+        amount_cents: payment.amount_cents,
+        currency: payment.currency,
+        checkout_url: payment.checkout_url,
+        expires_at: payment.expires_at
+      },
+      message: {
+        pending_payment: 'Pay the deposit to secure your booking.',
+        pending_approval: 'Booking request received - we\'ll confirm it shortly.'
+      }[status] || 'Booking confirmed successfully!'
+    }
+  };
+}
+
+/**
+ * POST /api/bookings
+ * Create a new booking. An Idempotency-Key header makes resubmits safe: a
+ * repeat gets the first booking's response instead of a second booking.
+ */
+app.post('/api/bookings', idempotent('booking_create'), validateBooking, async (req, res) => {
+  try {
+    // Check validation errors
+    const validation = validationResult(req);
+    if (!validation.isEmpty()) {
+      const issues = validation.array().map((err) => ({
+        param: err.path || err.param || 'unknown',
+        msg: err.msg || 'Invalid value'
+      }));
+      console.warn(`🧪 [${res.locals.requestId || 'no-id'}] Validation failed`, issues);
+      await writeAuditLog(res.locals.requestId, 'validation_failed', issues);
+      structuredLog('warn', 'validation_failed', { requestId: res.locals.requestId, issues });
+      return res.status(400).json({ success: false, errors: issues });
+    }
+
+    const { status, body: result } = await placeBooking(req.body, { requestId: res.locals.requestId });
+    res.status(status).json(result);
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to create booking' });
+  }
+});
+
+const validateHold = [
+  body('eventDate').isISO8601(),
+  body('eventTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).customSanitizer(normalizeTime),
+  body('eventType').custom(isActiveSessionType),
+  body('holdId').optional({ values: 'falsy' }).isLength({ max: 100 })
+];
+
+/**
+ * POST /api/holds
+ * Hold a slot for SLOT_HOLD_MINUTES while the client finishes the booking form:
+ * { eventDate, eventTime, eventType, holdId? }. A holdId the client already has
+ * is released first, so each form keeps one hold. Send the new holdId with
+ * POST /api/bookings. A client can hold SLOT_HOLD_MAX_PER_CLIENT slots at once.
+ */
+app.post('/api/holds', holdLimiter, validateHold, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  try {
+    const eventDate = normalizeEventDate(req.body.eventDate);
+    const { eventTime, eventType, holdId } = req.body;
+    const sessionType = await sessionTypes.getSessionType(eventType);
+    const duration = sessionType.duration_minutes;
+    const { start, end } = getEventWindow(eventDate, eventTime, duration);
+
+    const clientKey = slotHolds.clientKey(req.ip);
+    const { intervals: openHours } = await schedule.getOpenHours(eventDate);
+    const result = await withTransaction(async () => {
+      if (holdId) await slotHolds.release(holdId);
+      if (await slotHolds.countActiveForClient(clientKey) >= slotHolds.MAX_PER_CLIENT) return { tooMany: true };
+      if (!schedule.fitsOpenHours(openHours, eventTime, duration)) return { conflict: { source: 'schedule' } };
+      const conflict = await findSlotConflict(start, end, sessionType);
+      if (conflict) return { conflict };
+      return { hold: await slotHolds.create({ eventDate, eventTime, eventType, duration, clientKey }) };
+    });
+
+    if (result.tooMany) {
+      structuredLog('warn', 'hold_limit_reached', { requestId: res.locals.requestId, eventDate, eventTime });
+      return res.status(429).json({
+        success: false,
+        error: 'too_many_holds',
+        message: 'You\'re already holding other times. Finish or cancel that booking first.'
+      });
+    }
+
+    if (result.conflict) {
+      structuredLog('info', 'hold_conflict', { requestId: res.locals.requestId, eventDate, eventTime, source: result.conflict.source });
+      return res.status(409).json({
+        success: false,
+        error: 'slot_unavailable',
+        message: 'That time is no longer available. Please choose another slot.',
+        alternatives: await suggestAlternativeSlots(eventDate, duration, { sessionType })
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      hold_id: result.hold.hold_id,
+      event_date: eventDate,
+      event_time: eventTime,
+      expires_at: result.hold.expires_at,
+      hold_minutes: slotHolds.HOLD_MINUTES
+    });
+  } catch (error) {
+    console.error('Error holding slot:', error);
+    res.status(500).json({ success: false, error: 'Failed to hold slot' });
+  }
+});
+
+/**
+ * DELETE /api/holds/:holdId
+ * Release a hold when the client leaves the form or picks another time
+ */
+app.delete('/api/holds/:holdId', async (req, res) => {
+  try {
+    const released = await slotHolds.release(req.params.holdId);
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({ success: false, error: 'Failed to release hold' });
+  }
+});
+
+/**
+ * GET /admin
+ * Booking dashboard for the studio; signs in through POST /api/admin/login
+ */
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+/**
+ * POST /api/admin/login
+ * Exchange admin credentials for an access/refresh token pair
+ */
+app.post('/api/admin/login', loginLimiter, async (req, res) => {
+  try {
+    if (!adminAuth.getJwtSecret()) {
+      return res.status(503).json({ success: false, error: 'Admin authentication is not configured (set JWT_SECRET)' });
+    }
+    const { email, password } = req.body || {};
+    const tokens = await adminAuth.login(email, password);
+    if (!tokens) {
+      await writeAuditLog(res.locals.requestId, 'admin_login_failed', { email: String(email || ''), ip: req.ip });
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+    await writeAuditLog(res.locals.requestId, 'admin_login', { userId: tokens.user.id, ip: req.ip });
+    res.json(Object.assign({ success: true }, tokens));
+  } catch (error) {
+    console.error('Error during admin login:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/admin/refresh
+ * Rotate a refresh token for a new token pair
+ */
+app.post('/api/admin/refresh', loginLimiter, async (req, res) => {
+  try {
+    if (!adminAuth.getJwtSecret()) {
+      return res.status(503).json({ success: false, error: 'Admin authentication is not configured (set JWT_SECRET)' });
+    }
+    const tokens = await adminAuth.refresh((req.body || {}).refresh_token);
+    if (!tokens) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+    res.json(Object.assign({ success: true }, tokens));
+  } catch (error) {
+    console.error('Error refreshing admin token:', error);
+    res.status(500).json({ success: false, error: 'Token refresh failed' });
+  }
+});
+
+/**
+ * POST /api/admin/logout
+ * Revoke a single refresh token (this device)
+ */
+app.post('/api/admin/logout', async (req, res) => {
+  try {
+    const refreshToken = (req.body || {}).refresh_token;
+    if (refreshToken) await adminAuth.revokeRefreshToken(refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error during admin logout:', error);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
+/**
+ * POST /api/admin/logout-all
+ * Revoke every token issued to the current admin (all devices)
+ */
+app.post('/api/admin/logout-all', adminAuth.requireAdmin(), async (req, res) => {
+  try {
+    await adminAuth.revokeAllTokens(res.locals.adminUser.id);
+    await writeAuditLog(res.locals.requestId, 'admin_tokens_revoked', { userId: res.locals.adminUser.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking admin tokens:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke tokens' });
+  }
+});
+
+/**
+ * GET /api/admin/me
+ * Current admin identity
+ */
+app.get('/api/admin/me', adminAuth.requireAdmin(), (req, res) => {
+  res.json({ success: true, user: res.locals.adminUser });
+});
+
+// Booking status workflow (see lib/booking-status.js)
+
+// Google Calendar event status for each open booking status
+const CALENDAR_EVENT_STATUS = {
+  requested: 'tentative',
+  pending_payment: 'tentative',
+  pending_approval: 'tentative',
+  confirmed: 'confirmed'
+};
+
+function sessionHasStarted(booking) {
+  return getEventWindow(booking.event_date, booking.event_time, booking.duration).start <= new Date();
+}
+
+async function allowedTransitionsFor(booking) {
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  return bookingStatus.allowedTransitions(booking.status, sessionType, { sessionStarted: sessionHasStarted(booking) });
+}
+
+/**
+ * Mirror a booking's status on its Calendar event: tentative while awaiting
+ * approval, confirmed once approved, removed when cancelled, marked with the
+ * outcome after the session.
+ */
+async function syncCalendarStatus(booking) {
+  if (!booking.calendar_event_id) return;
+  try {
+    if (booking.status === 'cancelled') {
+      await calendar.deleteEvent(booking.calendar_event_id);
+      console.log('✅ Calendar event deleted:', booking.calendar_event_id);
+      return;
+    }
+    const changes = CALENDAR_EVENT_STATUS[booking.status]
+      ? { status: CALENDAR_EVENT_STATUS[booking.status] }
+      : { outcome: booking.status };
+    await calendar.updateEvent(booking.calendar_event_id, changes);
+    console.log(`✅ Calendar event marked ${booking.status}:`, booking.calendar_event_id);
+  } catch (calendarError) {
+    console.error('⚠️ Calendar status update failed:', calendarError.message);
+  }
+}
+
+/**
+ * Queue the client email, and text if they opted in, for arriving in a
+ * status (completed / no_show send none)
+ */
+async function sendStatusNotifications(booking, { by, reason } = {}) {
+  const data = Object.assign(bookingEmailData(booking), { manageUrl: buildManageUrl(booking.booking_id) });
+  if (booking.status === 'pending_approval') {
+    await sendRequestReceivedEmail(data);
+  } else if (booking.status === 'confirmed') {
+    const sessionType = await sessionTypes.getSessionType(booking.event_type);
+    await sendConfirmationEmail(Object.assign(data, { prepGuideDays: sessionType && sessionType.prep_guide_days_before }));
+    await queueTemplateSms('confirmation', booking, data);
+  } else if (booking.status === 'cancelled') {
+    Object.assign(data, { businessNote: by === 'client' ? null : reason });
+    await sendCancellationEmail(data);
+    await queueTemplateSms('cancelled', booking, data);
+  }
+}
+
+/**
+ * Save a status change: the update only applies if the status hasn't changed
+ * since `booking` was read; the change is written to audit_logs, and the
+ * client notifications and Sheets ledger sync queued. Call inside a
+ * transaction. Returns the updated booking, or null when someone else
+ * changed it first.
+ */
+async function recordTransition(booking, toStatus, { by, reason = null, requestId = null, notify = true } = {}) {
+  const changed = await bookings.update(booking.booking_id, { status: toStatus }, { expectedStatus: booking.status });
+  if (!changed) return null;
+
+  const updated = Object.assign({}, booking, { status: toStatus });
+  await writeAuditLog(requestId, 'booking_status_changed', {
+    bookingId: booking.booking_id,
+    from: booking.status,
+    to: toStatus,
+    by,
+    reason
+  });
+  structuredLog('info', 'booking_status_changed', { requestId, bookingId: booking.booking_id, from: booking.status, to: toStatus });
+
+  await queueSheetSync(updated);
+  if (notify) await sendStatusNotifications(updated, { by, reason });
+  return updated;
+}
+
+/**
+ * Move a booking to a new status (see recordTransition), then bring its
+ * Calendar event in line. `queue` runs in the same transaction with the
+ * updated booking, for any extra emails the change should send.
+ */
+async function transitionBooking(booking, toStatus, { queue = null, ...options } = {}) {
+  const updated = await withTransaction(async () => {
+    const changed = await recordTransition(booking, toStatus, options);
+    if (changed && queue) await queue(changed);
+    return changed;
+  });
+  if (updated) await syncCalendarStatus(updated);
+  if (updated && updated.status === 'cancelled') offerWaitlistOpening(updated.event_date);
+  return updated;
+}
+
+// Checkout webhook events and what they mean for the deposit
+const CHECKOUT_EVENT_OUTCOMES = {
+  'checkout.session.completed': 'paid',
+  'checkout.session.async_payment_succeeded': 'paid',
+  'checkout.session.async_payment_failed': 'failed',
+  'checkout.session.expired': 'expired'
+};
+
+const RELEASED_HOLD_REASONS = {
+  expired: 'The deposit wasn\'t paid in time, so the time slot has been released.',
+  failed: 'The deposit payment didn\'t go through, so the time slot has been released.'
+};
+
+/**
+ * Apply a Checkout session's outcome ('paid', 'expired' or 'failed'), from
+ * the webhook or the hold sweeper. A paid deposit moves the held booking on
+ * to confirmed (or pending_approval) and tells the business; an expired or
+ * failed one cancels it, releasing the slot. Repeat deliveries do nothing.
+ */
+async function settleCheckoutSession(session, outcome, { requestId = null } = {}) {
+  const updated = await withTransaction(async () => {
+    const payment = outcome === 'paid' ? await payments.markPaid(session) : await payments.markClosed(session, outcome);
+    if (!payment) return null;
+    await writeAuditLog(requestId, `payment_${outcome}`, {
+      bookingId: payment.booking_id,
+      checkoutSessionId: session.id,
+      amountCents: payment.amount_cents
+    });
+
+    const booking = await bookings.findById(payment.booking_id);
+    if (!booking || booking.status !== 'pending_payment') {
+      if (outcome === 'paid') {
+        console.warn(`⚠️ Deposit paid for ${payment.booking_id}, which is ${booking ? booking.status : 'missing'} - refund it from the Stripe dashboard`);
+      }
+      return null;
+    }
+    if (outcome !== 'paid') {
+      return recordTransition(booking, 'cancelled', { by: 'system', reason: RELEASED_HOLD_REASONS[outcome], requestId });
+    }
+
+    const sessionType = await sessionTypes.getSessionType(booking.event_type);
+    const changed = await recordTransition(booking, bookingStatus.initialStatus(sessionType), { by: 'stripe', requestId });
+    if (changed) await sendBusinessNotification(Object.assign(bookingEmailData(changed), { status: changed.status }));
+    return changed;
+  });
+  if (updated) await syncCalendarStatus(updated);
+  if (updated && updated.status === 'cancelled') offerWaitlistOpening(updated.event_date);
+  return updated;
+}
+
+/**
+ * POST /api/payments/stripe/webhook
+ * Stripe Checkout events, signed with STRIPE_WEBHOOK_SECRET
+ */
+app.post(STRIPE_WEBHOOK_PATH, async (req, res) => {
+  let event;
+  try {
+    event = verifyWebhookEvent(req.rawBody || '', req.get('stripe-signature'), process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.warn(`⚠️ [${res.locals.requestId}] Rejected Stripe webhook: ${error.message}`);
+    return res.status(400).json({ success: false, error: 'Invalid signature' });
+  }
+
+  try {
+    const session = event.data && event.data.object;
+    const outcome = CHECKOUT_EVENT_OUTCOMES[event.type];
+    // A completed session may still be waiting on a delayed payment method
+    if (outcome && !(outcome === 'paid' && session.payment_status !== 'paid')) {
+      await settleCheckoutSession(session, outcome, { requestId: res.locals.requestId });
+    }
+    res.json({ success: true, received: event.type });
+  } catch (error) {
+    console.error('Error handling Stripe webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to handle webhook' });
+  }
+});
+
+/**
+ * GET /api/payments/checkout/:sessionId
+ * Where a deposit's booking stands, for the page Checkout sends the client
+ * back to - its ?payment=success can't be trusted, only the webhook can
+ */
+app.get('/api/payments/checkout/:sessionId', async (req, res) => {
+  try {
+    const payment = await payments.findBySession(req.params.sessionId);
+    const booking = payment && await bookings.findById(payment.booking_id);
+    if (!booking) return res.status(404).json({ success: false, error: 'Checkout session not found' });
+
+    res.json({
+      success: true,
+      booking_id: booking.booking_id,
+      status: booking.status,
+      payment_status: payment.status
+    });
+  } catch (error) {
+    console.error('Error getting checkout status:', error);
+    res.status(500).json({ success: false, error: 'Failed to get checkout status' });
+  }
+});
+
+// Calendar <-> booking reconciliation (see lib/calendar-sync.js)
+
+/**
+ * Apply a move made in the calendar to the booking: its date, time and
+ * length follow the event, and the client gets the reschedule email (and
+ * with it the updated calendar entry). Resolves to false when the booking
+ * changed in the meantime.
+ */
+async function moveBookingToCalendarSlot(booking, slot) {
+  const updated = Object.assign({}, booking, { event_date: slot.date, event_time: slot.time, duration: slot.duration });
+  const moved = await withTransaction(async () => {
+    const changed = await bookings.update(
+      booking.booking_id,
+      { event_date: slot.date, event_time: slot.time, duration: slot.duration },
+      { expectedStatus: booking.status }
+    );
+    if (!changed) return false;
+    await queueSheetSync(booking);
+    await sendRescheduleEmail(Object.assign(bookingEmailData(updated), {
+      previousDate: normalizeEventDate(booking.event_date),
+      previousTime: booking.event_time,
+      manageUrl: buildManageUrl(booking.booking_id)
+    }));
+    return true;
+  });
+  if (!moved) return false;
+
+  await writeAuditLog(null, 'booking_rescheduled', {
+    bookingId: booking.booking_id,
+    by: 'calendar',
+    from: { date: normalizeEventDate(booking.event_date), time: booking.event_time },
+    to: { date: slot.date, time: slot.time }
+  });
+  structuredLog('info', 'booking_rescheduled', { bookingId: booking.booking_id, by: 'calendar' });
+  return true;
+}
+
+const calendarAdapter = {
+  getEvent: id => calendar.getEvent(id),
+  insertEvent: insertCalendarEvent,
+  moveEvent: moveCalendarEvent,
+  moveBooking: moveBookingToCalendarSlot,
+  // Push notifications are Google-only; other providers are polled
+  watch: calendar.watch,
+  stopWatch: calendar.stopWatch
+};
+
+/**
+ * POST /api/calendar/google/webhook
+ * Google Calendar push notifications for the channel registered by the reconciler
+ */
+app.post(CALENDAR_WEBHOOK_PATH, async (req, res) => {
+  try {
+    const accepted = await calendarSync.handleNotification({
+      channelId: req.get('x-goog-channel-id'),
+      token: req.get('x-goog-channel-token'),
+      state: req.get('x-goog-resource-state')
+    });
+    if (!accepted) {
+      console.warn(`⚠️ [${res.locals.requestId}] Rejected Calendar notification for channel ${req.get('x-goog-channel-id') || '(none)'}`);
+      return res.status(400).json({ success: false, error: 'Unknown channel' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error handling Calendar notification:', error);
+    res.status(500).json({ success: false, error: 'Failed to handle notification' });
+  }
+});
+
+/**
+ * GET /api/admin/calendar/drift
+ * Differences found between bookings and their Calendar events, newest first,
+ * with open counts per kind: ?status=&kind=&booking_id=&limit=
+ */
+app.get('/api/admin/calendar/drift', adminAuth.requireAdmin('admin', 'staff'), [
+  query('status').optional().isIn(calendarSync.DRIFT_STATUSES),
+  query('kind').optional().isIn(calendarSync.DRIFT_KINDS),
+  query('booking_id').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const [drift, open, channel] = await Promise.all([
+      calendarSync.listDrift({ status: req.query.status, kind: req.query.kind, bookingId: req.query.booking_id, limit: req.query.limit || 100 }),
+      calendarSync.countOpenByKind(),
+      calendarSync.findActiveChannel()
+    ]);
+    res.json({
+      success: true,
+      provider: calendar.name,
+      enabled: calendars.isConfigured(),
+      last_run: calendarSync.getLastRun(),
+      push_notifications: channel ? { channel_id: channel.channel_id, expires_at: channel.expires_at } : null,
+      open,
+      drift
+    });
+  } catch (error) {
+    console.error('Error getting calendar drift:', error);
+    res.status(500).json({ success: false, error: 'Failed to get calendar drift' });
+  }
+});
+
+/**
+ * POST /api/admin/calendar/reconcile
+ * Reconcile bookings with Calendar now instead of waiting for the next run
+ */
+app.post('/api/admin/calendar/reconcile', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    if (!calendars.isConfigured()) {
+      return res.status(503).json({ success: false, error: `The ${calendar.name} calendar is not configured` });
+    }
+    const summary = await calendarSync.runReconcile(calendarAdapter);
+    await writeAuditLog(res.locals.requestId, 'calendar_reconciled', Object.assign({ by: res.locals.adminUser.id }, summary));
+    res.json({ success: true, summary, open: await calendarSync.countOpenByKind() });
+  } catch (error) {
+    console.error('Error reconciling calendar:', error);
+    res.status(500).json({ success: false, error: 'Failed to reconcile calendar' });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:bookingId/calendar-event
+ * Create a new Calendar event for a booking whose event is missing or was deleted
+ */
+app.post('/api/admin/bookings/:bookingId/calendar-event', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    if (!bookingStatus.isOpen(booking.status)) {
+      return res.status(409).json({ success: false, error: `Booking is ${booking.status} and needs no Calendar event` });
+    }
+    const existing = booking.calendar_event_id && await calendar.getEvent(booking.calendar_event_id);
+    if (existing && existing.status !== 'cancelled') {
+      return res.status(409).json({ success: false, error: 'Booking already has a Calendar event', calendar_event_id: booking.calendar_event_id });
+    }
+
+    const calendarEventId = await insertCalendarEvent(booking);
+    await calendarSync.resolveDrift(booking.booking_id, ['missing', 'deleted'], 'event_created');
+    await writeAuditLog(res.locals.requestId, 'calendar_event_recreated', {
+      bookingId: booking.booking_id,
+      by: res.locals.adminUser.id,
+      previousEventId: booking.calendar_event_id || null,
+      calendarEventId
+    });
+    res.status(201).json({ success: true, calendar_event_id: calendarEventId });
+  } catch (error) {
+    console.error('Error creating calendar event:', error);
+    res.status(500).json({ success: false, error: `Failed to create calendar event: ${error.message}` });
+  }
+});
+
+// Past days a feed keeps, so sessions don't vanish from subscribers' calendars the day after
+const CALENDAR_FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS || '30', 10);
+
+/**
+ * GET /api/calendar/:token.ics
+ * iCalendar feed of bookings from CALENDAR_FEED_PAST_DAYS ago on, for subscribing from a calendar app
+ */
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const feed = await calendarFeed.findFeedByToken(req.params.token);
+    if (!feed) return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+
+    const rows = await bookings.list({ from: timezone.addDays(timezone.todayInZone(), -CALENDAR_FEED_PAST_DAYS) });
+    const events = await Promise.all(rows.reverse().map(async booking => Object.assign(await feedEventDetails(booking), {
+      bookingId: booking.booking_id,
+      status: booking.status,
+      sequence: booking.ical_sequence,
+      created: booking.created_at,
+      updated: booking.updated_at
+    })));
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="4everevents.ics"',
+      'Cache-Control': 'no-cache'
+    });
+    res.send(calendarFeed.renderFeed(events));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ success: false, error: 'Failed to build calendar feed' });
+  }
+});
+
+/**
+ * GET /api/admin/calendar/feeds
+ * Calendar feeds handed out (?include_revoked=true for revoked ones too)
+ */
+app.get('/api/admin/calendar/feeds', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    const feeds = await calendarFeed.listFeeds({ includeRevoked: req.query.include_revoked === 'true' });
+    res.json({ success: true, feeds });
+  } catch (error) {
+    console.error('Error listing calendar feeds:', error);
+    res.status(500).json({ success: false, error: 'Failed to list calendar feeds' });
+  }
+});
+
+/**
+ * POST /api/admin/calendar/feeds
+ * New feed for one subscriber: { label }. The URL is only shown in this response.
+ */
+app.post('/api/admin/calendar/feeds', adminAuth.requireAdmin('admin'), [
+  body('label').trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const feed = await calendarFeed.createFeed({ label: req.body.label, createdBy: String(res.locals.adminUser.id) });
+    await writeAuditLog(res.locals.requestId, 'calendar_feed_created', { by: res.locals.adminUser.id, id: feed.id, label: feed.label });
+    res.status(201).json({ success: true, feed });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ success: false, error: 'Failed to create calendar feed' });
+  }
+});
+
+/**
+ * DELETE /api/admin/calendar/feeds/:id
+ * Revoke a feed; its URL stops working at once
+ */
+app.delete('/api/admin/calendar/feeds/:id', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    if (!(await calendarFeed.revokeFeed(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
+    await writeAuditLog(res.locals.requestId, 'calendar_feed_revoked', { by: res.locals.adminUser.id, id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke calendar feed' });
+  }
+});
+
+/**
+ * GET /api/bookings
+ * Get all bookings (admin endpoint), optionally ?status=, ?event_type=,
+ * ?from=/?to= event dates and ?active=true to leave out cancelled ones
+ */
+app.get('/api/bookings', adminAuth.requireAdmin('admin', 'staff'), [
+  query('event_type').optional().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !bookingStatus.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${bookingStatus.STATUSES.join(', ')}` });
+    }
+    if (rejectInvalid(req, res)) return;
+    res.json({
+      success: true,
+      bookings: await bookings.list({
+        status,
+        eventType: req.query.event_type,
+        from: req.query.from,
+        to: req.query.to,
+        activeOnly: req.query.active === 'true'
+      })
+    });
+  } catch (error) {
+    console.error('Error getting bookings:', error);
+    res.status(500).json({ success: false, error: 'Failed to get bookings' });
+  }
+});
+
+/**
+ * GET /api/admin/bookings/:bookingId
+ * One booking with its allowed next statuses and status history
+ */
+app.get('/api/admin/bookings/:bookingId', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+
+    res.json({
+      success: true,
+      booking,
+      allowed_transitions: await allowedTransitionsFor(booking),
+      status_history: await bookings.statusHistory(booking.booking_id),
+      reminders: await reminders.listForBooking(booking.booking_id),
+      payments: await payments.listForBooking(booking.booking_id),
+      calendar_drift: await calendarSync.listDrift({ bookingId: booking.booking_id }),
+      notes: await bookings.listNotes(booking.booking_id),
+      audit_log: await bookings.auditTrail(booking.booking_id)
+    });
+  } catch (error) {
+    console.error('Error getting booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to get booking' });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:bookingId/status
+ * Move a booking along the status workflow: { status, reason?, notify? }
+ */
+app.post('/api/admin/bookings/:bookingId/status', adminAuth.requireAdmin('admin', 'staff'), [
+  body('status').isIn(bookingStatus.STATUSES),
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('notify').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+
+    const allowed = await allowedTransitionsFor(booking);
+    if (!allowed.includes(req.body.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change status from ${booking.status} to ${req.body.status}`,
+        allowed_transitions: allowed
+      });
+    }
+
+    const updated = await transitionBooking(booking, req.body.status, {
+      by: `admin:${res.locals.adminUser.id}`,
+      reason: req.body.reason || null,
+      requestId: res.locals.requestId,
+      notify: req.body.notify !== false
+    });
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Booking was changed by someone else - reload and try again' });
+    }
+
+    res.json({ success: true, booking: updated, allowed_transitions: await allowedTransitionsFor(updated) });
+  } catch (error) {
+    console.error('Error changing booking status:', error);
+    res.status(500).json({ success: false, error: 'Failed to change booking status' });
+  }
+});
+
+/**
+ * GET /api/admin/bookings/:bookingId/availability/:date
+ * Open slots for moving a booking to a date, checked the way the reschedule
+ * below checks them: the booking's own session type and length, with its
+ * current slot and calendar event not counted as taken
+ */
+app.get('/api/admin/bookings/:bookingId/availability/:date', adminAuth.requireAdmin('admin', 'staff'), validateDateParam, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+
+    const { date } = req.params;
+    const sessionType = await sessionTypes.getSessionType(booking.event_type);
+    const { slots, calendarChecked, openHours, blackout } = await calculateAvailableSlots(date, booking.duration, {
+      excludeEventIds: booking.calendar_event_id ? [booking.calendar_event_id] : [],
+      excludeBookingId: booking.booking_id,
+      sessionType
+    });
+
+    res.json({
+      success: true,
+      date,
+      available_slots: slots,
+      duration_minutes: booking.duration,
+      event_type: booking.event_type,
+      time_zone: timezone.getBusinessTimeZone(),
+      open_hours: openHours,
+      closed_reason: blackout ? (blackout.reason || 'Unavailable') : null,
+      calendar_checked: calendarChecked
+    });
+  } catch (error) {
+    console.error('Error getting availability for booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to get availability' });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:bookingId/reschedule
+ * Move a booking to another open slot: { eventDate, eventTime, notify? }.
+ * Unlike the client's manage link, there's no cutoff before the session.
+ */
+app.post('/api/admin/bookings/:bookingId/reschedule', adminAuth.requireAdmin('admin', 'staff'), [
+  body('eventDate').isISO8601(),
+  body('eventTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).customSanitizer(normalizeTime),
+  body('notify').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+    if (!bookingStatus.isOpen(booking.status)) {
+      return res.status(409).json({ success: false, error: `A ${booking.status.replace(/_/g, ' ')} booking can't be moved` });
+    }
+
+    const newDate = normalizeEventDate(req.body.eventDate);
+    const updated = await rescheduleBooking(booking, newDate, req.body.eventTime, {
+      by: `admin:${res.locals.adminUser.id}`,
+      requestId: res.locals.requestId,
+      notify: req.body.notify !== false
+    });
+    if (!updated) {
+      const current = await bookings.findById(booking.booking_id);
+      if (current.status !== booking.status) {
+        return res.status(409).json({ success: false, error: `A ${current.status.replace(/_/g, ' ')} booking can't be moved` });
+      }
+      return rejectTakenSlot(res, booking, newDate);
+    }
+
+    res.json({ success: true, booking: updated });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to reschedule booking' });
+  }
+});
+
+/**
+ * POST /api/admin/bookings/:bookingId/notes
+ * Add a studio-only note to a booking: { body }
+ */
+app.post('/api/admin/bookings/:bookingId/notes', adminAuth.requireAdmin('admin', 'staff'), [
+  body('body').trim().isLength({ min: 1, max: 5000 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const booking = await bookings.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ success: false, error: 'Booking not found' });
+
+    const note = await bookings.addNote(booking.booking_id, {
+      body: req.body.body,
+      authorId: res.locals.adminUser.id,
+      authorEmail: res.locals.adminUser.email
+    });
+    await writeAuditLog(res.locals.requestId, 'booking_note_added', { bookingId: booking.booking_id, by: res.locals.adminUser.id, noteId: note.id });
+    res.status(201).json({ success: true, note });
+  } catch (error) {
+    console.error('Error adding booking note:', error);
+    res.status(500).json({ success: false, error: 'Failed to add note' });
+  }
+});
+
+/**
+ * GET /api/audit-logs
+ * Return recent audit logs (last 200 entries)
+ */
+app.get('/api/audit-logs', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(200, parseInt(req.query.limit || '100', 10) || 100);
+    const logs = await bookings.listAuditLogs({ limit });
+    res.json({ success: true, logs });
+  } catch (error) {
+    console.error('Error getting audit logs:', error);
+    res.status(500).json({ success: false, error: 'Failed to get audit logs' });
+  }
+});
+
+// Notification outbox (see lib/notification-outbox.js)
+
+/**
+ * GET /api/admin/notifications
+ * Queued, sent and dead emails and texts, newest first: ?status=&channel=&booking_id=&limit=
+ */
+app.get('/api/admin/notifications', adminAuth.requireAdmin('admin', 'staff'), [
+  query('status').optional().isIn(outbox.STATUSES),
+  query('channel').optional().isIn(outbox.CHANNELS),
+  query('booking_id').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const [notifications, counts] = await Promise.all([
+      outbox.list({ status: req.query.status, channel: req.query.channel, bookingId: req.query.booking_id, limit: req.query.limit || 100 }),
+      outbox.countByStatus()
+    ]);
+    res.json({ success: true, counts, notifications });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({ success: false, error: 'Failed to get notifications' });
+  }
+});
+
+/**
+ * POST /api/admin/notifications/redrive
+ * Queue every dead email for delivery again
+ */
+app.post('/api/admin/notifications/redrive', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    const requeued = await outbox.redriveDead();
+    await writeAuditLog(res.locals.requestId, 'notifications_redriven', { by: res.locals.adminUser.id, count: requeued });
+    res.json({ success: true, requeued });
+  } catch (error) {
+    console.error('Error re-driving notifications:', error);
+    res.status(500).json({ success: false, error: 'Failed to re-drive notifications' });
+  }
+});
+
+/**
+ * POST /api/admin/notifications/:id/redrive
+ * Queue one failed email for delivery again, with a fresh set of attempts
+ */
+app.post('/api/admin/notifications/:id/redrive', adminAuth.requireAdmin('admin'), [
+  param('id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const message = await outbox.findById(req.params.id);
+    if (!message) return res.status(404).json({ success: false, error: 'Notification not found' });
+    if (!(await outbox.redrive(message.id))) {
+      return res.status(409).json({ success: false, error: 'This notification has already been sent' });
+    }
+    await writeAuditLog(res.locals.requestId, 'notification_redriven', { by: res.locals.adminUser.id, id: message.id, kind: message.kind });
+    res.json({ success: true, notification: await outbox.findById(message.id) });
+  } catch (error) {
+    console.error('Error re-driving notification:', error);
+    res.status(500).json({ success: false, error: 'Failed to re-drive notification' });
+  }
+});
+
+/**
+ * GET /api/admin/email-templates
+ * Email templates available in templates/email
+ */
+app.get('/api/admin/email-templates', adminAuth.requireAdmin('admin', 'staff'), (req, res) => {
+  try {
+    res.json({ success: true, templates: emailTemplates.listTemplates() });
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to list email templates' });
+  }
+});
+
+/**
+ * GET /api/admin/email-templates/:name/preview
+ * Render a template with its sample data: ?format=json (default), html or text
+ */
+app.get('/api/admin/email-templates/:name/preview', adminAuth.requireAdmin('admin', 'staff'), [
+  query('format').optional().isIn(['json', 'html', 'text'])
+], (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const sample = emailTemplates.getSampleData(req.params.name);
+    if (!sample) return res.status(404).json({ success: false, error: 'Email template not found' });
+
+    const rendered = emailTemplates.renderEmail(req.params.name, sample);
+    if (req.query.format === 'html') return res.type('html').send(rendered.html);
+    if (req.query.format === 'text') return res.type('text').send(rendered.text);
+    res.json({ success: true, template: req.params.name, sample, rendered });
+  } catch (error) {
+    console.error('Error rendering email template:', error);
+    res.status(500).json({ success: false, error: `Failed to render email template: ${error.message}` });
+  }
+});
+
+// Business hours administration (weekly hours, date overrides, blackouts)
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+function endsAfterStart(value, { req }) {
+  if (schedule.toMinutes(value) <= schedule.toMinutes(req.body.start_time)) {
+    throw new Error('end_time must be after start_time');
+  }
+  return true;
+}
+
+function weeklyHoursAreValid(hours) {
+  hours.forEach((entry, index) => {
+    if (schedule.toMinutes(entry.end_time) <= schedule.toMinutes(entry.start_time)) {
+      throw new Error(`hours[${index}]: end_time must be after start_time`);
+    }
+  });
+  return true;
+}
+
+/**
+ * Respond 400 with express-validator issues; returns true when it did
+ */
+function rejectInvalid(req, res) {
+  const validation = validationResult(req);
+  if (validation.isEmpty()) return false;
+  const issues = validation.array().map((err) => ({
+    param: err.path || err.param || 'unknown',
+    msg: err.msg || 'Invalid value'
+  }));
+  res.status(400).json({ success: false, errors: issues });
+  return true;
+}
+
+/**
+ * GET /api/admin/schedule
+ * Weekly hours plus upcoming overrides and blackouts
+ */
+app.get('/api/admin/schedule', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    const today = timezone.todayInZone();
+    const [weekly, overrides, blackouts] = await Promise.all([
+      dbAll('SELECT id, weekday, start_time, end_time FROM weekly_schedule ORDER BY weekday, start_time'),
+      dbAll('SELECT id, date, start_time, end_time, is_available FROM availability WHERE date >= ? ORDER BY date, start_time', [today]),
+      dbAll('SELECT id, start_date, end_date, reason FROM blackout_dates WHERE end_date >= ? ORDER BY start_date', [today])
+    ]);
+    res.json({
+      success: true,
+      weekly: weekly.map(row => Object.assign({ day: schedule.WEEKDAYS[row.weekday] }, row)),
+      overrides: overrides.map(row => Object.assign({}, row, { is_available: Number(row.is_available) === 1 })),
+      blackouts
+    });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to get schedule' });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule/weekly
+ * Replace the recurring weekly hours: { hours: [{ weekday, start_time, end_time }] }
+ * Weekdays with no entries are closed.
+ */
+app.put('/api/admin/schedule/weekly', adminAuth.requireAdmin('admin'), [
+  body('hours').isArray(),
+  body('hours.*.weekday').isInt({ min: 0, max: 6 }).toInt(),
+  body('hours.*.start_time').matches(TIME_PATTERN).customSanitizer(normalizeTime),
+  body('hours.*.end_time').matches(TIME_PATTERN).customSanitizer(normalizeTime),
+  body('hours').custom(weeklyHoursAreValid)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const { hours } = req.body;
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM weekly_schedule');
+      for (const entry of hours) {
+        await dbRun(
+          'INSERT INTO weekly_schedule (weekday, start_time, end_time) VALUES (?, ?, ?)',
+          [entry.weekday, entry.start_time, entry.end_time]
+        );
+      }
+    });
+    await writeAuditLog(res.locals.requestId, 'schedule_weekly_updated', { by: res.locals.adminUser.id, hours });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating weekly schedule:', error);
+    res.status(500).json({ success: false, error: 'Failed to update weekly schedule' });
+  }
+});
+
+/**
+ * POST /api/admin/schedule/overrides
+ * Open extra hours on a date (is_available: true replaces that day's weekly hours)
+ * or block time out of it (is_available: false)
+ */
+app.post('/api/admin/schedule/overrides', adminAuth.requireAdmin('admin'), [
+  body('date').isISO8601({ strict: true }).customSanitizer(normalizeEventDate),
+  body('start_time').matches(TIME_PATTERN).customSanitizer(normalizeTime),
+  body('end_time').matches(TIME_PATTERN).customSanitizer(normalizeTime).custom(endsAfterStart),
+  body('is_available').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const { date, start_time: startTime, end_time: endTime, is_available: isAvailable } = req.body;
+    const result = await dbRun(
+      'INSERT INTO availability (date, start_time, end_time, is_available) VALUES (?, ?, ?, ?)',
+      [date, startTime, endTime, isAvailable ? 1 : 0]
+    );
+    await writeAuditLog(res.locals.requestId, 'schedule_override_created', { by: res.locals.adminUser.id, id: result.lastID, date, startTime, endTime, isAvailable });
+    res.status(201).json({ success: true, id: result.lastID });
+  } catch (error) {
+    console.error('Error creating schedule override:', error);
+    res.status(500).json({ success: false, error: 'Failed to create override' });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedule/overrides/:id
+ */
+app.delete('/api/admin/schedule/overrides/:id', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM availability WHERE id = ?', [req.params.id]);
+    if (!result.changes) return res.status(404).json({ success: false, error: 'Override not found' });
+    await writeAuditLog(res.locals.requestId, 'schedule_override_deleted', { by: res.locals.adminUser.id, id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting schedule override:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete override' });
+  }
+});
+
+/**
+ * POST /api/admin/schedule/blackouts
+ * Close an inclusive date range: { start_date, end_date, reason }
+ */
+app.post('/api/admin/schedule/blackouts', adminAuth.requireAdmin('admin'), [
+  body('start_date').isISO8601({ strict: true }).customSanitizer(normalizeEventDate),
+  body('end_date').isISO8601({ strict: true }).customSanitizer(normalizeEventDate)
+    .custom((value, { req }) => {
+      if (value < req.body.start_date) throw new Error('end_date must not be before start_date');
+      return true;
+    }),
+  body('reason').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const { start_date: startDate, end_date: endDate, reason = null } = req.body;
+    const result = await dbRun(
+      'INSERT INTO blackout_dates (start_date, end_date, reason) VALUES (?, ?, ?)',
+      [startDate, endDate, reason]
+    );
+
+    // Existing bookings are kept; surface them so the studio can follow up
+    const affected = (await bookings.list({ from: startDate, to: endDate, activeOnly: true }))
+      .map(({ booking_id, event_date, event_time, client_name }) => ({ booking_id, event_date, event_time, client_name }));
+    await writeAuditLog(res.locals.requestId, 'schedule_blackout_created', { by: res.locals.adminUser.id, id: result.lastID, startDate, endDate, reason });
+    res.status(201).json({ success: true, id: result.lastID, affected_bookings: affected });
+  } catch (error) {
+    console.error('Error creating blackout:', error);
+    res.status(500).json({ success: false, error: 'Failed to create blackout' });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedule/blackouts/:id
+ */
+app.delete('/api/admin/schedule/blackouts/:id', adminAuth.requireAdmin('admin'), async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM blackout_dates WHERE id = ?', [req.params.id]);
+    if (!result.changes) return res.status(404).json({ success: false, error: 'Blackout not found' });
+    await writeAuditLog(res.locals.requestId, 'schedule_blackout_deleted', { by: res.locals.adminUser.id, id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting blackout:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete blackout' });
+  }
+});
+
+function adminSessionTypeView(row) {
+  return Object.assign(sessionTypes.toPublic(row), {
+    calendar_title: row.calendar_title,
+    deposit_cents: row.deposit_cents,
+    prep_guide_days_before: row.prep_guide_days_before,
+    reminder_hours_before: row.reminder_hours_before,
+    thank_you_hours_after: row.thank_you_hours_after,
+    is_active: Boolean(row.is_active),
+    sort_order: row.sort_order,
+    updated_at: row.updated_at
+  });
+}
+
+/**
+ * GET /api/admin/session-types
+ * Full session-type catalog, inactive types included
+ */
+app.get('/api/admin/session-types', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    const rows = await sessionTypes.listSessionTypes({ includeInactive: true });
+    res.json({ success: true, session_types: rows.map(adminSessionTypeView) });
+  } catch (error) {
+    console.error('Error getting session types:', error);
+    res.status(500).json({ success: false, error: 'Failed to get session types' });
+  }
+});
+
+/**
+ * PUT /api/admin/session-types/:key
+ * Create a session type or update some of its fields. Types are never deleted
+ * (bookings reference them); set is_active: false to stop offering one.
+ */
+app.put('/api/admin/session-types/:key', adminAuth.requireAdmin('admin'), [
+  param('key').matches(sessionTypes.KEY_PATTERN).withMessage('key must be lowercase letters, digits, - or _'),
+  body('label').optional().trim().isLength({ min: 2, max: 80 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('calendar_title').optional({ nullable: true }).trim().isLength({ max: 120 }),
+  body('duration_minutes').optional().isInt({ min: 15, max: 720 }),
+  body('price_cents').optional({ nullable: true }).isInt({ min: 0 }),
+  // Stripe's smallest charge is 50 cents
+  body('deposit_cents').optional({ nullable: true }).isInt({ min: 50 }),
+  body('buffer_before_minutes').optional().isInt({ min: 0, max: 240 }),
+  body('buffer_after_minutes').optional().isInt({ min: 0, max: 240 }),
+  body('min_lead_hours').optional().isInt({ min: 0, max: 24 * 365 }),
+  body('max_per_day').optional({ nullable: true }).isInt({ min: 1, max: 50 }),
+  body('requires_approval').optional().isBoolean().toBoolean(),
+  body('is_active').optional().isBoolean().toBoolean(),
+  body('sort_order').optional().isInt(),
+  body('prep_guide_days_before').optional({ nullable: true }).isInt({ min: 1, max: 60 }),
+  body('reminder_hours_before').optional({ nullable: true }).isInt({ min: 1, max: 24 * 7 }),
+  body('thank_you_hours_after').optional({ nullable: true }).isInt({ min: 0, max: 24 * 14 })
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+    const { key } = req.params;
+
+    const existing = await sessionTypes.getSessionType(key);
+    if (!existing && (!req.body.label || !req.body.duration_minutes)) {
+      return res.status(400).json({ success: false, error: 'label and duration_minutes are required for a new session type' });
+    }
+
+    const { created, sessionType } = await sessionTypes.saveSessionType(key, req.body);
+    await writeAuditLog(res.locals.requestId, created ? 'session_type_created' : 'session_type_updated', {
+      by: res.locals.adminUser.id,
+      key,
+      changes: Object.keys(sessionTypes.FIELDS).filter(name => req.body[name] !== undefined)
+    });
+    res.status(created ? 201 : 200).json({ success: true, session_type: adminSessionTypeView(sessionType) });
+  } catch (error) {
+    console.error('Error saving session type:', error);
+    res.status(500).json({ success: false, error: 'Failed to save session type' });
+  }
+});
+
+// Client self-service (manage links from the confirmation email)
+const MANAGE_CUTOFF_HOURS = parseInt(process.env.MANAGE_CUTOFF_HOURS || '48', 10);
+
+const validateReschedule = [
+  body('eventDate').isISO8601(),
+  body('eventTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).customSanitizer(normalizeTime)
+];
+
+/**
+ * Resolve a manage token to its booking row. Responds with 401/404 and
+ * returns null when the link is invalid or the booking no longer exists.
+ */
+async function loadManagedBooking(req, res) {
+  const bookingId = verifyManageToken(req.params.token);
+  if (!bookingId) {
+    res.status(401).json({ success: false, error: 'This link is invalid or has expired' });
+    return null;
+  }
+  const booking = await bookings.findById(bookingId);
+  if (!booking) {
+    res.status(404).json({ success: false, error: 'Booking not found' });
+    return null;
+  }
+  return booking;
+}
+
+function canClientModify(booking) {
+  if (!bookingStatus.isOpen(booking.status)) return false;
+  const { start } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  return start.getTime() - Date.now() >= MANAGE_CUTOFF_HOURS * 60 * 60 * 1000;
+}
+
+function clientBookingView(booking) {
+  const { start } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  return {
+    booking_id: booking.booking_id,
+    client_name: booking.client_name,
+    event_date: normalizeEventDate(booking.event_date),
+    event_time: booking.event_time,
+    event_type: booking.event_type,
+    location: booking.location,
+    duration: booking.duration,
+    status: booking.status,
+    starts_at: start.toISOString(),
+    starts_at_local: timezone.toZonedIso(start),
+    time_zone: timezone.getBusinessTimeZone()
+  };
+}
+
+function bookingEmailData(booking) {
+  return {
+    clientName: booking.client_name,
+    clientEmail: booking.client_email,
+    clientPhone: booking.client_phone,
+    eventDate: normalizeEventDate(booking.event_date),
+    eventTime: booking.event_time,
+    eventType: booking.event_type,
+    location: booking.location,
+    message: booking.message,
+    bookingId: booking.booking_id
+  };
+}
+
+function rejectClientChange(res, booking) {
+  const error = !bookingStatus.isOpen(booking.status)
+    ? (booking.status === 'cancelled' ? 'This booking has already been cancelled' : 'This session has already taken place')
+    : `Bookings can only be changed online up to ${MANAGE_CUTOFF_HOURS} hours before the session. Please contact us directly.`;
+  return res.status(409).json({ success: false, error });
+}
 
-oauth2Client.setCredentials({
-  refresh_token: process.env.GOOGLE_REFRESH_TOKEN
+/**
+ * GET /manage/:token
+ * Self-service page linked from the confirmation email
+ */
+app.get('/manage/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'manage.html'));
 });
 
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-// Email functions using Gmail API (no nodemailer dependency)
-async function sendGmailMessage(to, subject, htmlBody, fromName = '4everevents Photography') {
+/**
+ * GET /api/manage/:token
+ * Booking details for a signed manage link
+ */
+app.get('/api/manage/:token', async (req, res) => {
   try {
-    const message = [
-      `To: ${to}`,
-      `Subject: ${subject}`,
-      `From: ${fromName} <${process.env.GMAIL_USER}>`,
-      'Content-Type: text/html; charset=utf-8',
-      '',
-      htmlBody
-    ].join('\n');
+    const booking = await loadManagedBooking(req, res);
+    if (!booking) return;
+    res.json({
+      success: true,
+      booking: clientBookingView(booking),
+      can_modify: canClientModify(booking),
+      cutoff_hours: MANAGE_CUTOFF_HOURS
+    });
+  } catch (error) {
+    console.error('Error loading managed booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to load booking' });
+  }
+});
 
-    const encodedMessage = Buffer.from(message)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+/**
+ * POST /api/manage/:token/cancel
+ * Client-initiated cancellation
+ */
+app.post('/api/manage/:token/cancel', body('reason').optional().trim(), async (req, res) => {
+  try {
+    const booking = await loadManagedBooking(req, res);
+    if (!booking) return;
+    if (!canClientModify(booking)) return rejectClientChange(res, booking);
 
-    const response = await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: encodedMessage,
-      },
+    const reason = req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+    const cancelled = await transitionBooking(booking, 'cancelled', {
+      by: 'client',
+      reason,
+      requestId: res.locals.requestId,
+      queue: () => sendBusinessChangeNotification('cancelled', Object.assign(bookingEmailData(booking), { reason }))
     });
+    if (!cancelled) {
+      return rejectClientChange(res, await bookings.findById(booking.booking_id));
+    }
 
-    console.log('✅ Email sent via Gmail API:', response.data.id);
-    return response.data;
+    res.json({ success: true, booking: clientBookingView(cancelled) });
   } catch (error) {
-    console.error('❌ Gmail API error:', error);
-    throw error;
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel booking' });
   }
-}
+});
 
-// Utility functions
-function generateBookingId() {
-  const prefix = '4EV';
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
-}
+/**
+ * Move a booking to another open slot: re-check the slot, update the booking,
+ * its sheet row and calendar event, and email the client (and, for a
+ * client's own change, the business). `by` is 'client' or 'admin:<id>'.
+ * Resolves to the moved booking, or null when the slot isn't free or the
+ * booking's status changed meanwhile.
+ */
+async function rescheduleBooking(booking, newDate, newTime, { by, requestId = null, notify = true } = {}) {
+  const { start, end } = getEventWindow(newDate, newTime, booking.duration);
+  const excludeEventIds = booking.calendar_event_id ? [booking.calendar_event_id] : [];
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  const { slots } = await calculateAvailableSlots(newDate, booking.duration, {
+    excludeEventIds,
+    excludeBookingId: booking.booking_id,
+    sessionType
+  });
+  const previous = { date: normalizeEventDate(booking.event_date), time: booking.event_time };
+  const updated = Object.assign({}, booking, { event_date: newDate, event_time: newTime });
+  const emailData = Object.assign(bookingEmailData(updated), {
+    previousDate: previous.date,
+    previousTime: previous.time,
+    manageUrl: buildManageUrl(booking.booking_id)
+  });
 
-function formatDate(date) {
-  return new Date(date).toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
+  const moved = slots.some(slot => slot.time === newTime) && await withTransaction(async () => {
+    const slotConflict = await findSlotConflict(start, end, sessionType, { excludeBookingId: booking.booking_id, excludeEventIds });
+    if (slotConflict) return false;
+    // A cancel or decline that got in first wins; it isn't moved (or emailed about) after all
+    const changed = await bookings.update(booking.booking_id, { event_date: newDate, event_time: newTime }, { expectedStatus: booking.status });
+    if (!changed) return false;
+    await queueSheetSync(updated);
+    if (notify) await sendRescheduleEmail(emailData);
+    if (by === 'client') await sendBusinessChangeNotification('rescheduled', emailData);
+    return true;
   });
-}
+  if (!moved) return null;
 
-// Validation middleware
-const validateBooking = [
-  body('clientName').trim().isLength({ min: 2 }).escape(),
-  body('clientEmail').isEmail().normalizeEmail(),
-  body('clientPhone').trim().isLength({ min: 10 }),
-  body('eventDate').isISO8601().toDate(),
-  body('eventTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('eventType').isIn(['consultation', 'engagement', 'wedding', 'followup']),
-  body('location').trim().isLength({ min: 3 }).escape(),
-  body('message').optional().trim().escape(),
-  body('duration').optional().isInt({ min: 30, max: 720 })
-];
+  if (booking.calendar_event_id) {
+    try {
+      await moveCalendarEvent(updated);
+    } catch (calendarError) {
+      console.error('⚠️ Calendar event update failed:', calendarError.message);
+    }
+  }
 
-// API Routes
+  await writeAuditLog(requestId, 'booking_rescheduled', {
+    bookingId: booking.booking_id,
+    by,
+    from: previous,
+    to: { date: newDate, time: newTime }
+  });
+  structuredLog('info', 'booking_rescheduled', { requestId, bookingId: booking.booking_id });
+  if (previous.date !== newDate) offerWaitlistOpening(previous.date);
+  return (await bookings.findById(booking.booking_id)) || updated;
+}
+
+/**
+ * 409 for a move to a time that isn't free, with other times to try
+ */
+async function rejectTakenSlot(res, booking, newDate) {
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  return res.status(409).json({
+    success: false,
+    error: 'That time is no longer available',
+    alternatives: await suggestAlternativeSlots(newDate, booking.duration, { excludeBookingId: booking.booking_id, sessionType })
+  });
+}
 
 /**
- * GET /api/availability
- * Get available time slots for a specific date
+ * POST /api/manage/:token/reschedule
+ * Client-initiated move to another available slot
  */
-app.get('/api/availability/:date', async (req, res) => {
+app.post('/api/manage/:token/reschedule', validateReschedule, async (req, res) => {
   try {
-    const { date } = req.params;
-    const { duration = 120 } = req.query;
+    if (rejectInvalid(req, res)) return;
 
-    // Get existing calendar events for the day (attempt; fallback to empty on failure)
-    let existingEvents = [];
-    try {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      const calendarResponse = await calendar.events.list({
-        calendarId: 'primary',
-        timeMin: startOfDay.toISOString(),
-        timeMax: endOfDay.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime'
+    const booking = await loadManagedBooking(req, res);
+    if (!booking) return;
+    if (!canClientModify(booking)) return rejectClientChange(res, booking);
+
+    const newDate = normalizeEventDate(req.body.eventDate);
+    const newTime = req.body.eventTime;
+    const { start } = getEventWindow(newDate, newTime, booking.duration);
+
+    if (start.getTime() - Date.now() < MANAGE_CUTOFF_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        error: `Please choose a time at least ${MANAGE_CUTOFF_HOURS} hours from now`
       });
-      existingEvents = calendarResponse.data.items || [];
-      console.log(`✅ Found ${existingEvents.length} existing events for ${date}`);
-    } catch (calendarError) {
-      console.error('⚠️ Calendar availability check failed:', calendarError.message);
-      console.log('📝 Proceeding with empty events (all time slots appear available)');
-    }
-
-    // Calculate available slots (9 AM - 6 PM, 30-minute intervals)
-    const availableSlots = [];
-    const workingHours = { start: 9, end: 18 };
-    
-    for (let hour = workingHours.start; hour < workingHours.end; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const slotStart = new Date(date);
-        slotStart.setHours(hour, minute, 0, 0);
-        
-        const slotEnd = new Date(slotStart.getTime() + parseInt(duration) * 60000);
-        
-        // Check if slot conflicts with existing events
-        const hasConflict = existingEvents.some(event => {
-          const eventStart = new Date(event.start.dateTime || event.start.date);
-          const eventEnd = new Date(event.end.dateTime || event.end.date);
-          return (slotStart < eventEnd && slotEnd > eventStart);
-        });
-        
-        if (!hasConflict && slotEnd.getHours() <= workingHours.end) {
-          availableSlots.push({
-            time: slotStart.toTimeString().slice(0, 5),
-            available: true,
-            datetime: slotStart.toISOString()
-          });
-        }
-      }
     }
 
-    res.json({
-      success: true,
-      date: date,
-      available_slots: availableSlots,
-      duration_minutes: parseInt(duration)
-    });
+    const updated = await rescheduleBooking(booking, newDate, newTime, { by: 'client', requestId: res.locals.requestId });
+    if (!updated) {
+      const current = await bookings.findById(booking.booking_id);
+      if (current.status !== booking.status) return rejectClientChange(res, current);
+      return rejectTakenSlot(res, booking, newDate);
+    }
 
+    res.json({ success: true, booking: clientBookingView(updated) });
   } catch (error) {
-    console.error('Error getting availability:', error);
-    res.status(500).json({ success: false, error: 'Failed to get availability' });
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({ success: false, error: 'Failed to reschedule booking' });
   }
 });
 
+// Waitlist for full dates (see lib/waitlist.js)
+const validateWaitlistJoin = [
+  body('clientName').trim().isLength({ min: 2 }),
+  body('clientEmail').isEmail().normalizeEmail(),
+  body('clientPhone').trim().customSanitizer(phone => toE164(phone) || phone).custom(isE164).withMessage('Enter a valid phone number'),
+  body('eventDate').isISO8601(),
+  body('eventType').custom(isActiveSessionType),
+  body('preferredTime').optional({ values: 'falsy' }).matches(TIME_PATTERN).customSanitizer(normalizeTime),
+  body('message').optional().trim()
+];
+
+const validateWaitlistClaim = [
+  body('eventTime').matches(TIME_PATTERN).customSanitizer(normalizeTime),
+  body('location').trim().isLength({ min: 3 }),
+  body('message').optional().trim(),
+  body('guests').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000 }).toInt(),
+  body('smsOptIn').optional().isBoolean().toBoolean()
+];
+
+// Whether a date can take another session of the type
+async function hasWaitlistRoom(eventDate, eventType) {
+  const sessionType = await sessionTypes.getSessionType(eventType);
+  if (!sessionType || !sessionType.is_active) return false;
+  const { slots } = await calculateAvailableSlots(eventDate, sessionType.duration_minutes, { sessionType });
+  return slots.length > 0;
+}
+
+function waitlistEmailData(entry) {
+  return {
+    clientName: entry.client_name,
+    clientEmail: entry.client_email,
+    clientPhone: entry.client_phone,
+    eventDate: normalizeEventDate(entry.event_date),
+    eventTime: entry.preferred_time,
+    eventType: entry.event_type
+  };
+}
+
+// "Sunday, June 7, 2026 at 4:30 PM PDT" for an instant, in business time
+function formatInstant(instant) {
+  const local = timezone.toZonedIso(new Date(instant));
+  return `${formatDate(local.slice(0, 10))} at ${formatTime(local.slice(0, 10), local.slice(11, 16))}`;
+}
+
+async function sendWaitlistOffer(entry) {
+  await queueTemplateEmail('waitlist_offer', entry.client_email, Object.assign(waitlistEmailData(entry), {
+    claimUrl: buildClaimUrl(entry.id, entry.offer_count, entry.offer_expires_at),
+    expiresLabel: formatInstant(entry.offer_expires_at)
+  }));
+}
+
+const waitlistHandlers = { hasRoom: hasWaitlistRoom, sendOffer: sendWaitlistOffer };
+
 /**
- * POST /api/bookings
- * Create a new booking
+ * A cancellation or move may have opened a date clients are waiting for;
+ * offer it without holding up the request that freed it
+ */
+function offerWaitlistOpening(eventDate) {
+  waitlist.processDue(waitlistHandlers, { eventDate: normalizeEventDate(eventDate) })
+    .catch(error => console.error('⚠️ Waitlist offer failed:', error.message));
+}
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for a full date and session type
  */
-app.post('/api/bookings', validateBooking, async (req, res) => {
+app.post('/api/waitlist', validateWaitlistJoin, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
   try {
-    // Check validation errors
-    const validation = validationResult(req);
-    if (!validation.isEmpty()) {
-      const issues = validation.array().map((err) => ({
-        param: err.path || err.param || 'unknown',
-        msg: err.msg || 'Invalid value'
-      }));
-      console.warn(`🧪 [${res.locals.requestId || 'no-id'}] Validation failed`, issues);
-      // Write audit log (non-blocking)
-      try {
-        const stmt = db.prepare('INSERT INTO audit_logs (request_id, event, details) VALUES (?, ?, ?)');
-        stmt.run(res.locals.requestId || null, 'validation_failed', JSON.stringify(issues));
-        stmt.finalize();
-      } catch (e) {
-        console.error('Failed to write audit log:', e.message || e);
-      }
-      structuredLog('warn', 'validation_failed', { requestId: res.locals.requestId, issues });
-      return res.status(400).json({ success: false, errors: issues });
+    const eventDate = normalizeEventDate(req.body.eventDate);
+    const { eventType, clientName, clientEmail, clientPhone, preferredTime, message } = req.body;
+    if (eventDate < timezone.todayInZone()) {
+      return res.status(400).json({ success: false, error: 'Choose a date that hasn\'t passed' });
     }
 
-    const {
-      clientName,
-      clientEmail,
-      clientPhone,
-      eventDate,
-      eventTime,
-      eventType,
-      location,
-      message,
-      duration = 120
-    } = req.body;
-
-    const bookingId = generateBookingId();
-
-    // Create calendar event
-    console.log('Creating event for:', { eventDate, eventTime, duration });
-    const dateStr = eventDate instanceof Date ? eventDate.toISOString().split('T')[0] : eventDate;
-    const eventStart = new Date(`${dateStr}T${eventTime}:00`);
-    console.log('Event start:', eventStart);
-    
-    if (isNaN(eventStart.getTime())) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid date/time format' 
-      });
+    const sessionType = await sessionTypes.getSessionType(eventType);
+    const { slots, openHours } = await calculateAvailableSlots(eventDate, sessionType.duration_minutes, { sessionType });
+    if (!schedule.candidateStartTimes(openHours, sessionType.duration_minutes).length) {
+      return res.status(409).json({ success: false, error: 'date_closed', message: 'We\'re not taking sessions on this date.' });
     }
-    
-    const eventEnd = new Date(eventStart.getTime() + duration * 60000);
-
-    const eventTypes = {
-      consultation: {
-        title: '4everevents - Initial Consultation',
-        description: 'Wedding photography consultation and planning session'
-      },
-      engagement: {
-        title: '4everevents - Engagement Session',
-        description: 'Engagement photography session'
-      },
-      wedding: {
-        title: '4everevents - Wedding Photography',
-        description: 'Wedding day photography coverage'
-      },
-      followup: {
-        title: '4everevents - Follow-up Call',
-        description: 'Post-session follow-up and planning'
-      }
-    };
-
-    const eventConfig = eventTypes[eventType];
-    let calendarEventId = null;
-    try {
-      const calendarEvent = await calendar.events.insert({
-        calendarId: 'primary',
-        resource: {
-          summary: `${eventConfig.title} - ${clientName}`,
-          description: `${eventConfig.description}\n\nClient: ${clientName}\nEmail: ${clientEmail}\nPhone: ${clientPhone}\nLocation: ${location}\n\nMessage: ${message}\n\nBooking ID: ${bookingId}`,
-          start: {
-            dateTime: eventStart.toISOString(),
-            timeZone: 'America/Los_Angeles'
-          },
-          end: {
-            dateTime: eventEnd.toISOString(),
-            timeZone: 'America/Los_Angeles'
-          },
-          attendees: [
-            { email: clientEmail, displayName: clientName },
-            { email: process.env.BUSINESS_EMAIL }
-          ],
-          location: location,
-          reminders: {
-            useDefault: false,
-            overrides: [
-              { method: 'email', minutes: 24 * 60 },
-              { method: 'popup', minutes: 60 }
-            ]
-          }
-        }
+    if (slots.length) {
+      return res.status(409).json({
+        success: false,
+        error: 'slots_available',
+        message: 'This date still has open times - please book one of those.'
       });
-      calendarEventId = calendarEvent.data.id;
-      console.log('✅ Calendar event created:', calendarEventId);
-    } catch (calendarError) {
-      console.error('⚠️ Calendar integration failed:', calendarError.message);
-      console.log('📝 Booking will proceed without calendar integration');
-    }
-
-    // Save to database
-    await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO bookings (booking_id, client_name, client_email, client_phone, 
-         event_date, event_time, event_type, location, message, duration, calendar_event_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [bookingId, clientName, clientEmail, clientPhone, eventDate, eventTime, 
-         eventType, location, message, duration, calendarEventId],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
-    });
-
-    // Audit: successful booking created
-    try {
-      const audit = db.prepare('INSERT INTO audit_logs (request_id, event, details) VALUES (?, ?, ?)');
-      audit.run(res.locals.requestId || null, 'booking_created', JSON.stringify({ bookingId, clientEmail }));
-      audit.finalize();
-    } catch (e) {
-      console.error('Failed to write audit log (booking_created):', e.message || e);
     }
-    structuredLog('info', 'booking_created', { requestId: res.locals.requestId, bookingId });
 
-    // Send confirmation email (attempt; ignore failures)
-    try {
-      await sendConfirmationEmail({
-        clientName,
-        clientEmail,
+    const { entry, created } = await withTransaction(async () => {
+      const joined = await waitlist.join({
         eventDate,
-        eventTime,
         eventType,
-        location,
-        bookingId
-      });
-      console.log('✅ Confirmation email sent');
-    } catch (emailError) {
-      console.error('⚠️ Email sending failed:', emailError.message);
-      console.log('📝 Booking completed without email notification');
-    }
-
-    // Send notification to business (attempt; ignore failures)
-    try {
-      await sendBusinessNotification({
         clientName,
         clientEmail,
         clientPhone,
-        eventDate,
-        eventTime,
-        eventType,
-        location,
-        message,
-        bookingId
+        preferredTime: preferredTime || null,
+        message: message || null
       });
-      console.log('✅ Business notification sent');
-    } catch (emailError) {
-      console.error('⚠️ Business notification failed:', emailError.message);
-      console.log('📝 Booking completed without business notification');
+      if (joined.created) {
+        await queueTemplateEmail('waitlist_joined', clientEmail, Object.assign(waitlistEmailData(joined.entry), {
+          position: await waitlist.position(joined.entry),
+          offerHours: waitlist.OFFER_HOURS
+        }));
+      }
+      return joined;
+    });
+    if (created) {
+      await writeAuditLog(res.locals.requestId, 'waitlist_joined', { entryId: entry.id, clientEmail, eventDate, eventType });
     }
 
-    res.json({
+    res.status(created ? 201 : 200).json({
       success: true,
-      booking_id: bookingId,
-      calendar_event_id: calendarEventId,
-      message: 'Booking confirmed successfully!'
+      entry_id: entry.id,
+      status: entry.status,
+      position: await waitlist.position(entry),
+      offer_hours: waitlist.OFFER_HOURS
     });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to join waitlist' });
+  }
+});
+
+/**
+ * Resolve a claim token to its waitlist entry. Responds with 401/409 and
+ * returns null unless the token belongs to the entry's current, open offer.
+ */
+async function loadWaitlistOffer(req, res) {
+  const claim = verifyClaimToken(req.params.token);
+  const entry = claim && await waitlist.findById(claim.entryId);
+  if (!entry) {
+    res.status(401).json({ success: false, error: 'This link is invalid or has expired' });
+    return null;
+  }
+  const current = Number(entry.offer_count) === Number(claim.offer);
+  if (current && entry.status === 'booked') {
+    res.status(409).json({ success: false, error: 'You\'ve already booked this session - check your email for the details' });
+    return null;
+  }
+  if (!current || entry.status !== 'offered' || new Date(entry.offer_expires_at) <= new Date()) {
+    res.status(409).json({ success: false, error: 'This offer is no longer open' });
+    return null;
+  }
+  return entry;
+}
+
+function clientWaitlistView(entry) {
+  return {
+    client_name: entry.client_name,
+    event_date: normalizeEventDate(entry.event_date),
+    event_type: entry.event_type,
+    preferred_time: entry.preferred_time,
+    offer_expires_at: entry.offer_expires_at,
+    time_zone: timezone.getBusinessTimeZone()
+  };
+}
+
+/**
+ * GET /waitlist/claim/:token
+ * Page linked from the waitlist offer email
+ */
+app.get('/waitlist/claim/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'claim.html'));
+});
+
+/**
+ * GET /api/waitlist/claim/:token
+ * The offer and the times still open on its date. When the opening has
+ * been taken meanwhile, the client goes back in line.
+ */
+app.get('/api/waitlist/claim/:token', async (req, res) => {
+  try {
+    const entry = await loadWaitlistOffer(req, res);
+    if (!entry) return;
+
+    const sessionType = await sessionTypes.getSessionType(entry.event_type);
+    const { slots } = await calculateAvailableSlots(normalizeEventDate(entry.event_date), sessionType.duration_minutes, { sessionType });
+    if (!slots.length) {
+      await waitlist.requeue(entry.id);
+      return res.status(409).json({
+        success: false,
+        error: 'Sorry - that opening has just been taken. You\'re still on the waitlist and we\'ll email you if another time opens up.'
+      });
+    }
 
+    res.json({
+      success: true,
+      entry: clientWaitlistView(entry),
+      session_label: sessionType.label,
+      duration_minutes: sessionType.duration_minutes,
+      available_slots: slots
+    });
   } catch (error) {
-    console.error('Error creating booking:', error);
-    res.status(500).json({ success: false, error: 'Failed to create booking' });
+    console.error('Error loading waitlist offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to load offer' });
   }
 });
 
 /**
- * GET /api/bookings
- * Get all bookings (admin endpoint)
+ * POST /api/waitlist/claim/:token
+ * Book the offered date: { eventTime, location, message?, guests?, smsOptIn? }
  */
-app.get('/api/bookings', async (req, res) => {
+app.post('/api/waitlist/claim/:token', validateWaitlistClaim, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
   try {
-    const bookings = await new Promise((resolve, reject) => {
-      db.all(
-        'SELECT * FROM bookings ORDER BY event_date DESC, event_time DESC',
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
+    const entry = await loadWaitlistOffer(req, res);
+    if (!entry) return;
+
+    let offerClosed = false;
+    const details = Object.assign({}, req.body, {
+      clientName: entry.client_name,
+      clientEmail: entry.client_email,
+      clientPhone: entry.client_phone,
+      eventDate: normalizeEventDate(entry.event_date),
+      eventType: entry.event_type,
+      referralSource: null
+    });
+    const { status, body: result } = await placeBooking(details, {
+      requestId: res.locals.requestId,
+      // Claimed in the booking's own transaction, so one offer makes one booking
+      onCreate: async (created) => {
+        if (await waitlist.markBooked(entry.id, entry.offer_count, created.booking_id)) return;
+        offerClosed = true;
+        throw new Error('Waitlist offer closed while booking');
+      }
+    }).catch((error) => {
+      if (offerClosed) return { status: 409, body: { success: false, error: 'This offer is no longer open' } };
+      throw error;
     });
 
-    res.json({ success: true, bookings });
+    if (result.success) {
+      await writeAuditLog(res.locals.requestId, 'waitlist_claimed', { entryId: entry.id, bookingId: result.booking_id });
+    }
+    res.status(status).json(result);
   } catch (error) {
-    console.error('Error getting bookings:', error);
-    res.status(500).json({ success: false, error: 'Failed to get bookings' });
+    console.error('Error claiming waitlist offer:', error);
+    res.status(500).json({ success: false, error: 'Failed to book session' });
   }
 });
 
 /**
- * GET /api/audit-logs
- * Return recent audit logs (last 200 entries)
+ * GET /api/admin/waitlist
+ * Waitlist entries in line order, optionally ?status=, ?event_type= and ?from=/?to= dates
  */
-app.get('/api/audit-logs', async (req, res) => {
+app.get('/api/admin/waitlist', adminAuth.requireAdmin('admin', 'staff'), [
+  query('status').optional().isIn(waitlist.STATUSES),
+  query('event_type').optional().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], async (req, res) => {
+  if (rejectInvalid(req, res)) return;
   try {
-    const limit = Math.min(200, parseInt(req.query.limit || '100', 10) || 100);
-    const logs = await new Promise((resolve, reject) => {
-      db.all(
-        'SELECT id, request_id, event, details, created_at FROM audit_logs ORDER BY id DESC LIMIT ?',
-        [limit],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
+    const entries = await waitlist.list({
+      status: req.query.status,
+      eventType: req.query.event_type,
+      from: req.query.from,
+      to: req.query.to
     });
-    res.json({ success: true, logs });
+    res.json({ success: true, offer_hours: waitlist.OFFER_HOURS, entries });
   } catch (error) {
-    console.error('Error getting audit logs:', error);
-    res.status(500).json({ success: false, error: 'Failed to get audit logs' });
+    console.error('Error listing waitlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to list waitlist' });
+  }
+});
+
+/**
+ * Run an admin change to one waitlist entry: `change(entry)` resolves to
+ * whether it applied. Responds 404 for an unknown entry and 409 when the
+ * entry's status doesn't allow the change.
+ */
+async function changeWaitlistEntry(req, res, action, event, change) {
+  const entry = await waitlist.findById(req.params.id);
+  if (!entry) return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+  if (!(await change(entry))) {
+    return res.status(409).json({ success: false, error: `Can't ${action} an entry that is ${entry.status}` });
+  }
+  await writeAuditLog(res.locals.requestId, event, { by: res.locals.adminUser.id, entryId: entry.id });
+  res.json({ success: true, entry: await waitlist.findById(entry.id) });
+}
+
+/**
+ * POST /api/admin/waitlist/:id/offer
+ * Send an entry an offer now, out of turn (replaces any open offer it has)
+ */
+app.post('/api/admin/waitlist/:id/offer', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    await changeWaitlistEntry(req, res, 'offer', 'waitlist_offered', entry => waitlist.offer(entry.id, sendWaitlistOffer));
+  } catch (error) {
+    console.error('Error offering waitlist entry:', error);
+    res.status(500).json({ success: false, error: 'Failed to send offer' });
+  }
+});
+
+/**
+ * POST /api/admin/waitlist/:id/requeue
+ * Put an offered, expired or removed entry back in line at its original place
+ */
+app.post('/api/admin/waitlist/:id/requeue', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    await changeWaitlistEntry(req, res, 'requeue', 'waitlist_requeued', entry => waitlist.requeue(entry.id));
+  } catch (error) {
+    console.error('Error requeueing waitlist entry:', error);
+    res.status(500).json({ success: false, error: 'Failed to requeue entry' });
+  }
+});
+
+/**
+ * DELETE /api/admin/waitlist/:id
+ * Take an entry off the waitlist; an open offer's claim link stops working
+ */
+app.delete('/api/admin/waitlist/:id', adminAuth.requireAdmin('admin', 'staff'), async (req, res) => {
+  try {
+    await changeWaitlistEntry(req, res, 'remove', 'waitlist_removed', entry => waitlist.remove(entry.id));
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove entry' });
   }
 });
 
@@ -610,92 +2729,119 @@ app.get('/auth/google/callback', async (req, res) => {
 });
 
 /**
- * Email functions
+ * Email functions - each renders a template from templates/email (see
+ * lib/email-templates.js) and queues it on the outbox
+ */
+
+// Display values shared by the booking email templates; the session is named
+// by its catalog label, or its key if the type is unknown
+async function emailTemplateData(bookingData) {
+  const { eventDate, eventTime, eventType, previousDate, previousTime } = bookingData;
+  const sessionType = await sessionTypes.getSessionType(eventType);
+  return Object.assign({}, bookingData, {
+    dateLabel: formatDate(eventDate),
+    timeLabel: eventTime ? formatTime(eventDate, eventTime) : null,
+    sessionLabel: sessionType ? sessionType.label : eventType,
+    previousDateLabel: previousDate ? formatDate(previousDate) : null,
+    previousTimeLabel: previousDate ? formatTime(previousDate, previousTime) : null,
+    cutoffHours: MANAGE_CUTOFF_HOURS
+  });
+}
+
+/**
+ * Queue a templated email. With calendarMethod the email carries the
+ * booking's calendar invitation (see bookingInvite).
+ */
+async function queueTemplateEmail(template, to, bookingData, { kind = template, calendarMethod = null } = {}) {
+  const { subject, html, text, fromName } = emailTemplates.renderEmail(template, await emailTemplateData(bookingData));
+  const calendar = calendarMethod ? await bookingInvite(bookingData.bookingId, calendarMethod) : null;
+  await queueEmail(to, subject, html, { text, calendar, kind, bookingId: bookingData.bookingId, fromName: fromName || undefined });
+}
+
+/**
+ * iTIP invitation for a booking's client, built from the booking as saved:
+ * queue it after the change, inside its transaction, so it carries the new
+ * SEQUENCE. REQUEST goes out for confirmed bookings only, and CANCEL only
+ * when the client was sent a REQUEST before - otherwise resolves to null.
+ */
+async function bookingInvite(bookingId, method) {
+  const booking = await bookings.findById(bookingId);
+  if (!booking) return null;
+  if (method === 'REQUEST' && booking.status !== 'confirmed') return null;
+  if (method === 'CANCEL' && !(await outbox.hasCalendarPart(bookingId))) return null;
+
+  const sessionType = await sessionTypes.getSessionType(booking.event_type);
+  const label = sessionType ? sessionType.label : booking.event_type;
+  const { start, end } = getEventWindow(booking.event_date, booking.event_time, booking.duration);
+  return calendarFeed.renderInvite({
+    bookingId,
+    status: booking.status,
+    sequence: booking.ical_sequence,
+    created: booking.created_at,
+    updated: booking.updated_at,
+    summary: `4everevents - ${label}`,
+    description: `${(sessionType && sessionType.description) || label}\n\nChange or cancel: ${buildManageUrl(bookingId)}\n\nBooking ID: ${bookingId}`,
+    location: booking.location,
+    start,
+    end
+  }, {
+    method,
+    organizer: { email: mailer.fromAddress, name: '4everevents Photography' },
+    attendee: { email: booking.client_email, name: booking.client_name }
+  });
+}
+
+/**
+ * Text a client who opted in (see queueSms), from templates/sms/<template>.txt
  */
+async function queueTemplateSms(template, booking, bookingData, { kind = template } = {}) {
+  const body = emailTemplates.renderSms(template, await emailTemplateData(bookingData));
+  await queueSms(booking, body, { kind });
+}
+
 async function sendConfirmationEmail(bookingData) {
-  const { clientName, clientEmail, eventDate, eventTime, eventType, location, bookingId } = bookingData;
-  
-  const emailHtml = `
-    <div style="font-family: 'Inter', sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background: linear-gradient(135deg, #0b0f10, #0e1417); color: #eef7f7; border-radius: 16px;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #40e0d0; font-family: 'Playfair Display', serif; font-size: 32px; margin: 0;">4everevents ♾️</h1>
-        <p style="color: #00a9a5; margin: 5px 0;">Luxury Wedding Photography</p>
-      </div>
-      
-      <h2 style="color: #40e0d0; border-bottom: 2px solid #00a9a5; padding-bottom: 10px;">Booking Confirmed!</h2>
-      
-      <p>Dear ${clientName},</p>
-      
-      <p>Thank you for choosing 4everevents for your special moments! Your ${eventType} session has been confirmed.</p>
-      
-      <div style="background: rgba(64, 224, 208, 0.1); padding: 20px; border-radius: 12px; border-left: 4px solid #40e0d0; margin: 20px 0;">
-        <h3 style="margin-top: 0; color: #40e0d0;">Booking Details</h3>
-        <p><strong>Booking ID:</strong> ${bookingId}</p>
-        <p><strong>Date:</strong> ${formatDate(eventDate)}</p>
-        <p><strong>Time:</strong> ${eventTime}</p>
-        <p><strong>Session Type:</strong> ${eventType.charAt(0).toUpperCase() + eventType.slice(1)}</p>
-        <p><strong>Location:</strong> ${location}</p>
-      </div>
-      
-      <h3 style="color: #40e0d0;">What's Next?</h3>
-      <ul style="line-height: 1.6;">
-        <li>You'll receive a calendar invitation shortly</li>
-        <li>We'll send you a preparation guide 1 week before your session</li>
-        <li>Feel free to reply to this email with any questions</li>
-      </ul>
-      
-      <div style="background: rgba(0, 169, 165, 0.1); padding: 15px; border-radius: 8px; margin: 20px 0;">
-        <p style="margin: 0;"><strong>Need to reschedule?</strong> No problem! Just reply to this email or call us at +1 (234) 567-890</p>
-      </div>
-      
-      <p>We're excited to capture your beautiful moments!</p>
-      
-      <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid rgba(64, 224, 208, 0.2);">
-        <p style="color: #00a9a5; margin: 0;">Timeless stories, artfully told.</p>
-        <p style="font-size: 14px; color: rgba(238, 247, 247, 0.7);">4everevents Photography | hello@4everevents.example</p>
-      </div>
-    </div>
-  `;
-
-  await sendGmailMessage(
-    clientEmail,
-    `🎉 Booking Confirmed - ${eventType.charAt(0).toUpperCase() + eventType.slice(1)} Session | 4everevents`,
-    emailHtml
-  );
+  await queueTemplateEmail('confirmation', bookingData.clientEmail, bookingData, { calendarMethod: 'REQUEST' });
+}
+
+/**
+ * Sent instead of the confirmation when the session type needs approval
+ */
+async function sendRequestReceivedEmail(bookingData) {
+  await queueTemplateEmail('request_received', bookingData.clientEmail, bookingData);
 }
 
 async function sendBusinessNotification(bookingData) {
-  const { clientName, clientEmail, clientPhone, eventDate, eventTime, eventType, location, message, bookingId } = bookingData;
-  
-  const emailHtml = `
-    <div style="font-family: 'Inter', sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <h2 style="color: #00a9a5;">🎉 New Booking Received!</h2>
-      
-      <div style="background: #f8fafc; padding: 20px; border-radius: 12px; border-left: 4px solid #40e0d0;">
-        <h3>Client Information</h3>
-        <p><strong>Name:</strong> ${clientName}</p>
-        <p><strong>Email:</strong> ${clientEmail}</p>
-        <p><strong>Phone:</strong> ${clientPhone}</p>
-        
-        <h3>Session Details</h3>
-        <p><strong>Booking ID:</strong> ${bookingId}</p>
-        <p><strong>Type:</strong> ${eventType}</p>
-        <p><strong>Date:</strong> ${formatDate(eventDate)}</p>
-        <p><strong>Time:</strong> ${eventTime}</p>
-        <p><strong>Location:</strong> ${location}</p>
-        
-        <h3>Client Message</h3>
-        <p style="background: white; padding: 15px; border-radius: 8px; font-style: italic;">${message || 'No message provided'}</p>
-      </div>
-    </div>
-  `;
-
-  await sendGmailMessage(
-    process.env.BUSINESS_EMAIL,
-    `📅 New Booking: ${clientName} - ${eventType} on ${formatDate(eventDate)}`,
-    emailHtml,
-    '4everevents Booking System'
-  );
+  await queueTemplateEmail('business_new_booking', process.env.BUSINESS_EMAIL,
+    Object.assign({ needsApproval: bookingData.status === 'pending_approval' }, bookingData));
+}
+
+async function sendRescheduleEmail(bookingData) {
+  await queueTemplateEmail('rescheduled', bookingData.clientEmail, bookingData, { calendarMethod: 'REQUEST' });
+}
+
+async function sendCancellationEmail(bookingData) {
+  await queueTemplateEmail('cancelled', bookingData.clientEmail, bookingData, { calendarMethod: 'CANCEL' });
+}
+
+/**
+ * Scheduled prep guide / reminder / thank-you (see lib/reminders.js); the
+ * reminder is also texted to clients who opted in
+ */
+async function sendReminder(kind, booking) {
+  const data = Object.assign(bookingEmailData(booking), {
+    manageUrl: buildManageUrl(booking.booking_id),
+    reviewUrl: process.env.REVIEW_URL || null
+  });
+  await queueTemplateEmail(kind, booking.client_email, data);
+  if (kind === 'reminder') await queueTemplateSms('reminder', booking, data);
+}
+
+/**
+ * Notify the business that a client cancelled or rescheduled via their manage link
+ */
+async function sendBusinessChangeNotification(change, bookingData) {
+  await queueTemplateEmail('business_change', process.env.BUSINESS_EMAIL,
+    Object.assign({ rescheduled: change === 'rescheduled' }, bookingData), { kind: `business_${change}` });
 }
 
 // Health check
@@ -714,8 +2860,25 @@ app.use((req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 4everevents Booking API running on port ${PORT}`);
-});
+// Refuse to serve requests against a schema that hasn't been migrated. Tests
+// drive the exported app themselves, with no listener or background workers.
+if (process.env.NODE_ENV !== 'test') {
+  migrations.assertSchemaCurrent()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🚀 4everevents Booking API running on port ${PORT}`);
+      });
+      outbox.startWorker(deliverOutboxMessage);
+      reminders.startScheduler(sendReminder);
+      waitlist.startWorker(waitlistHandlers);
+      slotHolds.startSweeper();
+      if (payments.isEnabled()) payments.startHoldSweeper(settleCheckoutSession);
+      if (calendars.isConfigured()) calendarSync.startReconciler(calendarAdapter);
+    })
+    .catch((error) => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Google Sheets booking ledger for 4everevents Booking System
+ *
+ *   npm run sheets:backfill     Write every booking in the database to the sheet
+ *
+ * New and changed bookings are synced by the server as they happen; backfill
+ * fills the sheet the first time, or after SHEETS_COLUMNS changes. Rows
+ * already in the sheet are overwritten, so it's safe to run again.
+ */
+
+require('dotenv').config();
+
+const { dbAll, closeDb } = require('./lib/db');
+const migrations = require('./lib/migrations');
+const sheetsLedger = require('./lib/sheets-ledger');
+
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  if (!sheetsLedger.isEnabled()) throw new Error('GOOGLE_SHEETS_ID is not set in .env');
+  const ledger = sheetsLedger.createSheetsLedger();
+  const rows = await dbAll('SELECT * FROM bookings ORDER BY id');
+
+  console.log(`\n📊 Backfilling ${rows.length} booking(s) into "${ledger.tab}" (${ledger.columns.length} columns)\n`);
+  const totals = { updated: 0, appended: 0 };
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const result = await ledger.upsertMany(rows.slice(start, start + BATCH_SIZE));
+    totals.updated += result.updated;
+    totals.appended += result.appended;
+    console.log(`  ✅ ${Math.min(start + BATCH_SIZE, rows.length)}/${rows.length}`);
+  }
+  console.log(`\n✅ ${totals.appended} row(s) added, ${totals.updated} updated`);
+}
+
+const command = process.argv[2] || 'backfill';
+const actions = { backfill };
+
+if (!actions[command]) {
+  console.error(`❌ Unknown command "${command}" (expected: backfill)`);
+  process.exit(1);
+}
+
+migrations.assertSchemaCurrent()
+  .then(actions[command])
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    closeDb();
+  });
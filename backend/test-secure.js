@@ -67,11 +67,11 @@ async function runSecurityTests() {
       description: 'Security test event for 4everevents booking system',
       start: {
         dateTime: new Date(Date.now() + 60000).toISOString(), // 1 minute from now
-        timeZone: 'America/Los_Angeles'
+        timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles'
       },
       end: {
         dateTime: new Date(Date.now() + 120000).toISOString(), // 2 minutes from now
-        timeZone: 'America/Los_Angeles'
+        timeZone: process.env.BUSINESS_TIMEZONE || 'America/Los_Angeles'
       }
     };
 
@@ -26,32 +26,13 @@ class BookingSystem {
     this.apiBaseCandidates = [...new Set(candidates.map(c => c.replace(/\/$/, '')))]
       .filter(Boolean);
 
+    // Admin session (set by adminLogin); kept in memory only
+    this.adminSession = null;
+
     this.bookingConfig = {
       defaultDuration: 120, // 2 hours default consultation
-      workingHours: { start: 9, end: 18 }, // 9 AM - 6 PM
-      timeZone: 'America/Los_Angeles', // Adjust to your timezone
-      bookingTypes: {
-        consultation: {
-          duration: 60,
-          title: '4everevents - Initial Consultation',
-          description: 'Wedding photography consultation and planning session'
-        },
-        engagement: {
-          duration: 180,
-          title: '4everevents - Engagement Session',
-          description: 'Engagement photography session'
-        },
-        wedding: {
-          duration: 600, // 10 hours
-          title: '4everevents - Wedding Photography',
-          description: 'Wedding day photography coverage'
-        },
-        followup: {
-          duration: 30,
-          title: '4everevents - Follow-up Call',
-          description: 'Post-session follow-up and planning'
-        }
-      }
+      timeZone: 'America/Los_Angeles', // Replaced by the server's BUSINESS_TIMEZONE once session types load
+      bookingTypes: {} // Filled from GET /api/session-types by loadSessionTypes()
     };
   }
 
@@ -79,18 +60,48 @@ class BookingSystem {
       const ok = await probe(candidate);
       if (ok) {
         this.apiBaseUrl = candidate;
+        await this.loadSessionTypes();
         return true;
       }
     }
     return false;
   }
 
+  /**
+   * Load the session-type catalog (durations, prices, rules) from the server
+   */
+  async loadSessionTypes() {
+    try {
+      const result = await this.callAPI('/session-types');
+      if (result && result.success) {
+        const types = {};
+        result.session_types.forEach(type => {
+          types[type.key] = Object.assign({ duration: type.duration_minutes }, type);
+        });
+        this.bookingConfig.bookingTypes = types;
+        if (result.time_zone) this.bookingConfig.timeZone = result.time_zone;
+      }
+      return result;
+    } catch (error) {
+      console.error('Error loading session types:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get available time slots for booking
    */
-  async getAvailableSlots(date, duration = 120) {
+  async getAvailableSlots(date, duration = 120, eventType = null, { holdId = null } = {}) {
     try {
-      return await this.callAPI(`/availability/${date}?duration=${duration}`);
+      let query = eventType ? `eventType=${encodeURIComponent(eventType)}` : `duration=${duration}`;
+      // Our own hold shouldn't hide the slot we're holding
+      if (holdId) query += `&holdId=${encodeURIComponent(holdId)}`;
+      const result = await this.callAPI(`/availability/${date}?${query}`);
+      // Server is the source of truth for the business timezone
+      if (result && result.time_zone) {
+        this.bookingConfig.timeZone = result.time_zone;
+      }
+      return result;
     } catch (error) {
       console.error('Error getting available slots:', error);
       return { success: false, error: error.message };
@@ -98,9 +109,29 @@ class BookingSystem {
   }
 
   /**
-   * Create a new booking with Google APIs
+   * Get per-day availability (open/limited/full/closed) for a date range
    */
-  async createBooking(bookingData) {
+  async getAvailabilityRange(from, to, { duration, eventType } = {}) {
+    try {
+      const params = new URLSearchParams({ from, to });
+      if (duration) params.set('duration', duration);
+      if (eventType) params.set('eventType', eventType);
+      const result = await this.callAPI(`/availability?${params.toString()}`);
+      if (result && result.time_zone) {
+        this.bookingConfig.timeZone = result.time_zone;
+      }
+      return result;
+    } catch (error) {
+      console.error('Error getting availability range:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a new booking with Google APIs. Pass the same idempotencyKey when
+   * resubmitting the same form, so a retry can't book twice.
+   */
+  async createBooking(bookingData, { idempotencyKey = null } = {}) {
     try {
       // Validate required fields
       const { clientName, clientEmail, eventDate, eventTime, eventType } = bookingData;
@@ -108,12 +139,13 @@ class BookingSystem {
         throw new Error('Missing required booking information');
       }
 
-      // Validate booking type
-      if (!this.bookingConfig.bookingTypes[eventType]) {
+      // Validate booking type (the server re-checks against its catalog)
+      if (Object.keys(this.bookingConfig.bookingTypes).length && !this.bookingConfig.bookingTypes[eventType]) {
         throw new Error('Invalid booking type');
       }
 
-      return await this.callAPI('/bookings', 'POST', bookingData);
+      const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+      return await this.callAPI('/bookings', 'POST', bookingData, { headers });
     } catch (error) {
       console.error('Error creating booking:', error);
       return { success: false, error: error.message };
@@ -121,7 +153,96 @@ class BookingSystem {
   }
 
   /**
-   * Get all bookings (admin function)
+   * Hold a slot for a few minutes while the form is finished; pass the
+   * current holdId to swap it for the new slot
+   */
+  async holdSlot({ eventDate, eventTime, eventType, holdId = null }) {
+    try {
+      return await this.callAPI('/holds', 'POST', { eventDate, eventTime, eventType, holdId });
+    } catch (error) {
+      console.error('Error holding slot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Release a hold. With keepalive the request outlives the page, for
+   * releasing on navigation away.
+   */
+  releaseHold(holdId, { keepalive = false } = {}) {
+    return fetch(`${this.apiBaseUrl}/holds/${encodeURIComponent(holdId)}`, { method: 'DELETE', keepalive })
+      .catch(error => console.warn('Could not release hold:', error));
+  }
+
+  /**
+   * Status of the booking a Stripe Checkout session paid the deposit for
+   */
+  async getCheckoutStatus(sessionId) {
+    try {
+      return await this.callAPI(`/payments/checkout/${encodeURIComponent(sessionId)}`);
+    } catch (error) {
+      console.error('Error getting checkout status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Join the waitlist for a fully booked date and session type
+   */
+  async joinWaitlist(entry) {
+    try {
+      return await this.callAPI('/waitlist', 'POST', entry);
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Sign in as an admin; subsequent admin calls send the access token
+   */
+  async adminLogin(email, password) {
+    const result = await this.callAPI('/admin/login', 'POST', { email, password });
+    if (result && result.success) {
+      this.adminSession = {
+        accessToken: result.access_token,
+        refreshToken: result.refresh_token,
+        user: result.user
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Sign out the current admin session
+   */
+  async adminLogout() {
+    const session = this.adminSession;
+    this.adminSession = null;
+    if (!session) return { success: true };
+    return this.callAPI('/admin/logout', 'POST', { refresh_token: session.refreshToken });
+  }
+
+  /**
+   * Rotate the admin refresh token; clears the session when it is no longer valid
+   */
+  async refreshAdminSession() {
+    if (!this.adminSession) return false;
+    const result = await this.callAPI('/admin/refresh', 'POST', { refresh_token: this.adminSession.refreshToken }, { skipAuth: true });
+    if (!result || !result.success) {
+      this.adminSession = null;
+      return false;
+    }
+    this.adminSession = {
+      accessToken: result.access_token,
+      refreshToken: result.refresh_token,
+      user: result.user
+    };
+    return true;
+  }
+
+  /**
+   * Get all bookings (admin function, requires adminLogin)
    */
   async getBookings() {
     try {
@@ -132,10 +253,18 @@ class BookingSystem {
     }
   }
 
+  /**
+   * Random key identifying one form submission (see createBooking)
+   */
+  newIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+  }
+
   /**
    * Make API calls to backend server
    */
-  async callAPI(endpoint, method = 'GET', data = null) {
+  async callAPI(endpoint, method = 'GET', data = null, { skipAuth = false, retried = false, headers = {} } = {}) {
     const url = `${this.apiBaseUrl}${endpoint}`;
     const requestId = Math.random().toString(36).slice(2, 10).toUpperCase();
     const options = {
@@ -143,9 +272,14 @@ class BookingSystem {
       headers: {
         'Content-Type': 'application/json',
         'x-request-id': requestId,
+        ...headers,
       },
     };
 
+    if (this.adminSession && !skipAuth) {
+      options.headers.Authorization = `Bearer ${this.adminSession.accessToken}`;
+    }
+
     if (data) {
       options.body = JSON.stringify(data);
     }
@@ -161,6 +295,13 @@ class BookingSystem {
         result = null;
       }
 
+      // Access token expired: rotate once and retry
+      if (response.status === 401 && this.adminSession && !skipAuth && !retried && !endpoint.startsWith('/admin/')) {
+        if (await this.refreshAdminSession()) {
+          return this.callAPI(endpoint, method, data, { retried: true, headers });
+        }
+      }
+
       if (!response.ok) {
         const payload = Object.assign({ success: false, status: response.status }, result || {});
         console.warn(`API ${method} ${endpoint} [${requestId}] ${response.status} in ${elapsed}ms`, payload);
@@ -175,42 +316,6 @@ class BookingSystem {
     }
   }
 
-  /**
-   * Calculate available time slots (client-side helper)
-   */
-  calculateAvailableSlots(existingEvents, date, duration) {
-    const slots = [];
-    const workDay = new Date(date);
-    const { start, end } = this.bookingConfig.workingHours;
-    
-    // Create time slots every 30 minutes during working hours
-    for (let hour = start; hour < end; hour++) {
-      for (let minute = 0; minute < 60; minute += 30) {
-        const slotStart = new Date(workDay);
-        slotStart.setHours(hour, minute, 0, 0);
-        
-        const slotEnd = new Date(slotStart.getTime() + duration * 60000);
-        
-        // Check if slot conflicts with existing events
-        const hasConflict = existingEvents.some(event => {
-          const eventStart = new Date(event.start.dateTime || event.start.date);
-          const eventEnd = new Date(event.end.dateTime || event.end.date);
-          return (slotStart < eventEnd && slotEnd > eventStart);
-        });
-        
-        if (!hasConflict && slotEnd.getHours() <= end) {
-          slots.push({
-            time: slotStart.toTimeString().slice(0, 5),
-            available: true,
-            datetime: slotStart.toISOString()
-          });
-        }
-      }
-    }
-    
-    return slots;
-  }
-
   /**
    * Generate unique booking ID
    */
@@ -257,20 +362,23 @@ class BookingSystem {
   }
 
   /**
-   * Check if date is in the future
+   * 'YYYY-MM-DD' at the studio, offsetDays from today - in the business
+   * timezone, which can be on a different date than the visitor
    */
-  isValidDate(date) {
-    const selectedDate = new Date(date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return selectedDate >= today;
+  businessDate(offsetDays = 0) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: this.bookingConfig.timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date())
+      .forEach(part => { parts[part.type] = part.value; });
+    const day = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day) + offsetDays));
+    return day.toISOString().slice(0, 10);
   }
 
   /**
-   * Get business working hours
+   * Check if a 'YYYY-MM-DD' date is today or later at the studio
    */
-  getWorkingHours() {
-    return this.bookingConfig.workingHours;
+  isValidDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(date)) && String(date) >= this.businessDate();
   }
 }
 
@@ -136,6 +136,10 @@
 // Expose for direct testing
 if (typeof window !== 'undefined') window.bookingForm = bookingForm; */
 
+// Checking back on a deposit after Checkout: every 2 seconds for up to a minute
+const PAYMENT_STATUS_POLL_MS = 2000;
+const PAYMENT_STATUS_ATTEMPTS = 30;
+
 /**
  * 4everevents Booking Form - Alpine.js Component
  * Interactive booking form with real-time availability and validation
@@ -154,7 +158,9 @@ function bookingForm() {
       location: '',
       message: '',
       duration: 60,
-      guests: 1
+      guests: 1,
+      referralSource: '',
+      smsOptIn: false
     },
 
     // UI state
@@ -169,10 +175,24 @@ function bookingForm() {
     // Availability data
     availableSlots: [],
     selectedDate: '',
+    dateSummary: {},
+    upcomingDates: [],
+    summaryDays: 28,
     
     // Guarded defaults so bindings never reference undefined values
     minDate: new Date(Date.now() + 24*60*60*1000).toISOString().split('T')[0],
     bookingId: null,
+    bookingStatus: '',
+    paymentNotice: '',
+    // Back from Checkout, waiting for Stripe's webhook to confirm the deposit
+    paymentProcessing: false,
+    // One per form session: a resubmit after a dropped connection replays the first booking
+    idempotencyKey: null,
+    // The picked time, held for a few minutes: { id, date, time, eventType, expiresAt }
+    hold: null,
+    // Waitlist for a fully booked date (offered when it has no times left)
+    isJoiningWaitlist: false,
+    waitlistPosition: null,
     
     // Validation
     errors: {},
@@ -180,43 +200,21 @@ function bookingForm() {
     // Booking system
     bookingSystem: null,
 
-    // Event types with pricing and duration
-    eventTypes: {
-      consultation: {
-        label: 'Initial Consultation',
-        duration: 60,
-        price: 'Free',
-        description: 'Get to know each other and discuss your vision'
-      },
-      engagement: {
-        label: 'Engagement Session',
-        duration: 180,
-        price: '$495',
-        description: 'Romantic engagement photography session'
-      },
-      wedding: {
-        label: 'Wedding Photography',
-        duration: 600,
-        price: 'Custom',
-        description: 'Full wedding day coverage'
-      },
-      followup: {
-        label: 'Follow-up Meeting',
-        duration: 30,
-        price: 'Free',
-        description: 'Post-session planning and review'
-      }
-    },
+    // Event types with pricing and duration (loaded from the server's session-type catalog)
+    eventTypes: {},
 
     async init() {
       console.log('Initializing booking form...');
       this.bookingSystem = new BookingSystem();
       await this.bookingSystem.initialize();
+      this.applySessionTypes(this.bookingSystem.bookingConfig.bookingTypes);
+      this.handlePaymentReturn();
       
-      // Set minimum date to tomorrow
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      this.minDate = tomorrow.toISOString().split('T')[0];
+      // Set minimum date to tomorrow at the studio
+      this.minDate = this.bookingSystem.businessDate(1);
+      this.loadDateSummary();
+      // Leaving the page gives the held time back straight away
+      window.addEventListener('pagehide', () => this.releaseHold({ keepalive: true }));
 
       // Expose a global hard-advance for troubleshooting/UI fallback
       try {
@@ -333,10 +331,116 @@ function bookingForm() {
       return re.test(email);
     },
 
+    // Back from Stripe Checkout with ?booking=<id>&payment=success|cancelled&session_id=<id>
+    async handlePaymentReturn() {
+      const params = new URLSearchParams(window.location.search);
+      const outcome = params.get('payment');
+      const bookingId = params.get('booking');
+      if (!outcome || !bookingId) return;
+      if (outcome !== 'success' || !params.get('session_id')) {
+        this.paymentNotice = 'The deposit wasn\'t completed, so your booking isn\'t confirmed. Please book again to reserve a time.';
+        return;
+      }
+
+      // Anyone can type ?payment=success - only the server knows whether Stripe confirmed the deposit
+      this.paymentProcessing = true;
+      let result = null;
+      for (let attempt = 0; attempt < PAYMENT_STATUS_ATTEMPTS; attempt++) {
+        if (attempt) await new Promise(resolve => setTimeout(resolve, PAYMENT_STATUS_POLL_MS));
+        result = await this.bookingSystem.getCheckoutStatus(params.get('session_id'));
+        if (!result.success || result.status !== 'pending_payment') break;
+      }
+      const ours = result.success && result.booking_id === bookingId;
+      // Still waiting on the webhook: leave the processing notice up
+      if (ours && result.status === 'pending_payment') return;
+
+      this.paymentProcessing = false;
+      if (ours && ['confirmed', 'pending_approval'].includes(result.status)) {
+        this.bookingId = bookingId;
+        this.bookingStatus = result.status === 'pending_approval' ? 'pending_approval' : 'deposit_paid';
+        this.displayBookingCode = String(bookingId).split('-').slice(-1)[0] || bookingId;
+        this.showSuccess = true;
+        this.currentStep = this.totalSteps + 1;
+      } else if (ours) {
+        this.paymentNotice = 'The deposit wasn\'t completed, so your booking isn\'t confirmed. Please book again to reserve a time.';
+      } else {
+        this.paymentNotice = 'We couldn\'t check on your deposit just now. If you paid, your confirmation email is on its way.';
+      }
+    },
+
+    applySessionTypes(types) {
+      const eventTypes = {};
+      Object.values(types || {}).forEach(type => {
+        eventTypes[type.key] = {
+          label: type.label,
+          duration: type.duration_minutes,
+          price: type.price_label,
+          deposit: type.deposit_cents ? `$${(type.deposit_cents / 100).toFixed(type.deposit_cents % 100 ? 2 : 0)}` : null,
+          description: type.description,
+          requiresApproval: type.requires_approval
+        };
+      });
+      this.eventTypes = eventTypes;
+      // Keep the default selection only if the catalog still offers it
+      if (this.eventTypes[this.formData.eventType]) {
+        this.formData.duration = this.eventTypes[this.formData.eventType].duration;
+      } else {
+        this.formData.eventType = Object.keys(this.eventTypes)[0] || '';
+        if (this.formData.eventType) this.formData.duration = this.eventTypes[this.formData.eventType].duration;
+      }
+    },
+
     // Event type selection
     selectEventType(type) {
       this.formData.eventType = type;
       this.formData.duration = this.eventTypes[type].duration;
+      this.loadDateSummary();
+    },
+
+    // Open/limited/full status for the coming weeks so users can pick a date that has times
+    async loadDateSummary() {
+      const start = new Date(`${this.minDate}T12:00:00`);
+      const end = new Date(start.getTime() + (this.summaryDays - 1) * 24 * 60 * 60 * 1000);
+      try {
+        const response = await this.bookingSystem.getAvailabilityRange(
+          this.minDate,
+          end.toISOString().split('T')[0],
+          { eventType: this.formData.eventType, duration: this.formData.duration }
+        );
+        if (!response.success) return;
+        const summary = {};
+        response.days.forEach(day => { summary[day.date] = day.status; });
+        this.dateSummary = summary;
+        this.upcomingDates = response.days
+          .filter(day => day.status === 'open' || day.status === 'limited')
+          .slice(0, 6);
+      } catch (error) {
+        console.warn('Could not load date summary:', error);
+      }
+    },
+
+    dateStatusLabel(date) {
+      const labels = {
+        open: 'Good availability',
+        limited: 'Only a few times left',
+        full: 'Fully booked - please choose another date',
+        closed: 'Not available on this date'
+      };
+      return labels[this.dateSummary[date]] || '';
+    },
+
+    pickDate(date) {
+      this.formData.eventDate = date;
+      this.errors.eventDate = null;
+      this.loadAvailability();
+    },
+
+    formatShortDate(dateString) {
+      return new Date(`${dateString}T12:00:00`).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+      });
     },
 
     // Availability loading
@@ -353,11 +457,18 @@ function bookingForm() {
       
       this.isLoading = true;
       this.showAvailability = false;
+      this.waitlistPosition = null;
+      this.errors.waitlist = null;
+      if (this.hold && (this.hold.date !== this.formData.eventDate || this.hold.eventType !== this.formData.eventType)) {
+        this.releaseHold();
+      }
       
       try {
         const response = await this.bookingSystem.getAvailableSlots(
           this.formData.eventDate,
-          this.formData.duration
+          this.formData.duration,
+          this.formData.eventType,
+          { holdId: this.hold ? this.hold.id : null }
         );
         
         if (response.success) {
@@ -366,37 +477,92 @@ function bookingForm() {
           this.showAvailability = true;
           this.errors.availability = null;
         } else {
-          console.warn('Availability API returned unsuccessful. Falling back to local slot calculation.');
-          // Fallback: compute optimistic local slots within business hours
-          this.availableSlots = this.bookingSystem.calculateAvailableSlots(
-            [],
-            this.formData.eventDate,
-            this.formData.duration
-          );
-          this.selectedDate = this.formData.eventDate;
-          this.showAvailability = true;
-          this.errors.availability = null;
+          // Only the server knows the studio's hours, bookings and calendar - don't guess
+          this.availableSlots = [];
+          this.errors.availability = response.message || 'Could not load available times. Please try again.';
         }
       } catch (error) {
         console.error('Error loading availability:', error);
-        // Network or server failure — fallback to local slots so users can proceed
-        this.availableSlots = this.bookingSystem.calculateAvailableSlots(
-          [],
-          this.formData.eventDate,
-          this.formData.duration
-        );
-        this.selectedDate = this.formData.eventDate;
-        this.showAvailability = true;
-        this.errors.availability = null;
+        this.availableSlots = [];
+        this.errors.availability = 'Unable to connect to booking system. Please try again.';
       } finally {
         this.isLoading = false;
       }
     },
 
-    // Time slot selection
-    selectTimeSlot(slot) {
+    // No times left on the date: queue for it, to be emailed a claim link if one opens up
+    async joinWaitlist() {
+      this.isJoiningWaitlist = true;
+      this.errors.waitlist = null;
+      try {
+        const response = await this.bookingSystem.joinWaitlist({
+          clientName: this.formData.clientName,
+          clientEmail: this.formData.clientEmail,
+          clientPhone: this.formData.clientPhone,
+          eventDate: this.formData.eventDate,
+          eventType: this.formData.eventType,
+          message: this.formData.message
+        });
+        if (response.success) {
+          this.waitlistPosition = response.position;
+        } else if (response.error === 'slots_available') {
+          // Times opened up since the list was loaded
+          this.loadAvailability();
+        } else if (Array.isArray(response.errors) && response.errors.length) {
+          const first = response.errors[0];
+          this.errors.waitlist = `Please fix: ${first.param} — ${first.msg}`;
+        } else {
+          this.errors.waitlist = response.message || response.error || 'Could not join the waitlist. Please try again.';
+        }
+      } catch (error) {
+        console.error('Waitlist error:', error);
+        this.errors.waitlist = 'Unable to connect to booking system. Please try again.';
+      } finally {
+        this.isJoiningWaitlist = false;
+      }
+    },
+
+    // Time slot selection: hold the time so nobody else books it while the form is finished
+    async selectTimeSlot(slot) {
       this.formData.eventTime = slot.time;
       this.selectedSlot = slot;
+      this.errors.eventTime = null;
+
+      const response = await this.bookingSystem.holdSlot({
+        eventDate: this.formData.eventDate,
+        eventTime: slot.time,
+        eventType: this.formData.eventType,
+        holdId: this.hold ? this.hold.id : null
+      });
+      if (this.formData.eventTime !== slot.time) {
+        // Another time was picked while this hold was on its way
+        if (response.success) this.bookingSystem.releaseHold(response.hold_id);
+        return;
+      }
+      if (response.success) {
+        this.hold = {
+          id: response.hold_id,
+          date: response.event_date,
+          time: response.event_time,
+          eventType: this.formData.eventType,
+          expiresAt: response.expires_at
+        };
+      } else if (response.status === 409 && response.error === 'slot_unavailable') {
+        this.hold = null;
+        this.handleSlotConflict(response);
+      }
+      // Otherwise carry on without a hold - submitting re-checks the slot anyway
+    },
+
+    releaseHold({ keepalive = false } = {}) {
+      if (!this.hold) return;
+      this.bookingSystem.releaseHold(this.hold.id, { keepalive });
+      this.hold = null;
+    },
+
+    formatHoldExpiry() {
+      if (!this.hold) return '';
+      return new Date(this.hold.expiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
     },
 
     // Form submission
@@ -407,16 +573,26 @@ function bookingForm() {
       
       try {
         console.log('Submitting booking:', this.formData);
+        if (!this.idempotencyKey) this.idempotencyKey = this.bookingSystem.newIdempotencyKey();
         const response = await this.bookingSystem.createBooking({
           ...this.formData,
-          duration: this.formData.duration
-        });
+          duration: this.formData.duration,
+          holdId: this.hold ? this.hold.id : null
+        }, { idempotencyKey: this.idempotencyKey });
         
         console.log('Booking response:', response);
         
-        if (response.success) {
+        // A booking takes over the hold
+        if (response.success) this.hold = null;
+
+        if (response.success && response.payment && response.payment.checkout_url) {
+          // Deposit required: Stripe Checkout sends the client back here afterwards
+          window.location.href = response.payment.checkout_url;
+          return;
+        } else if (response.success) {
           this.showSuccess = true;
           this.bookingId = response.booking_id;
+          this.bookingStatus = response.status || 'confirmed';
           this.displayBookingCode = String(this.bookingId || '').split('-').slice(-1)[0] || this.bookingId;
           this.currentStep = this.totalSteps + 1; // Success step
           
@@ -431,13 +607,15 @@ function bookingForm() {
 
           // Cinematic celebration orchestration
           this.runCinematicConfirmation();
+        } else if (response.status === 409 && response.error === 'slot_unavailable') {
+          this.handleSlotConflict(response);
         } else {
           // Surface server-side validation errors clearly
           if (Array.isArray(response.errors) && response.errors.length) {
             const first = response.errors[0];
             this.errors.submit = `Please fix: ${first.param} — ${first.msg}`;
           } else {
-            this.errors.submit = response.error || 'Booking failed. Please try again.';
+            this.errors.submit = response.message || response.error || 'Booking failed. Please try again.';
           }
         }
       } catch (error) {
@@ -448,6 +626,27 @@ function bookingForm() {
       }
     },
 
+    // Someone else took the slot between loading availability and submitting:
+    // send the user back to time selection with the server's suggestions
+    handleSlotConflict(response) {
+      const alternatives = Array.isArray(response.alternatives) ? response.alternatives : [];
+      const sameDay = alternatives.filter(alt => alt.date === this.formData.eventDate);
+
+      this.formData.eventTime = '';
+      this.selectedSlot = null;
+      this.availableSlots = sameDay.map(alt => ({ time: alt.time, available: true, datetime: alt.datetime }));
+      this.showAvailability = true;
+      this.currentStep = 3;
+      this.errors.eventTime = response.message || 'That time was just booked. Please pick another slot.';
+
+      if (!sameDay.length && alternatives.length) {
+        const next = alternatives.slice(0, 3)
+          .map(alt => `${this.formatDate(alt.date + 'T12:00:00')} at ${this.formatTime(alt.time)}`)
+          .join(', ');
+        this.errors.availability = `Next openings: ${next}`;
+      }
+    },
+
     // Orchestrate cinematic confirmation
     runCinematicConfirmation() {
       // Confetti burst
@@ -630,6 +829,10 @@ function bookingForm() {
     },
 
     _eventStart() {
+      // Prefer the server's UTC instant: eventTime is in the studio's timezone, not the visitor's
+      if (this.selectedSlot && this.selectedSlot.datetime && this.selectedSlot.time === this.formData.eventTime) {
+        return new Date(this.selectedSlot.datetime);
+      }
       const [h, m] = String(this.formData.eventTime || '00:00').split(':').map(Number);
       const d = new Date(this.formData.eventDate + 'T00:00:00');
       d.setHours(h || 0, m || 0, 0, 0);
@@ -647,10 +850,17 @@ function bookingForm() {
         location: '',
         message: '',
         duration: 60,
-        guests: 1
+        guests: 1,
+        referralSource: '',
+        smsOptIn: false
       };
+      this.applySessionTypes(this.bookingSystem.bookingConfig.bookingTypes);
       this.currentStep = 1;
       this.showSuccess = false;
+      this.bookingStatus = '';
+      this.idempotencyKey = null;
+      this.releaseHold();
+      this.waitlistPosition = null;
       this.errors = {};
       this.availableSlots = [];
       this._cleanupCinematic();